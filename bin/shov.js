@@ -9,6 +9,37 @@ program
   .name('shov')
   .description('Shov CLI - Instant edge key/value store with time-travel backups')
   .version(version)
+  .option('--api-url <url>', 'API endpoint to use (default: https://shov.com, or SHOV_API_URL)')
+  .option('--request-timeout <ms>', 'Per-request timeout in milliseconds (default: 30000, or SHOV_REQUEST_TIMEOUT)')
+  .option('--retries <count>', 'Retries for failed idempotent or rate-limited requests (default: 3, or SHOV_RETRIES)')
+  .option('--profile <name>', 'Profile to use for this command (or SHOV_PROFILE)')
+  .option('-o, --output <format>', 'Output format: table, json, ndjson, csv, yaml or raw (or SHOV_OUTPUT)')
+  .configureHelp({ showGlobalOptions: true })
+
+// Streaming commands (scan, where --all) are often piped into head; a closed pipe isn't an error
+process.stdout.on('error', (error) => {
+  if (error.code === 'EPIPE') {
+    process.exit(0)
+  }
+  throw error
+})
+
+// Global flags are exported as env vars so every ShovCLI/ShovConfig instance sees them
+program.hook('preAction', () => {
+  const { apiUrl, requestTimeout, retries, profile } = program.opts()
+  if (profile) {
+    process.env.SHOV_PROFILE = profile
+  }
+  if (apiUrl) {
+    process.env.SHOV_API_URL = apiUrl
+  }
+  if (requestTimeout) {
+    process.env.SHOV_REQUEST_TIMEOUT = requestTimeout
+  }
+  if (retries) {
+    process.env.SHOV_RETRIES = retries
+  }
+})
 
 program
   .command('new [projectName]')
@@ -97,7 +128,8 @@ program
   .description('Clone an existing project to local directory (downloads source files, .env, .shov)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
   .option('-o, --output <directory>', 'Output directory (default: current directory)')
-  .action(async (projectName, options) => {
+  .action(async (projectName, _options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.cloneProject(projectName, options)
@@ -112,8 +144,11 @@ program
   .description('Get a value from your Shov project')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--at <when>', 'Read the value as it was then, e.g. "2 hours ago" or "2024-10-01 14:30"')
   .option('--json', 'Output JSON for scripting')
-  .action(async (key, options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (key, _options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.get(key, options)
@@ -128,7 +163,10 @@ program
   .description('Set a key-value pair in your Shov project')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
-  .option('--ttl <seconds>', 'Time to live in seconds (for expiration)')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--ttl <duration>', 'Time to live, in seconds or as a duration (15m, 2h, 7d)')
+  .option('--if-version <version>', 'Only write if the key is still at this version')
+  .option('--if-absent', 'Only write if the key does not exist yet')
   .option('--json', 'Output JSON for scripting')
   .action(async (key, value, options) => {
     try {
@@ -140,12 +178,127 @@ program
     }
   })
 
+program
+  .command('log <key>')
+  .description('Show the change history of a key (or collection item)')
+  .option('-c, --collection <collection>', 'Treat <key> as an item ID in this collection')
+  .option('-l, --limit <number>', 'Number of versions to show', '20')
+  .option('--diff', 'Show what each version changed as a JSON diff')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (key, _options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).log(key, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff <key>')
+  .description('Show how a key (or collection item) changed between two points in time')
+  .option('--from <when>', 'Earlier point in time, e.g. "2 hours ago"')
+  .option('--to <when>', 'Later point in time (default: now)')
+  .option('-c, --collection <collection>', 'Treat <key> as an item ID in this collection')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (key, options) => {
+    try {
+      await new ShovCLI(options).diff(key, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mget <keys...>')
+  .description('Get several keys at once')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (keys, _options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).mget(keys, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mset <values>')
+  .description('Set several keys from a JSON object, a JSON/YAML/.env file, or "-" for stdin')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--ttl <duration>', 'Time to live for every key, in seconds or as a duration (15m, 2h, 7d)')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (values, options) => {
+    try {
+      await new ShovCLI(options).mset(values, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('keys')
+  .description('List keys with their sizes and creation dates')
+  .option('--prefix <prefix>', 'Only keys starting with this, e.g. user:')
+  .option('--match <pattern>', 'Only keys matching a glob, e.g. \'session:*\'')
+  .option('-l, --limit <number>', 'Keys per page', '100')
+  .option('--cursor <cursor>', 'Continue from a previous page')
+  .option('--all', 'List every matching key')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).listKeys(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('scan')
+  .description('Stream key/value pairs (NDJSON by default)')
+  .option('--prefix <prefix>', 'Only keys starting with this, e.g. user:')
+  .option('--match <pattern>', 'Only keys matching a glob, e.g. \'session:*\'')
+  .option('--page-size <number>', 'Keys per request', '100')
+  .option('-p, --project <project>', 'Project name (or use .shov config)')
+  .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).scanKeys(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('add <collection> <value>')
   .description('Add an item to a collection in your Shov project')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
-  .option('--ttl <seconds>', 'Time to live in seconds (for expiration)')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--ttl <duration>', 'Time to live, in seconds or as a duration (15m, 2h, 7d)')
   .option('--json', 'Output JSON for scripting')
   .action(async (collection, value, options) => {
     try {
@@ -162,6 +315,7 @@ program
   .description('Add multiple items to a collection from a JSON string')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
+  .option('--no-validate', 'Skip checking values against schemas/')
   .option('--no-vector', 'Exclude from vector search/embedding processing')
   .action(async (collection, itemsJson, options) => {
     try {
@@ -178,12 +332,20 @@ program
   .command('where <collection>')
   .description('Find items in a collection based on a filter.')
   .option('-f, --filter <json>', 'JSON string to filter by', '{}')
+  .option('-w, --where <expression>', 'Filter expression, e.g. \'status = "active" and age >= 21\'')
   .option('-l, --limit <number>', 'Limit the number of results', '50')
   .option('--offset <number>', 'Skip this many results (for pagination)')
+  .option('--sort <field>', 'Sort by a field, e.g. createdAt or createdAt:desc')
+  .option('--cursor <cursor>', 'Continue from a cursor returned by a previous page')
+  .option('--all', 'Fetch every page and stream items as NDJSON (ignores --limit)')
+  .option('--page-size <number>', 'Items per request when using --all', '100')
+  .option('--at <when>', 'Query the collection as it was then, e.g. "yesterday"')
   .option('-p, --project <name>', 'Specify the project name')
   .option('-k, --key <key>', 'Specify the API key')
   .option('--json', 'Output JSON for scripting')
-  .action(async (collection, options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (collection, _options, command) => {
+    const options = command.optsWithGlobals();
     try {
       await new ShovCLI(options).whereInCollection(collection, options);
     } catch (error) {
@@ -191,14 +353,62 @@ program
     }
   });
 
+program
+  .command('import <collection> <file>')
+  .description('Import NDJSON, CSV or a JSON array into a collection (use "-" for stdin)')
+  .option('--format <format>', 'Input format: ndjson, csv or json (default: from the file extension)')
+  .option('--map <mapping>', 'Rename CSV headers, e.g. "Full Name:name,E-mail:contact.email"')
+  .option('--no-coerce', 'Keep CSV cells as strings instead of converting numbers, booleans and null')
+  .option('--chunk-size <number>', 'Items per add-many request', '100')
+  .option('--concurrency <number>', 'Requests in flight at once', '4')
+  .option('--resume', 'Continue an interrupted import from its checkpoint')
+  .option('--checkpoint <file>', 'Checkpoint file (default: <file>.checkpoint.json)')
+  .option('--reject <file>', 'Where to write rejected rows (default: <file>.rejects.ndjson)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .action(async (collection, file, options) => {
+    try {
+      await new ShovCLI(options).importCollection(collection, file, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export [collection]')
+  .description('Export a collection (or every collection with --all) to a file')
+  .option('--format <format>', 'File format: ndjson, csv or json', 'ndjson')
+  .option('-f, --filter <json>', 'Only export items matching this filter')
+  .option('--out <file>', 'Output file (default: <collection>.<format>)')
+  .option('--all', 'Export every collection into --dir')
+  .option('--dir <directory>', 'Output directory for --all', 'shov-export')
+  .option('--gzip', 'Compress the output with gzip')
+  .option('--mask <rules-file>', 'Mask PII fields with these rules before writing')
+  .option('--page-size <number>', 'Items per request', '100')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (collection, options) => {
+    try {
+      await new ShovCLI(options).exportCollections(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('count <collection>')
   .description('Count the number of items in a collection with optional filtering.')
   .option('-f, --filter <json>', 'JSON string to filter by')
+  .option('-w, --where <expression>', 'Filter expression, e.g. \'status = "active" and age >= 21\'')
   .option('-p, --project <name>', 'Specify the project name')
   .option('-k, --key <key>', 'Specify the API key')
   .option('--json', 'Output JSON for scripting')
-  .action(async (collection, options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (collection, _options, command) => {
+    const options = command.optsWithGlobals();
     try {
       await new ShovCLI(options).countInCollection(collection, options);
     } catch (error) {
@@ -206,11 +416,104 @@ program
     }
   });
 
+program
+  .command('browse')
+  .description('Browse collections and keys in a full-screen terminal UI (edit, delete, filter, live updates)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (options) => {
+    try {
+      await new ShovCLI(options).browse(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('shell')
+  .description('Interactive shell for data commands (get, set, where, count, update, batch...)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (options) => {
+    try {
+      await new ShovCLI(options).shell(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('aggregate <collection>')
+  .description('Group and summarise a collection: counts, sums, averages, min/max and distinct values')
+  .option('-g, --group-by <fields>', 'Comma-separated fields to group on, e.g. status or country,plan')
+  .option('--count', 'Count items per group (the default when no other metric is given)')
+  .option('--sum <fields>', 'Total of numeric fields')
+  .option('--avg <fields>', 'Average of numeric fields')
+  .option('--min <fields>', 'Smallest value of fields')
+  .option('--max <fields>', 'Largest value of fields')
+  .option('--distinct <fields>', 'Number of distinct values of fields')
+  .option('-f, --filter <json>', 'Only aggregate items matching this filter')
+  .option('-w, --where <expression>', 'Filter expression, e.g. \'status = "paid"\'')
+  .option('--page-size <number>', 'Items per request when aggregating locally', '100')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. status,count (or SHOV_FIELDS)')
+  .action(async (collection, _options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).aggregate(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const schema = program
+  .command('schema')
+  .description('Manage collection schemas in schemas/ (checked before writes)');
+
+schema
+  .command('infer <collection>')
+  .description('Draft schemas/<collection>.json from a sample of existing items')
+  .option('--sample <number>', 'Number of items to sample', '1000')
+  .option('--out <file>', 'Where to write the schema ("-" prints it)')
+  .option('--force', 'Overwrite an existing schema file')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (collection, options) => {
+    try {
+      await new ShovCLI(options).schemaInfer(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+schema
+  .command('check <collection>')
+  .description('Report stored items that do not match schemas/<collection>.json')
+  .option('--page-size <number>', 'Items per request', '100')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (collection, options) => {
+    try {
+      await new ShovCLI(options).schemaCheck(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('update <collection> <id> <value>')
   .description('Update an item in a collection by its ID.')
   .option('-p, --project <name>', 'Specify the project name')
   .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
   .option('--no-vector', 'Exclude from vector search/embedding processing')
   .action(async (collection, id, value, options) => {
     try {
@@ -220,6 +523,102 @@ program
     }
   });
 
+program
+  .command('ttl <key>')
+  .description('Show how long until a key (or collection item) expires')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('-c, --collection <collection>', 'Treat <key> as an item ID in this collection')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (key, options) => {
+    try {
+      await new ShovCLI(options).ttl(key, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('expire <key> <duration>')
+  .description('Set the expiry of an existing key (or collection item), e.g. 15m, 2h, 7d')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('-c, --collection <collection>', 'Treat <key> as an item ID in this collection')
+  .action(async (key, duration, options) => {
+    try {
+      await new ShovCLI(options).expire(key, duration, options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('persist <key>')
+  .description('Remove the expiry from a key (or collection item)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('-c, --collection <collection>', 'Treat <key> as an item ID in this collection')
+  .action(async (key, options) => {
+    try {
+      await new ShovCLI(options).persist(key, options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('incr <key> [by]')
+  .description('Atomically add to a numeric key (default 1; a missing key starts at 0)')
+  .option('--max-conflicts <count>', 'Conflicting writes to retry before giving up', '5')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (key, by, options) => {
+    try {
+      await new ShovCLI(options).incr(key, by, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('decr <key> [by]')
+  .description('Atomically subtract from a numeric key (default 1)')
+  .option('--max-conflicts <count>', 'Conflicting writes to retry before giving up', '5')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (key, by, options) => {
+    try {
+      await new ShovCLI(options).decr(key, by, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cas <key> <expected> <value>')
+  .description('Set a key only if it still holds <expected> (null matches a missing key)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (key, expected, value, options) => {
+    try {
+      await new ShovCLI(options).cas(key, expected, value, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('remove <collection> <id>')
   .description('Remove an item from a collection by its ID.')
@@ -246,11 +645,57 @@ program
     }
   });
 
+program
+  .command('update-where <collection>')
+  .description('Set fields on every item matching a filter')
+  .option('-f, --filter <json>', 'JSON string to filter by')
+  .option('-w, --where <expression>', 'Filter expression, e.g. \'status = "active" and age >= 21\'')
+  .option('--set <json>', 'Fields to set on each matching item, e.g. \'{"status":"archived"}\'')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--log <file>', 'Where to write affected ids and previous values (default: <collection>.update-where.<timestamp>.json)')
+  .option('--chunk-size <number>', 'Operations per batch transaction (max 50)', '50')
+  .option('--page-size <number>', 'Items per request while finding matches', '100')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (collection, options) => {
+    try {
+      await new ShovCLI(options).updateWhere(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('remove-where <collection>')
+  .description('Remove every item matching a filter')
+  .option('-f, --filter <json>', 'JSON string to filter by')
+  .option('-w, --where <expression>', 'Filter expression, e.g. \'status = "active" and age >= 21\'')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--log <file>', 'Where to write affected ids and previous values (default: <collection>.remove-where.<timestamp>.json)')
+  .option('--chunk-size <number>', 'Operations per batch transaction (max 50)', '50')
+  .option('--page-size <number>', 'Items per request while finding matches', '100')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (collection, options) => {
+    try {
+      await new ShovCLI(options).removeWhere(collection, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('batch <operations>')
-  .description('Execute multiple operations atomically in a single transaction')
+  .description('Execute operations atomically: inline JSON, a JSON/YAML file, or "-" for stdin')
+  .option('--chunk-size <number>', 'Operations per transaction when there are more than 50 (max 50)', '50')
+  .option('--compensate', 'If a chunk fails, undo earlier committed chunks using pre-images')
+  .option('--dry-run', 'Validate operations and print the plan without sending anything')
   .option('-p, --project <name>', 'Specify the project name')
   .option('-k, --key <key>', 'Specify the API key')
+  .option('--no-validate', 'Skip checking values against schemas/')
   .option('--json', 'Output JSON for scripting')
   .action(async (operations, options) => {
     try {
@@ -327,7 +772,9 @@ files
     .option('-p, --project <project>', 'Project name (or use .shov config)')
     .option('-k, --key <apiKey>', 'API key (or use .shov config)')
     .option('--json', 'Output JSON for scripting')
-    .action(async (options) => {
+    .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+    .action(async (_options, command) => {
+        const options = command.optsWithGlobals();
         try {
             const cli = new ShovCLI(options);
             await cli.listFiles(options);
@@ -451,7 +898,9 @@ program
   .description('List the contents of the current memory (keys, collections, files).')
   .option('-p, --project <name>', 'Specify the project name')
   .option('-k, --key <key>', 'Specify the API key')
-  .action(async (options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       await new ShovCLI(options).getContents(options);
     } catch (error) {
@@ -459,7 +908,7 @@ program
     }
   })
 
-program
+const config = program
   .command('config')
   .description('Show current project configuration')
   .action(async () => {
@@ -472,13 +921,28 @@ program
     }
   })
 
+config
+  .command('migrate-credentials')
+  .description('Move plaintext API keys from ~/.shov/config.json into the OS keychain or encrypted credential store')
+  .action(async () => {
+    try {
+      const cli = new ShovCLI();
+      await cli.migrateCredentials()
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message)
+      process.exit(1)
+    }
+  })
+
 program
   .command('projects')
   .description('List all available projects')
-  .action(async () => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI();
-      await cli.listProjects()
+      await cli.listProjects(options)
     } catch (error) {
       console.error(chalk.red('Error:'), error.message)
       process.exit(1)
@@ -501,10 +965,12 @@ program
 program
   .command('whoami')
   .description('Show current user and project information')
-  .action(async () => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI();
-      await cli.whoami()
+      await cli.whoami(options)
     } catch (error) {
       console.error(chalk.red('Error:'), error.message)
       process.exit(1)
@@ -526,6 +992,65 @@ program
     }
   })
 
+// Profile Commands
+const profile = program.command('profile').description('Manage profiles for multiple accounts and environments');
+
+profile
+  .command('list')
+  .description('List all profiles')
+  .action(async () => {
+    try {
+      const cli = new ShovCLI();
+      await cli.profileList();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('add <name>')
+  .description('Create or update a profile')
+  .option('-e, --email <email>', 'Email address for this profile')
+  .option('--token <token>', 'Account token for this profile')
+  .option('--url <url>', 'API endpoint for this profile (default: https://shov.com)')
+  .option('--use', 'Make this the active profile')
+  .action(async (name, options) => {
+    try {
+      const cli = new ShovCLI();
+      await cli.profileAdd(name, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('use <name>')
+  .description('Set the active profile')
+  .action(async (name) => {
+    try {
+      const cli = new ShovCLI();
+      await cli.profileUse(name);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+profile
+  .command('remove <name>')
+  .description('Remove a profile')
+  .action(async (name) => {
+    try {
+      const cli = new ShovCLI();
+      await cli.profileRemove(name);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Code Functions Commands
 const code = program.command('code').description('Manage code functions');
 
@@ -535,7 +1060,9 @@ code
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
   .option('--json', 'Output JSON for scripting')
-  .action(async (options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.codeList(options);
@@ -635,7 +1162,8 @@ code
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
   .option('-o, --output <directory>', 'Output directory (default: current directory)')
   .option('--json', 'Output JSON for scripting')
-  .action(async (options) => {
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.codePull(options);
@@ -696,7 +1224,9 @@ secrets
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
   .option('--json', 'Output JSON for scripting')
-  .action(async (options) => {
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.secretsList(options);
@@ -769,6 +1299,7 @@ program
   .option('--files', 'Restore uploaded files')
   .option('--secrets', 'Restore secrets')
   .option('--all', 'Restore everything (code, data, files, secrets)')
+  .option('--mask <rules-file>', 'Mask PII in the data on its way into the new environment (needs --to-new-env)')
   .option('--env <environment>', 'Source environment (default: production)')
   .option('--environment <environment>', 'Alias for --env')
   .option('-y, --yes', 'Skip confirmation prompts')
@@ -790,6 +1321,7 @@ program
   .description('Copy an entire environment (code, data, files, secrets)')
   .option('-y, --yes', 'Skip confirmation prompts')
   .option('--overwrite', 'Overwrite target environment if it exists')
+  .option('--mask <rules-file>', 'Copy the data through masking rules (hash, redact, replace or drop fields)')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
   .action(async (sourceEnv, targetEnv, options) => {
@@ -802,6 +1334,51 @@ program
     }
   });
 
+const data = program
+  .command('data')
+  .description('Compare and sync data between environments');
+
+data
+  .command('diff <envA> <envB>')
+  .description('Show keys and items added, removed or changed from envA to envB')
+  .option('-c, --collection <collection>', 'Only compare this collection')
+  .option('--only <entries>', 'Comma-separated collections and key prefixes to compare, e.g. users,flag:')
+  .option('--match-by <fields>', 'Pair items by these fields (e.g. email) instead of by id')
+  .option('--summary', 'List changed entries without their JSON diffs')
+  .option('--json', 'Output JSON for scripting')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (envA, envB, options) => {
+    try {
+      await new ShovCLI(options).dataDiff(envA, envB, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+data
+  .command('sync <source> <target>')
+  .description('Copy the selected differences from source to target in batch transactions')
+  .option('--only <entries>', 'Comma-separated collections and key prefixes to sync, e.g. users,flag:')
+  .option('--match-by <fields>', 'Pair items by these fields (e.g. email) so edited items are updated in place')
+  .option('-c, --collection <collection>', 'Only sync this collection')
+  .option('--delete', 'Also remove keys and items that only exist in target')
+  .option('--dry-run', 'Show the operations without sending them')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--chunk-size <number>', 'Operations per transaction (max 50)', '50')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (source, target, options) => {
+    try {
+      await new ShovCLI(options).dataSync(source, target, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('history')
   .description('View backup history for your project')
@@ -810,9 +1387,11 @@ program
   .option('--type <type>', 'Filter by backup type (code, data, files, secrets)')
   .option('--limit <number>', 'Number of backups to show (default: 50)')
   .option('--json', 'Output JSON for scripting')
+  .option('--fields <fields>', 'Comma-separated fields to show, e.g. id,value.name (or SHOV_FIELDS)')
   .option('-p, --project <project>', 'Project name (or use .shov config)')
   .option('-k, --key <apiKey>', 'API key (or use .shov config)')
-  .action(async (options) => {
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
     try {
       const cli = new ShovCLI(options);
       await cli.history(options);
@@ -822,6 +1401,94 @@ program
     }
   });
 
+const migrate = program
+  .command('migrate')
+  .description('Versioned data migrations from migrations/');
+
+migrate
+  .command('create <name>')
+  .description('Scaffold migrations/<version>_<name>.js with up() and down()')
+  .action(async (name, options) => {
+    try {
+      await new ShovCLI(options).migrateCreate(name, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+migrate
+  .command('up')
+  .description('Apply pending migrations in order')
+  .option('--to <version>', 'Stop after this version')
+  .option('--dry-run', 'Log the writes each migration would make without sending them')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--env <environment>', 'Environment to migrate (default: production)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (options) => {
+    try {
+      await new ShovCLI(options).migrateUp(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+migrate
+  .command('down')
+  .description('Revert the most recently applied migrations')
+  .option('--steps <number>', 'How many migrations to revert', '1')
+  .option('--dry-run', 'Log the writes each migration would make without sending them')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('--env <environment>', 'Environment to migrate (default: production)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (options) => {
+    try {
+      await new ShovCLI(options).migrateDown(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+migrate
+  .command('status')
+  .description('Show applied and pending migrations')
+  .option('--env <environment>', 'Environment to migrate (default: production)')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .option('--json', 'Output JSON for scripting')
+  .action(async (_options, command) => {
+    const options = command.optsWithGlobals();
+    try {
+      await new ShovCLI(options).migrateStatus(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('seed')
+  .description('Upsert deterministic test data from seeds/*.json|yaml')
+  .option('--file <files...>', 'Seed files to load (default: every file in seeds/)')
+  .option('--env <environment>', 'Environment to seed (default: production)')
+  .option('--reset', 'Clear each seeded collection before adding its items')
+  .option('-y, --yes', 'Skip the confirmation prompt for --reset')
+  .option('--no-validate', 'Skip checking values against schemas/')
+  .option('-p, --project <name>', 'Specify the project name')
+  .option('-k, --key <key>', 'Specify the API key')
+  .action(async (options) => {
+    try {
+      await new ShovCLI(options).seed(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('rollback')
   .description('Quick rollback to the most recent backup (1 hour ago)')
@@ -0,0 +1,93 @@
+const { getPath } = require('./output')
+
+const METRICS = ['sum', 'avg', 'min', 'max', 'distinct']
+
+// "amount,fees.total" -> ['amount', 'fees.total']; repeated flags arrive as arrays
+function parseFieldList(value) {
+  if (!value) return []
+  const parts = Array.isArray(value) ? value : [value]
+  return parts.flatMap(part => part.split(',')).map(field => field.trim()).filter(Boolean)
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return -1
+  if (b === null || b === undefined) return 1
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b))
+}
+
+/**
+ * Incremental group-by aggregation. Items are folded in one at a time, so memory grows with
+ * the number of groups (and distinct values), not with the number of items.
+ *
+ * @param {object} spec
+ * @param {string[]} [spec.groupBy] - Fields to group on
+ * @param {boolean} [spec.count] - Include an item count per group
+ * @param {string[]} [spec.sum] - Fields to total; avg, min, max and distinct take field lists the same way
+ */
+class Aggregator {
+  constructor(spec) {
+    this.groupBy = spec.groupBy || []
+    this.count = !!spec.count
+    this.metrics = METRICS.flatMap(metric => (spec[metric] || []).map(field => ({ metric, field, column: `${metric}(${field})` })))
+    this.groups = new Map()
+    this.total = 0
+  }
+
+  add(record) {
+    this.total++
+    const keyValues = this.groupBy.map(field => getPath(record, field) ?? null)
+    const key = JSON.stringify(keyValues)
+
+    let group = this.groups.get(key)
+    if (!group) {
+      group = { keyValues, count: 0, state: this.metrics.map(() => ({ sum: 0, numbers: 0, min: undefined, max: undefined, values: new Set() })) }
+      this.groups.set(key, group)
+    }
+
+    group.count++
+    this.metrics.forEach(({ metric, field }, i) => {
+      const value = getPath(record, field)
+      const state = group.state[i]
+      if (value === undefined || value === null) return
+
+      if (metric === 'distinct') {
+        state.values.add(typeof value === 'object' ? JSON.stringify(value) : value)
+      } else if (metric === 'min' || metric === 'max') {
+        if (state.min === undefined || compareValues(value, state.min) < 0) state.min = value
+        if (state.max === undefined || compareValues(value, state.max) > 0) state.max = value
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        state.sum += value
+        state.numbers++
+      }
+    })
+  }
+
+  // One row per group, ordered by the group-by values
+  results() {
+    return [...this.groups.values()]
+      .sort((a, b) => {
+        for (let i = 0; i < a.keyValues.length; i++) {
+          const order = compareValues(a.keyValues[i], b.keyValues[i])
+          if (order !== 0) return order
+        }
+        return 0
+      })
+      .map(group => {
+        const row = {}
+        this.groupBy.forEach((field, i) => { row[field] = group.keyValues[i] })
+        if (this.count) row.count = group.count
+        this.metrics.forEach(({ metric, column }, i) => {
+          const state = group.state[i]
+          if (metric === 'sum') row[column] = state.sum
+          else if (metric === 'avg') row[column] = state.numbers > 0 ? state.sum / state.numbers : null
+          else if (metric === 'distinct') row[column] = state.values.size
+          else row[column] = state[metric] ?? null
+        })
+        return row
+      })
+  }
+}
+
+module.exports = { METRICS, Aggregator, parseFieldList }
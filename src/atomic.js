@@ -0,0 +1,102 @@
+const { backoffDelay, sleep } = require('./http')
+
+const DEFAULT_CONFLICT_RETRIES = 5
+
+// Structural equality for JSON values (key order doesn't matter)
+function sameValue(a, b) {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => sameValue(a[key], b[key]))
+}
+
+function sameState(a, b) {
+  return a.exists === b.exists && (!a.exists || sameValue(a.value, b.value))
+}
+
+// The value after adding `by` to a counter; a missing key counts from 0
+function incrementValue(current, by) {
+  if (!current.exists || current.value === null) {
+    return by
+  }
+  if (typeof current.value !== 'number') {
+    throw new Error(`Value is ${JSON.stringify(current.value)}, not a number`)
+  }
+  return current.value + by
+}
+
+// Why a key's current state fails a compare-and-set condition, or null when it passes
+function keyConditionMismatch(condition, current) {
+  if (condition.absent) {
+    return current.exists ? 'already exists' : null
+  }
+  if (condition.version !== undefined) {
+    if (!current.exists) return 'does not exist'
+    if (current.version === null) {
+      throw new Error('The server does not report key versions, so --if-version cannot be checked. Compare values with "shov cas" instead')
+    }
+    return current.version === condition.version ? null : `is at version ${current.version}, not ${condition.version}`
+  }
+  if (condition.value === null) {
+    return current.exists ? `is ${JSON.stringify(current.value)}, not missing` : null
+  }
+  if (!current.exists) return 'does not exist'
+  return sameValue(current.value, condition.value) ? null : `is ${JSON.stringify(current.value)}, not ${JSON.stringify(condition.value)}`
+}
+
+/**
+ * Best-effort read-modify-write for servers without an incr endpoint. It is not atomic: with no
+ * conditional write, a write that lands between our read and our commit gets replaced.
+ *
+ * The key is read again before every write, and each write is a [get, set] batch whose get shows
+ * what the key held at commit time. If that isn't what we just read, another writer got in
+ * between and our set replaced their value, so the next attempt recomputes from their value (an
+ * increment then counts both), but only if the key still holds what we wrote. When the commit
+ * can't say what the key held, nothing more is written: guessing could reset the count.
+ *
+ * @param {object} steps
+ * @param {() => Promise<{exists, value, version}>} steps.read
+ * @param {(next) => Promise<{observed: {exists, value} | null, version}>} steps.commit - Write next
+ * @param {(current) => *} steps.compute - New value from the current state; throws to refuse
+ * @param {number} [steps.retries] - Conflicts to retry before giving up
+ * @returns {Promise<{value, version, attempts}>}
+ */
+async function readModifyWrite({ read, commit, compute, retries = DEFAULT_CONFLICT_RETRIES }) {
+  let replaced = null
+  let written = null
+
+  for (let attempt = 0; ; attempt++) {
+    const current = await read()
+    const base = replaced && sameState(current, written) ? replaced : current
+
+    let next
+    try {
+      next = compute(base)
+    } catch (error) {
+      if (base === replaced) {
+        throw new Error(`${error.message}. Another client wrote that value, and this command's previous write replaced it`)
+      }
+      throw error
+    }
+
+    const { observed, version } = await commit(next)
+    if (!observed) {
+      throw new Error(`Wrote ${JSON.stringify(next)}, but the server didn't report what the key held at that moment, so a concurrent change can't be ruled out. Check the value before retrying`)
+    }
+    if (sameState(observed, current)) {
+      return { value: next, version: version ?? null, attempts: attempt + 1 }
+    }
+
+    if (attempt >= retries) {
+      throw new Error(`Gave up after ${attempt + 1} conflicting writes. Another client keeps changing the key, and this command's last write replaced its value`)
+    }
+
+    replaced = observed
+    written = { exists: true, value: next }
+    await sleep(backoffDelay(attempt))
+  }
+}
+
+module.exports = { DEFAULT_CONFLICT_RETRIES, sameValue, incrementValue, keyConditionMismatch, readModifyWrite }
@@ -0,0 +1,305 @@
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const Ajv = require('ajv')
+
+// Server-side limit on operations per batch transaction
+const MAX_BATCH_OPERATIONS = 50
+
+const nonEmptyString = { type: 'string', minLength: 1 }
+
+// JSON schema for each batch operation type, mirroring what the batch endpoint accepts
+const OPERATION_SCHEMAS = {
+  set: {
+    type: 'object',
+    required: ['type', 'name', 'value'],
+    properties: { type: { const: 'set' }, name: nonEmptyString, value: {}, ttl: { type: 'integer', minimum: 1 } },
+    additionalProperties: false
+  },
+  get: {
+    type: 'object',
+    required: ['type', 'name'],
+    properties: { type: { const: 'get' }, name: nonEmptyString },
+    additionalProperties: false
+  },
+  forget: {
+    type: 'object',
+    required: ['type', 'name'],
+    properties: { type: { const: 'forget' }, name: nonEmptyString },
+    additionalProperties: false
+  },
+  add: {
+    type: 'object',
+    required: ['type', 'collection', 'value'],
+    properties: { type: { const: 'add' }, collection: nonEmptyString, value: {}, ttl: { type: 'integer', minimum: 1 } },
+    additionalProperties: false
+  },
+  update: {
+    type: 'object',
+    required: ['type', 'collection', 'id', 'value'],
+    properties: { type: { const: 'update' }, collection: nonEmptyString, id: nonEmptyString, value: {} },
+    additionalProperties: false
+  },
+  remove: {
+    type: 'object',
+    required: ['type', 'collection', 'id'],
+    properties: { type: { const: 'remove' }, collection: nonEmptyString, id: nonEmptyString },
+    additionalProperties: false
+  },
+  clear: {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { const: 'clear' }, collection: nonEmptyString, name: nonEmptyString },
+    oneOf: [{ required: ['collection'] }, { required: ['name'] }],
+    additionalProperties: false
+  }
+}
+
+const OPERATION_TYPES = Object.keys(OPERATION_SCHEMAS)
+
+let validators = null
+function getValidators() {
+  if (!validators) {
+    const ajv = new Ajv({ allErrors: true })
+    validators = Object.fromEntries(OPERATION_TYPES.map(type => [type, ajv.compile(OPERATION_SCHEMAS[type])]))
+  }
+  return validators
+}
+
+// Path of the first value JSON can't represent (NaN, Infinity, undefined, functions, dates...), or null
+function findNonJson(value, at = 'value') {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return null
+  if (typeof value === 'number') return Number.isFinite(value) ? null : at
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      const found = findNonJson(value[i], `${at}[${i}]`)
+      if (found) return found
+    }
+    return null
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const [key, child] of Object.entries(value)) {
+      const found = findNonJson(child, `${at}.${key}`)
+      if (found) return found
+    }
+    return null
+  }
+  return at
+}
+
+/**
+ * Validate operations locally against OPERATION_SCHEMAS.
+ * @returns {string[]} One message per problem, e.g. 'Operation 3 (add): missing "collection"'
+ */
+function validateOperations(operations) {
+  const errors = []
+
+  operations.forEach((operation, index) => {
+    const label = `Operation ${index + 1}`
+
+    if (operation === null || typeof operation !== 'object' || Array.isArray(operation)) {
+      errors.push(`${label}: must be an object`)
+      return
+    }
+    if (!OPERATION_TYPES.includes(operation.type)) {
+      errors.push(`${label}: unknown type ${JSON.stringify(operation.type)} (expected one of: ${OPERATION_TYPES.join(', ')})`)
+      return
+    }
+
+    const validate = getValidators()[operation.type]
+    if (!validate(operation)) {
+      for (const error of validate.errors) {
+        if (error.keyword === 'required') {
+          errors.push(`${label} (${operation.type}): missing "${error.params.missingProperty}"`)
+        } else if (error.keyword === 'additionalProperties') {
+          errors.push(`${label} (${operation.type}): unexpected field "${error.params.additionalProperty}"`)
+        } else if (error.keyword === 'oneOf') {
+          errors.push(`${label} (${operation.type}): needs exactly one of "collection" or "name"`)
+        } else {
+          errors.push(`${label} (${operation.type}): ${error.instancePath.slice(1) || 'operation'} ${error.message}`)
+        }
+      }
+    }
+
+    if ('value' in operation) {
+      const badPath = findNonJson(operation.value)
+      if (badPath) {
+        errors.push(`${label} (${operation.type}): ${badPath} is not valid JSON`)
+      }
+    }
+  })
+
+  return errors
+}
+
+// One-line summary of what an operation will do, for --dry-run
+function describeOperation(operation) {
+  const preview = (value) => {
+    const text = JSON.stringify(value)
+    return text.length > 60 ? text.substring(0, 59) + '…' : text
+  }
+
+  switch (operation.type) {
+    case 'set':
+      return `set "${operation.name}" = ${preview(operation.value)}${operation.ttl ? ` (expires in ${operation.ttl}s)` : ''}`
+    case 'get':
+      return `read "${operation.name}"`
+    case 'forget':
+      return `delete key "${operation.name}"`
+    case 'add':
+      return `add to "${operation.collection}": ${preview(operation.value)}`
+    case 'update':
+      return `update "${operation.id}" in "${operation.collection}" = ${preview(operation.value)}`
+    case 'remove':
+      return `remove "${operation.id}" from "${operation.collection}"`
+    case 'clear':
+      return `clear every item in "${operation.collection || operation.name}"`
+    default:
+      return operation.type
+  }
+}
+
+async function readStdin() {
+  let text = ''
+  for await (const chunk of process.stdin) text += chunk
+  return text
+}
+
+// Accept a bare array or { operations: [...] }
+function operationsFrom(parsed, source) {
+  const operations = Array.isArray(parsed) ? parsed : parsed && parsed.operations
+  if (!Array.isArray(operations)) {
+    throw new Error(`${source} must contain an array of operations (or an object with an "operations" array)`)
+  }
+  return operations
+}
+
+/**
+ * Load batch operations from inline JSON, a .json/.yaml/.yml file, or stdin ("-").
+ * YAML is a superset of JSON, so stdin and unknown extensions accept either.
+ */
+async function loadOperations(source) {
+  const trimmed = source.trim()
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return operationsFrom(JSON.parse(trimmed), 'Operations')
+    } catch (error) {
+      throw new Error(`Invalid JSON format for operations: ${error.message}`)
+    }
+  }
+
+  let text
+  let label
+  if (source === '-') {
+    text = await readStdin()
+    label = 'stdin'
+  } else {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Operations must be a JSON array, a file path or "-" for stdin (no file named ${source})`)
+    }
+    text = fs.readFileSync(source, 'utf8')
+    label = path.basename(source)
+  }
+
+  try {
+    const isJson = /\.json$/i.test(source)
+    return operationsFrom(isJson ? JSON.parse(text) : YAML.parse(text), label)
+  } catch (error) {
+    throw new Error(`Could not parse ${label}: ${error.message}`)
+  }
+}
+
+// Split operations into transactions of at most `size`
+function chunkOperations(operations, size = MAX_BATCH_OPERATIONS) {
+  const chunks = []
+  for (let start = 0; start < operations.length; start += size) {
+    chunks.push({ index: chunks.length, start, operations: operations.slice(start, start + size) })
+  }
+  return chunks
+}
+
+// Pre-images each operation type needs so it can be undone: key values or collection items
+function preImageTargets(operation) {
+  switch (operation.type) {
+    case 'set':
+    case 'forget':
+      return { key: operation.name }
+    case 'update':
+    case 'remove':
+      return { item: { collection: operation.collection, id: operation.id } }
+    case 'clear':
+      return { collection: operation.collection || operation.name }
+    default:
+      return {}
+  }
+}
+
+/**
+ * Build the operations that undo one committed operation, given the state captured before the run.
+ *
+ * @param {object} operation - The operation that was executed
+ * @param {object} context
+ * @param {Map} context.keys - key -> { exists, value }
+ * @param {Map} context.items - "collection/id" -> { exists, value }
+ * @param {Map} context.collections - collection -> items[]
+ * @param {object} [context.result] - Server result for the operation (carries new item ids)
+ * @returns {object[]} Inverse operations (empty when nothing needs undoing)
+ */
+function inverseOperations(operation, { keys, items, collections, result }) {
+  switch (operation.type) {
+    case 'set':
+    case 'forget': {
+      const before = keys.get(operation.name)
+      if (before && before.exists) {
+        return [{ type: 'set', name: operation.name, value: before.value }]
+      }
+      return operation.type === 'set' ? [{ type: 'forget', name: operation.name }] : []
+    }
+    case 'add': {
+      const id = result && result.result && result.result.id
+      return id ? [{ type: 'remove', collection: operation.collection, id }] : []
+    }
+    case 'update': {
+      const before = items.get(`${operation.collection}/${operation.id}`)
+      return before && before.exists ? [{ type: 'update', collection: operation.collection, id: operation.id, value: before.value }] : []
+    }
+    case 'remove': {
+      // Removed items come back with a new ID
+      const before = items.get(`${operation.collection}/${operation.id}`)
+      return before && before.exists ? [{ type: 'add', collection: operation.collection, value: before.value }] : []
+    }
+    case 'clear': {
+      const before = collections.get(operation.collection || operation.name) || []
+      return before.map(item => ({ type: 'add', collection: operation.collection || operation.name, value: item.value }))
+    }
+    default:
+      return []
+  }
+}
+
+/**
+ * What a `get` in a batch read, as { exists, value, version }. Like every batch operation the
+ * payload is under `result.result`. Null when the read itself failed (an unsuccessful result,
+ * or none at all), which is not the same as the key being missing.
+ */
+function getResultState(result) {
+  if (!result || result.success === false || !result.result || typeof result.result !== 'object') {
+    return null
+  }
+  const value = result.result.value ?? null
+  return { exists: value !== null, value, version: result.result.version ?? null }
+}
+
+module.exports = {
+  MAX_BATCH_OPERATIONS,
+  OPERATION_SCHEMAS,
+  loadOperations,
+  readStdin,
+  validateOperations,
+  describeOperation,
+  chunkOperations,
+  preImageTargets,
+  inverseOperations,
+  getResultState
+}
@@ -0,0 +1,561 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const readline = require('readline')
+const chalk = require('chalk')
+const { compileWhere } = require('./query')
+
+const CSI = '\x1b['
+const SIDEBAR_WIDTH = 30
+const HELP = 'Tab focus  ↑↓ move  Enter open  n/p page  / filter  e edit  d delete  r refresh  q quit'
+
+// Clip or pad text to exactly `width` columns (one line)
+function fit(text, width) {
+  if (width <= 0) return ''
+  const line = String(text).replace(/[\r\n\t]+/g, ' ')
+  return line.length > width ? line.slice(0, width - 1) + '…' : line.padEnd(width)
+}
+
+// Keep `index` inside a window of `size` rows starting at `scroll`
+function scrollTo(index, scroll, size) {
+  if (index < scroll) return index
+  if (index >= scroll + size) return index - size + 1
+  return scroll
+}
+
+/**
+ * Full-screen browser for a project's collections and keys: a sidebar, a paged item grid and a
+ * JSON detail pane. Drawn with plain ANSI escapes; edits go through $VISUAL/$EDITOR.
+ */
+class DataBrowser {
+  constructor(cli, { projectName, apiKey }) {
+    this.cli = cli
+    this.projectName = projectName
+    this.apiKey = apiKey
+
+    this.entries = []
+    this.sidebar = { index: 0, scroll: 0 }
+    this.focus = 'sidebar'
+    this.selected = null
+    this.page = { items: [], index: 0, offset: 0, hasMore: false }
+    this.keyValue = undefined
+    this.filter = null
+    this.input = null
+    this.status = null
+    this.loading = false
+    this.busy = false
+    this.live = false
+    this.stream = null
+    this.screenActive = false
+
+    this.onKeypress = this.onKeypress.bind(this)
+    this.onResize = () => this.render()
+  }
+
+  get width() {
+    return process.stdout.columns || 80
+  }
+
+  get height() {
+    return process.stdout.rows || 24
+  }
+
+  // Grid rows: everything but the title, status, column header and page footer
+  get pageSize() {
+    return Math.max(1, this.height - 4)
+  }
+
+  get currentItem() {
+    return this.selected?.type === 'collection' ? this.page.items[this.page.index] : undefined
+  }
+
+  setStatus(text, kind = 'info') {
+    this.status = { text, kind }
+    this.render()
+  }
+
+  // --- data -------------------------------------------------------------
+
+  async loadContents() {
+    const data = await this.cli.apiCall(`/data/${this.projectName}/contents`, {}, this.apiKey)
+    const byName = (a, b) => a.name.localeCompare(b.name)
+    this.entries = [
+      ...data.contents.filter(item => item.type === 'collection').sort(byName),
+      ...data.contents.filter(item => item.type === 'key').sort(byName)
+    ]
+    this.sidebar.index = Math.min(this.sidebar.index, Math.max(0, this.entries.length - 1))
+  }
+
+  async loadPage() {
+    const { name } = this.selected
+    const body = { name, limit: this.pageSize + 1, offset: this.page.offset, ...(this.filter?.filter && { filter: this.filter.filter }) }
+
+    this.loading = true
+    this.render()
+    try {
+      const data = this.filter?.residual
+        ? await this.cli.findClientSide(this.projectName, this.apiKey, body, this.filter.residual)
+        : await this.cli.fetchWherePage(this.projectName, this.apiKey, body)
+      const items = data.items || []
+      this.page.hasMore = items.length > this.pageSize
+      this.page.items = items.slice(0, this.pageSize)
+      this.page.index = Math.min(this.page.index, Math.max(0, this.page.items.length - 1))
+    } finally {
+      this.loading = false
+    }
+  }
+
+  async loadKey() {
+    const data = await this.cli.apiCall(`/data/${this.projectName}/get`, { name: this.selected.name }, this.apiKey)
+    this.keyValue = data.value
+  }
+
+  async reload() {
+    if (!this.selected) return
+    if (this.selected.type === 'collection') {
+      await this.loadPage()
+    } else {
+      await this.loadKey()
+    }
+    this.render()
+  }
+
+  // Follow the open collection or key over the streaming API and reload when it changes
+  async follow(entry) {
+    if (this.stream) {
+      this.stream.close()
+      this.stream = null
+    }
+    this.live = false
+
+    const subscription = entry.type === 'collection' ? { collection: entry.name } : { key: entry.name }
+    try {
+      const { eventSource } = await this.cli.openEventStream(this.projectName, this.apiKey, [subscription])
+      this.stream = eventSource
+    } catch (error) {
+      this.setStatus(`Live updates unavailable: ${error.message}`, 'warn')
+      return
+    }
+
+    let pending = null
+    this.stream.onopen = () => {
+      this.live = true
+      this.render()
+    }
+    this.stream.onerror = () => {
+      // EventSource reconnects on its own; show that we're offline meanwhile
+      this.live = false
+      this.render()
+    }
+    this.stream.onmessage = (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      if (message.type !== 'message' || this.busy || this.input) return
+
+      // Coalesce bursts of changes into one reload
+      clearTimeout(pending)
+      pending = setTimeout(() => {
+        this.reload()
+          .then(() => this.setStatus(`Updated ${new Date().toLocaleTimeString()}`))
+          .catch(error => this.setStatus(error.message, 'error'))
+      }, 250)
+    }
+  }
+
+  async open(entry) {
+    this.selected = entry
+    this.page = { items: [], index: 0, offset: 0, hasMore: false }
+    this.keyValue = undefined
+    this.filter = null
+    this.status = null
+    await this.reload()
+    await this.follow(entry)
+    if (entry.type === 'collection') {
+      this.focus = 'grid'
+    }
+    this.render()
+  }
+
+  // --- actions ----------------------------------------------------------
+
+  async changePage(direction) {
+    if (this.selected?.type !== 'collection') return
+    if (direction > 0 && !this.page.hasMore) return
+    if (direction < 0 && this.page.offset === 0) return
+
+    this.page.offset = Math.max(0, this.page.offset + direction * this.pageSize)
+    this.page.index = 0
+    await this.loadPage()
+    this.render()
+  }
+
+  async applyFilter(text) {
+    if (!text.trim()) {
+      this.filter = null
+    } else if (text.trim().startsWith('{')) {
+      try {
+        this.filter = { text, filter: JSON.parse(text), residual: null }
+      } catch {
+        throw new Error('Filter must be valid JSON')
+      }
+    } else {
+      this.filter = { text, ...compileWhere(text) }
+    }
+
+    this.page.offset = 0
+    this.page.index = 0
+    await this.loadPage()
+    this.render()
+    if (this.filter?.residual) {
+      this.setStatus('Part of this filter runs locally, so pages may load slower', 'warn')
+    }
+  }
+
+  // Open a value in $VISUAL/$EDITOR and return the edited value, or undefined if unchanged
+  async editValue(value) {
+    const file = path.join(os.tmpdir(), `shov-browse-${process.pid}.json`)
+    const original = JSON.stringify(value, null, 2) + '\n'
+    fs.writeFileSync(file, original, { mode: 0o600 })
+
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi'
+    const { execa } = await import('execa')
+    this.leaveScreen()
+    try {
+      await execa(`${editor} "${file}"`, { shell: true, stdio: 'inherit' })
+      const edited = fs.readFileSync(file, 'utf8')
+      if (edited === original) return undefined
+      try {
+        return JSON.parse(edited)
+      } catch (error) {
+        throw new Error(`Not valid JSON, nothing was saved: ${error.message}`)
+      }
+    } finally {
+      fs.rmSync(file, { force: true })
+      this.enterScreen()
+    }
+  }
+
+  // Check an edited value against schemas/ as the other write commands do; false (with the problems shown) if it fails
+  matchesSchema(target, value) {
+    try {
+      this.cli.checkSchema(target, value, {})
+      return true
+    } catch (error) {
+      this.setStatus(`Nothing was saved. ${error.message.replace(/ \(use --no-validate to skip\)/, '').replace(/\n\s*/g, ' ')}`, 'error')
+      return false
+    }
+  }
+
+  async edit() {
+    if (this.focus === 'grid' && this.currentItem) {
+      const item = this.currentItem
+      const value = await this.editValue(item.value)
+      if (value === undefined) return this.setStatus('No changes')
+      if (!this.matchesSchema({ collection: this.selected.name }, value)) return
+
+      await this.cli.apiCall(`/data/${this.projectName}/update/${encodeURIComponent(item.id)}`, { collection: this.selected.name, value }, this.apiKey)
+      item.value = value
+      this.setStatus(`Updated ${item.id}`, 'success')
+    } else if (this.selected?.type === 'key') {
+      const value = await this.editValue(this.keyValue)
+      if (value === undefined) return this.setStatus('No changes')
+      if (!this.matchesSchema({ key: this.selected.name }, value)) return
+
+      await this.cli.apiCall(`/data/${this.projectName}/set`, { name: this.selected.name, value }, this.apiKey)
+      this.keyValue = value
+      this.setStatus(`Saved ${this.selected.name}`, 'success')
+    }
+  }
+
+  remove() {
+    if (this.focus === 'grid' && this.currentItem) {
+      const item = this.currentItem
+      this.confirm(`Remove ${item.id} from ${this.selected.name}? (y/N) `, async () => {
+        await this.cli.apiCall(`/data/${this.projectName}/remove/${encodeURIComponent(item.id)}`, { collection: this.selected.name }, this.apiKey)
+        await this.loadPage()
+        this.setStatus(`Removed ${item.id}`, 'success')
+      })
+    } else if (this.selected?.type === 'key') {
+      const { name } = this.selected
+      this.confirm(`Forget key ${name}? (y/N) `, async () => {
+        await this.cli.apiCall(`/data/${this.projectName}/forget/${encodeURIComponent(name)}`, undefined, this.apiKey, {}, 'DELETE')
+        this.selected = null
+        this.stream?.close()
+        this.live = false
+        await this.loadContents()
+        this.setStatus(`Forgot ${name}`, 'success')
+      })
+    }
+  }
+
+  prompt(label, submit, initial = '') {
+    this.input = { label, text: initial, submit }
+    this.render()
+  }
+
+  confirm(label, onYes) {
+    this.input = { label, text: '', single: true, submit: onYes }
+    this.render()
+  }
+
+  // --- input ------------------------------------------------------------
+
+  // Typing into a prompt; handled synchronously so pasted text isn't dropped
+  editInput(str, key) {
+    if (key?.name === 'escape') {
+      this.input = null
+    } else if (key?.name === 'backspace') {
+      this.input.text = this.input.text.slice(0, -1)
+    } else if (str && !key?.ctrl && !key?.meta && str >= ' ') {
+      this.input.text += str
+    }
+    this.render()
+  }
+
+  async submitInput(str) {
+    const input = this.input
+    this.input = null
+    if (!input.single) {
+      return input.submit(input.text)
+    }
+
+    if (str === 'y' || str === 'Y') {
+      await input.submit()
+    } else {
+      this.setStatus('Cancelled')
+    }
+  }
+
+  move(delta) {
+    if (this.focus === 'sidebar') {
+      this.sidebar.index = Math.max(0, Math.min(this.entries.length - 1, this.sidebar.index + delta))
+    } else {
+      this.page.index = Math.max(0, Math.min(this.page.items.length - 1, this.page.index + delta))
+    }
+    this.render()
+  }
+
+  async handleKey(str, key) {
+    if (this.input) return this.submitInput(str)
+
+    const name = key?.name || str
+    switch (name) {
+      case 'q':
+        return this.close()
+      case 'tab':
+        this.focus = this.focus === 'sidebar' && this.selected?.type === 'collection' ? 'grid' : 'sidebar'
+        return this.render()
+      case 'up':
+      case 'k':
+        return this.move(-1)
+      case 'down':
+      case 'j':
+        return this.move(1)
+      case 'left':
+        this.focus = 'sidebar'
+        return this.render()
+      case 'return':
+      case 'enter':
+      case 'right':
+        if (this.focus === 'sidebar' && this.entries[this.sidebar.index]) {
+          return this.open(this.entries[this.sidebar.index])
+        }
+        return
+      case 'n':
+      case 'pagedown':
+        return this.changePage(1)
+      case 'p':
+      case 'pageup':
+        return this.changePage(-1)
+      case '/':
+        if (this.selected?.type !== 'collection') return this.setStatus('Open a collection to filter it', 'warn')
+        return this.prompt('where ', text => this.applyFilter(text), this.filter?.text || '')
+      case 'e':
+        return this.edit()
+      case 'd':
+      case 'delete':
+        return this.remove()
+      case 'r':
+        await this.loadContents()
+        await this.reload()
+        return this.setStatus('Refreshed')
+    }
+  }
+
+  onKeypress(str, key) {
+    if (key?.ctrl && key.name === 'c') return this.close()
+    // Drop keys while a request or the editor is running
+    if (this.busy) return
+    if (this.input && !this.input.single && key?.name !== 'return' && key?.name !== 'enter') {
+      return this.editInput(str, key)
+    }
+
+    this.busy = true
+    this.handleKey(str, key)
+      .catch(error => this.setStatus(error.message, 'error'))
+      .finally(() => {
+        this.busy = false
+      })
+  }
+
+  // --- drawing ----------------------------------------------------------
+
+  renderSidebar(width, height) {
+    const rows = []
+    this.sidebar.scroll = scrollTo(this.sidebar.index, this.sidebar.scroll, height)
+
+    for (let row = 0; row < height; row++) {
+      const index = this.sidebar.scroll + row
+      const entry = this.entries[index]
+      if (!entry) {
+        rows.push(fit(row === 0 && this.entries.length === 0 ? ' (empty project)' : '', width))
+        continue
+      }
+
+      const open = this.selected && this.selected.type === entry.type && this.selected.name === entry.name
+      const label = entry.type === 'collection'
+        ? `${open ? '▸' : ' '}▦ ${entry.name}${entry.count !== undefined ? ` (${entry.count})` : ''}`
+        : `${open ? '▸' : ' '}· ${entry.name}`
+      const text = fit(label, width)
+
+      if (index === this.sidebar.index && this.focus === 'sidebar') rows.push(chalk.inverse(text))
+      else if (open) rows.push(chalk.bold(text))
+      else rows.push(entry.type === 'collection' ? chalk.cyan(text) : text)
+    }
+    return rows
+  }
+
+  renderGrid(width, height) {
+    const rows = []
+    const blank = (text = '') => fit(text, width)
+
+    if (!this.selected) {
+      rows.push(chalk.gray(blank(' Select a collection or key')))
+    } else if (this.selected.type === 'key') {
+      rows.push(chalk.gray(blank(` Key ${this.selected.name}`)))
+      rows.push(chalk.gray(blank(' e edit · d forget')))
+    } else {
+      const idWidth = Math.min(16, Math.max(4, Math.floor(width / 3)))
+      rows.push(chalk.bold(fit(` ${'ID'.padEnd(idWidth)} VALUE`, width)))
+
+      if (this.loading && this.page.items.length === 0) {
+        rows.push(chalk.gray(blank(' Loading…')))
+      } else if (this.page.items.length === 0) {
+        rows.push(chalk.gray(blank(this.filter ? ' No items match the filter' : ' No items')))
+      }
+
+      this.page.items.forEach((item, index) => {
+        const text = fit(` ${fit(item.id, idWidth)} ${JSON.stringify(item.value)}`, width)
+        rows.push(index === this.page.index ? (this.focus === 'grid' ? chalk.inverse(text) : chalk.bold(text)) : text)
+      })
+
+      while (rows.length < height - 1) rows.push(blank())
+      const from = this.page.items.length ? this.page.offset + 1 : 0
+      const more = this.page.hasMore ? ' · n next' : ''
+      const back = this.page.offset > 0 ? ' · p prev' : ''
+      rows.push(chalk.gray(blank(` ${from}–${this.page.offset + this.page.items.length}${more}${back}${this.loading ? ' · loading…' : ''}`)))
+    }
+
+    while (rows.length < height) rows.push(blank())
+    return rows.slice(0, height)
+  }
+
+  renderDetail(width, height) {
+    let value
+    if (this.currentItem) value = this.currentItem
+    else if (this.selected?.type === 'key' && this.keyValue !== undefined) value = this.keyValue
+
+    const lines = value === undefined ? [] : JSON.stringify(value, null, 2).split('\n')
+    const rows = lines.slice(0, height).map(line => fit(` ${line}`, width))
+    if (lines.length > height) {
+      rows[height - 1] = chalk.gray(fit(` … ${lines.length - height + 1} more lines (e opens it in your editor)`, width))
+    }
+    while (rows.length < height) rows.push(fit('', width))
+    return rows
+  }
+
+  render() {
+    if (!this.screenActive) return
+
+    const width = this.width
+    const height = this.height
+    const bodyHeight = height - 2
+    const sidebarWidth = Math.min(SIDEBAR_WIDTH, Math.floor(width / 4))
+    const gridWidth = Math.floor((width - sidebarWidth - 2) / 2)
+    const detailWidth = width - sidebarWidth - gridWidth - 2
+
+    const live = this.live ? ' ● live ' : ''
+    const where = this.filter ? ` · where ${this.filter.text}` : ''
+    const title = ` Shov · ${this.projectName}${this.selected ? ` · ${this.selected.name}` : ''}${where}`
+    const lines = [chalk.inverse(fit(title, width - live.length)) + chalk.inverse.green(live)]
+
+    const sidebar = this.renderSidebar(sidebarWidth, bodyHeight)
+    const grid = this.renderGrid(gridWidth, bodyHeight)
+    const detail = this.renderDetail(detailWidth, bodyHeight)
+    for (let row = 0; row < bodyHeight; row++) {
+      lines.push(sidebar[row] + chalk.gray('│') + grid[row] + chalk.gray('│') + detail[row])
+    }
+
+    if (this.input) {
+      lines.push(fit(`${this.input.label}${this.input.text}█`, width))
+    } else if (this.status) {
+      const colors = { info: chalk.white, success: chalk.green, warn: chalk.yellow, error: chalk.red }
+      lines.push(colors[this.status.kind](fit(` ${this.status.text}`, width)))
+    } else {
+      lines.push(chalk.gray(fit(` ${HELP}`, width)))
+    }
+
+    process.stdout.write(lines.map((line, row) => `${CSI}${row + 1};1H${line}`).join(''))
+  }
+
+  // --- lifecycle --------------------------------------------------------
+
+  enterScreen() {
+    process.stdout.write(`${CSI}?1049h${CSI}?25l${CSI}2J`)
+    process.stdin.setRawMode(true)
+    process.stdin.resume()
+    this.screenActive = true
+    this.render()
+  }
+
+  leaveScreen() {
+    if (!this.screenActive) return
+    this.screenActive = false
+    process.stdout.write(`${CSI}?25h${CSI}?1049l`)
+    process.stdin.setRawMode(false)
+    process.stdin.pause()
+  }
+
+  close() {
+    this.stream?.close()
+    process.stdin.off('keypress', this.onKeypress)
+    process.stdout.off('resize', this.onResize)
+    this.leaveScreen()
+    this.done()
+  }
+
+  async start() {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      throw new Error('shov browse needs an interactive terminal. Use "shov contents" or "shov where" in scripts.')
+    }
+
+    await this.loadContents()
+
+    readline.emitKeypressEvents(process.stdin)
+    process.stdin.on('keypress', this.onKeypress)
+    process.stdout.on('resize', this.onResize)
+    // Never leave the terminal in the alternate screen, even on a crash
+    process.once('exit', () => this.leaveScreen())
+    this.enterScreen()
+
+    await new Promise(resolve => {
+      this.done = resolve
+    })
+  }
+}
+
+module.exports = { DataBrowser }
@@ -1,12 +1,21 @@
 const fs = require('fs-extra')
 const path = require('path')
 const os = require('os')
+const { CredentialStore } = require('./credentials')
+
+// Production endpoint used when nothing else is configured
+const DEFAULT_API_URL = 'https://shov.com'
+
+// The default profile lives at the top level of ~/.shov/config.json, so configs
+// written before profiles existed keep working unchanged
+const DEFAULT_PROFILE = 'default'
 
 class ShovConfig {
   constructor() {
     this.globalConfigDir = path.join(os.homedir(), '.shov')
     this.globalConfigFile = path.join(this.globalConfigDir, 'config.json')
     this.localConfigFile = '.shov'
+    this.credentials = new CredentialStore(this.globalConfigDir)
   }
 
   // Load global configuration
@@ -27,98 +36,389 @@ class ShovConfig {
     await fs.writeJSON(this.globalConfigFile, config, { spaces: 2 })
   }
 
-  // Load local project configuration
-  async loadLocalConfig() {
-    try {
-      const configPath = path.join(process.cwd(), this.localConfigFile)
-      if (await fs.pathExists(configPath)) {
-        return await fs.readJSON(configPath)
+  // Find the project file: SHOV_CONFIG, else the nearest .shov in the current or a parent directory (like git)
+  findLocalConfigFile() {
+    if (process.env.SHOV_CONFIG) {
+      return path.resolve(process.env.SHOV_CONFIG)
+    }
+
+    let dir = process.cwd()
+    while (true) {
+      const candidate = path.join(dir, this.localConfigFile)
+      try {
+        // ~/.shov is the global config directory, not a project file
+        if (fs.statSync(candidate).isFile()) {
+          return candidate
+        }
+      } catch (error) {
+        // Not here, keep walking up
+      }
+
+      const parent = path.dirname(dir)
+      if (parent === dir) {
+        return null
       }
+      dir = parent
+    }
+  }
+
+  // Read the project file as stored on disk
+  readLocalConfigFile(configPath) {
+    try {
+      return fs.readJSONSync(configPath)
     } catch (error) {
       // Config file doesn't exist or is invalid
+      return {}
     }
-    return {}
   }
 
-  // Save local project configuration
-  async saveLocalConfig(config) {
-    const configPath = path.join(process.cwd(), this.localConfigFile)
+  // Monorepos map subfolders to their own projects via "packages": { "apps/web": { project, apiKey, codeDir } }.
+  // Returns the deepest entry containing the current directory
+  findPackage(fileConfig, configDir) {
+    const relative = path.relative(configDir, process.cwd())
+    let match = null
+
+    for (const [folder, entry] of Object.entries(fileConfig.packages || {})) {
+      const normalized = path.normalize(folder).replace(/[\\/]+$/, '')
+      const inside = relative === normalized || relative.startsWith(normalized + path.sep)
+      if (inside && (!match || normalized.length > match.folder.length)) {
+        match = { key: folder, folder: normalized, entry }
+      }
+    }
+
+    return match
+  }
+
+  // Resolve the local config for the current directory, with codeDir made relative to it
+  resolveLocalConfig() {
+    const configPath = this.findLocalConfigFile()
+    if (!configPath) {
+      return { config: {}, configPath: null, root: process.cwd() }
+    }
+
+    const configDir = path.dirname(configPath)
+    const { packages, ...fileConfig } = this.readLocalConfigFile(configPath)
+    const pkg = this.findPackage({ packages }, configDir)
+    const root = pkg ? path.join(configDir, pkg.folder) : configDir
+    const config = { ...fileConfig, ...pkg?.entry }
+
+    // codeDir is relative to the file (or package folder) that declares it, not to where shov runs
+    if (config.codeDir) {
+      const base = pkg?.entry.codeDir ? root : configDir
+      config.codeDir = this.relativeToCwd(path.resolve(base, config.codeDir))
+    }
+
+    return { config, configPath, root }
+  }
+
+  // Express a path relative to the current directory ("./api", "..", ".")
+  relativeToCwd(absolutePath) {
+    const relative = path.relative(process.cwd(), absolutePath)
+    if (!relative) return '.'
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return relative
+    return `./${relative}`
+  }
+
+  // Directory the current project lives in (package folder, .shov directory, or cwd)
+  getProjectRoot() {
+    return this.resolveLocalConfig().root
+  }
+
+  // Load local project configuration
+  async loadLocalConfig() {
+    return this.resolveLocalConfig().config
+  }
+
+  // Save local project configuration. Updates the discovered .shov (or the current package
+  // entry in it); pass { inCurrentDir: true } when creating a project in the current directory
+  async saveLocalConfig(config, { inCurrentDir = false } = {}) {
+    const configPath = inCurrentDir && !process.env.SHOV_CONFIG
+      ? path.join(process.cwd(), this.localConfigFile)
+      : this.findLocalConfigFile() || path.join(process.cwd(), this.localConfigFile)
     // Ensure we preserve any existing fields not in the new config
-    const existing = await this.loadLocalConfig()
-    const merged = { ...existing, ...config }
-    await fs.writeJSON(configPath, merged, { spaces: 2 })
+    const existing = this.readLocalConfigFile(configPath)
+    const pkg = this.findPackage(existing, path.dirname(configPath))
+
+    if (pkg) {
+      existing.packages[pkg.key] = { ...pkg.entry, ...config }
+      await fs.writeJSON(configPath, existing, { spaces: 2 })
+    } else {
+      await fs.writeJSON(configPath, { ...existing, ...config }, { spaces: 2 })
+    }
   }
 
-  // Get merged configuration (local overrides global)
+  // Get merged configuration (local overrides the active profile)
   async getConfig() {
-    const globalConfig = await this.loadGlobalConfig()
+    const profile = await this.loadProfile()
     const localConfig = await this.loadLocalConfig()
     
     return {
-      ...globalConfig,
+      ...profile,
       ...localConfig
     }
   }
 
-  // Set global default email
-  async setGlobalEmail(email) {
+  // Name of the active profile (--profile / SHOV_PROFILE > "activeProfile" in global config > default)
+  activeProfileName(globalConfig = {}) {
+    return process.env.SHOV_PROFILE || globalConfig.activeProfile || DEFAULT_PROFILE
+  }
+
+  // Look up a profile inside a loaded global config
+  profileFromConfig(globalConfig, name) {
+    if (name === DEFAULT_PROFILE) {
+      return globalConfig
+    }
+    return globalConfig.profiles?.[name] || null
+  }
+
+  // Load the active profile ({ email, token, apiUrl, projects })
+  async loadProfile() {
+    const config = await this.loadGlobalConfig()
+    const name = this.activeProfileName(config)
+    const profile = this.profileFromConfig(config, name)
+    
+    if (!profile) {
+      throw new Error(`Profile "${name}" not found. Run "shov profile list" to see available profiles.`)
+    }
+    
+    return profile
+  }
+
+  // Apply changes to the active profile and save them
+  async updateProfile(update) {
     const config = await this.loadGlobalConfig()
-    config.email = email
+    const name = this.activeProfileName(config)
+    const profile = this.profileFromConfig(config, name)
+    
+    if (!profile) {
+      throw new Error(`Profile "${name}" not found. Run "shov profile list" to see available profiles.`)
+    }
+    
+    update(profile)
     await this.saveGlobalConfig(config)
   }
 
-  // Get default email
-  async getDefaultEmail() {
-    const config = await this.getConfig()
-    return config.email
+  // List all profiles, including the default one
+  async listProfiles() {
+    const config = await this.loadGlobalConfig()
+    const { profiles = {}, activeProfile, ...defaultProfile } = config
+    
+    return {
+      [DEFAULT_PROFILE]: defaultProfile,
+      ...profiles
+    }
   }
 
-  // Add project to global config
-  async addProject(projectName, apiKey, email) {
+  // Create or update a named profile
+  async addProfile(name, fields = {}) {
     const config = await this.loadGlobalConfig()
     
-    if (!config.projects) {
-      config.projects = {}
+    if (name === DEFAULT_PROFILE) {
+      Object.assign(config, fields)
+    } else {
+      if (!config.profiles) {
+        config.profiles = {}
+      }
+      config.profiles[name] = {
+        projects: {},
+        createdAt: new Date().toISOString(),
+        ...config.profiles[name],
+        ...fields
+      }
     }
     
-    config.projects[projectName] = {
-      apiKey,
-      email,
-      createdAt: new Date().toISOString()
+    await this.saveGlobalConfig(config)
+  }
+
+  // Make a profile the default for future commands
+  async setActiveProfile(name) {
+    const config = await this.loadGlobalConfig()
+    
+    if (!this.profileFromConfig(config, name)) {
+      return false
+    }
+    
+    if (name === DEFAULT_PROFILE) {
+      delete config.activeProfile
+    } else {
+      config.activeProfile = name
     }
     
     await this.saveGlobalConfig(config)
+    return true
   }
 
-  // Get project from global config
-  async getProject(projectName) {
+  // Remove a named profile (the default profile can't be removed)
+  async removeProfile(name) {
     const config = await this.loadGlobalConfig()
-    return config.projects?.[projectName] || null
+    
+    if (name === DEFAULT_PROFILE || !config.profiles?.[name]) {
+      return false
+    }
+    
+    const { projects = {} } = config.profiles[name]
+    delete config.profiles[name]
+    if (config.activeProfile === name) {
+      delete config.activeProfile
+    }
+    
+    await this.saveGlobalConfig(config)
+    
+    for (const [projectName, project] of Object.entries(projects)) {
+      if (project.credentialStore) {
+        await this.credentials.delete(this.credentialAccount(name, projectName), project.credentialStore)
+      }
+    }
+    return true
+  }
+
+  // Set the active profile's email
+  async setGlobalEmail(email) {
+    await this.updateProfile(profile => {
+      profile.email = email
+    })
   }
 
-  // List all projects
+  // Get default email
+  async getDefaultEmail() {
+    const config = await this.getConfig()
+    return config.email
+  }
+
+  // Credential store entry name for a project's API key
+  credentialAccount(profileName, projectName) {
+    return `${profileName}:${projectName}`
+  }
+
+  // Resolve a registry entry's API key (plaintext entries predate the credential store)
+  async resolveApiKey(profileName, projectName, project) {
+    if (project.apiKey) {
+      return project.apiKey
+    }
+    if (!project.credentialStore) {
+      return null
+    }
+    return await this.credentials.get(this.credentialAccount(profileName, projectName), project.credentialStore)
+  }
+
+  // Add project to the active profile, keeping its API key in the credential store
+  async addProject(projectName, apiKey, email) {
+    const profileName = this.activeProfileName(await this.loadGlobalConfig())
+    const backend = await this.credentials.set(this.credentialAccount(profileName, projectName), apiKey)
+    
+    await this.updateProfile(profile => {
+      if (!profile.projects) {
+        profile.projects = {}
+      }
+      
+      profile.projects[projectName] = {
+        ...(backend === 'plaintext' ? { apiKey } : { credentialStore: backend }),
+        email,
+        createdAt: new Date().toISOString()
+      }
+    })
+  }
+
+  // Get project from the active profile, with its API key resolved
+  async getProject(projectName) {
+    const profileName = this.activeProfileName(await this.loadGlobalConfig())
+    const profile = await this.loadProfile()
+    const project = profile.projects?.[projectName]
+    
+    if (!project) {
+      return null
+    }
+    
+    return {
+      ...project,
+      apiKey: await this.resolveApiKey(profileName, projectName, project)
+    }
+  }
+
+  // List all projects in the active profile
   async listProjects() {
-    const config = await this.loadGlobalConfig()
-    return config.projects || {}
+    const profile = await this.loadProfile()
+    return profile.projects || {}
   }
 
-  // Remove project from global config
+  // Remove project from the active profile
   async removeProject(projectName) {
+    const profileName = this.activeProfileName(await this.loadGlobalConfig())
+    let removed = null
+    
+    await this.updateProfile(profile => {
+      if (profile.projects && profile.projects[projectName]) {
+        removed = profile.projects[projectName]
+        delete profile.projects[projectName]
+      }
+    })
+    
+    if (removed?.credentialStore) {
+      await this.credentials.delete(this.credentialAccount(profileName, projectName), removed.credentialStore)
+    }
+    
+    return removed !== null
+  }
+
+  // Move plaintext API keys from every profile into the credential store and scrub them from config.json
+  async migrateCredentials() {
     const config = await this.loadGlobalConfig()
+    const profiles = await this.listProfiles()
+    const migrated = []
+    let backend = null
+    
+    for (const profileName of Object.keys(profiles)) {
+      const profile = this.profileFromConfig(config, profileName)
+      
+      for (const [projectName, project] of Object.entries(profile.projects || {})) {
+        if (!project.apiKey) {
+          continue
+        }
+        
+        backend = await this.credentials.set(this.credentialAccount(profileName, projectName), project.apiKey)
+        if (backend === 'plaintext') {
+          throw new Error('SHOV_CREDENTIAL_STORE is set to "plaintext"; unset it to migrate keys into a credential store')
+        }
+        
+        delete project.apiKey
+        project.credentialStore = backend
+        migrated.push({ profile: profileName, project: projectName })
+      }
+    }
     
-    if (config.projects && config.projects[projectName]) {
-      delete config.projects[projectName]
+    if (migrated.length > 0) {
       await this.saveGlobalConfig(config)
-      return true
     }
     
-    return false
+    return { migrated, backend }
   }
 
-  // Check if we're in a Shov project directory
+  // Check if we're in a Shov project directory (or below one)
   async isInProject() {
-    const configPath = path.join(process.cwd(), this.localConfigFile)
-    return await fs.pathExists(configPath)
+    const configPath = this.findLocalConfigFile()
+    return configPath !== null && await fs.pathExists(configPath)
+  }
+
+  // Resolve the API endpoint (flag > SHOV_API_URL > local .shov > active profile > global config > production).
+  // Sync on purpose: ShovCLI resolves it once in its constructor.
+  getApiUrl(override) {
+    let apiUrl = override || process.env.SHOV_API_URL
+
+    if (!apiUrl) {
+      apiUrl = this.resolveLocalConfig().config.apiUrl
+    }
+
+    if (!apiUrl) {
+      try {
+        const globalConfig = fs.readJSONSync(this.globalConfigFile)
+        const profile = this.profileFromConfig(globalConfig, this.activeProfileName(globalConfig))
+        apiUrl = profile?.apiUrl || globalConfig.apiUrl
+      } catch (error) {
+        // Config file doesn't exist or is invalid
+      }
+    }
+
+    return (apiUrl || DEFAULT_API_URL).replace(/\/+$/, '')
   }
 
   // Auto-detect project configuration
@@ -133,6 +433,18 @@ class ShovConfig {
       }
     }
 
+    // A local config without a key points at a project whose key is in the credential store
+    if (localConfig.project) {
+      const project = await this.getProject(localConfig.project)
+      if (project?.apiKey) {
+        return {
+          projectName: localConfig.project,
+          apiKey: project.apiKey,
+          source: 'local'
+        }
+      }
+    }
+
     // Try environment variables
     if (process.env.SHOV_PROJECT && process.env.SHOV_API_KEY) {
       return {
@@ -142,14 +454,14 @@ class ShovConfig {
       }
     }
 
-    // Try to infer from directory name and global config
+    // Try to infer from directory name and the active profile
     const currentDir = path.basename(process.cwd())
-    const globalConfig = await this.loadGlobalConfig()
+    const project = await this.getProject(currentDir)
     
-    if (globalConfig.projects && globalConfig.projects[currentDir]) {
+    if (project?.apiKey) {
       return {
         projectName: currentDir,
-        apiKey: globalConfig.projects[currentDir].apiKey,
+        apiKey: project.apiKey,
         source: 'global'
       }
     }
@@ -158,4 +470,4 @@ class ShovConfig {
   }
 }
 
-module.exports = { ShovConfig }
+module.exports = { ShovConfig, DEFAULT_API_URL, DEFAULT_PROFILE }
@@ -0,0 +1,169 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+
+// Attributes used to find Shov entries in the Secret Service keyring
+const KEYRING_SERVICE = 'shov'
+
+const BACKENDS = ['keychain', 'file', 'plaintext']
+
+// Stores API keys outside of config.json: the OS keychain (libsecret / Secret Service)
+// when available, otherwise an AES-256-GCM encrypted file unlocked by a passphrase.
+// SHOV_CREDENTIAL_STORE=keychain|file|plaintext forces a backend.
+class CredentialStore {
+  constructor(configDir) {
+    this.credentialsFile = path.join(configDir, 'credentials.enc')
+    this.passphrase = process.env.SHOV_CONFIG_PASSPHRASE || null
+    this.keychainAvailable = null
+  }
+
+  // Pick the backend new secrets are written to
+  async getBackend() {
+    const forced = process.env.SHOV_CREDENTIAL_STORE
+    if (forced) {
+      if (!BACKENDS.includes(forced)) {
+        throw new Error(`Unknown SHOV_CREDENTIAL_STORE "${forced}". Use one of: ${BACKENDS.join(', ')}`)
+      }
+      return forced
+    }
+
+    return (await this.isKeychainAvailable()) ? 'keychain' : 'file'
+  }
+
+  // libsecret's secret-tool needs a Linux desktop session (D-Bus) to reach the keyring
+  async isKeychainAvailable() {
+    if (this.keychainAvailable !== null) {
+      return this.keychainAvailable
+    }
+
+    this.keychainAvailable = false
+    if (process.platform === 'linux' && process.env.DBUS_SESSION_BUS_ADDRESS) {
+      const result = await this.secretTool(['lookup', 'service', KEYRING_SERVICE, 'account', '__probe__'])
+      this.keychainAvailable = result.code !== 'ENOENT'
+    }
+
+    return this.keychainAvailable
+  }
+
+  async secretTool(args, input) {
+    const { execa } = await import('execa')
+    return execa('secret-tool', args, { input, reject: false })
+  }
+
+  /**
+   * Read a secret
+   * @param {string} account - Entry name (e.g. "default:my-project")
+   * @param {string} backend - Backend the secret was written to
+   */
+  async get(account, backend) {
+    if (backend === 'keychain') {
+      const result = await this.secretTool(['lookup', 'service', KEYRING_SERVICE, 'account', account])
+      return result.exitCode === 0 && result.stdout ? result.stdout : null
+    }
+
+    if (backend === 'file') {
+      const secrets = await this.readFile()
+      return secrets[account] || null
+    }
+
+    return null
+  }
+
+  /**
+   * Write a secret and return the backend it went to ("plaintext" means the caller keeps it)
+   */
+  async set(account, secret) {
+    const backend = await this.getBackend()
+
+    if (backend === 'keychain') {
+      const result = await this.secretTool(
+        ['store', `--label=Shov API key (${account})`, 'service', KEYRING_SERVICE, 'account', account],
+        secret
+      )
+      if (result.exitCode !== 0) {
+        throw new Error(`Could not write to the OS keychain: ${result.stderr || 'secret-tool failed'}`)
+      }
+    } else if (backend === 'file') {
+      const secrets = await this.readFile()
+      secrets[account] = secret
+      await this.writeFile(secrets)
+    }
+
+    return backend
+  }
+
+  async delete(account, backend) {
+    if (backend === 'keychain') {
+      await this.secretTool(['clear', 'service', KEYRING_SERVICE, 'account', account])
+    } else if (backend === 'file') {
+      const secrets = await this.readFile()
+      if (account in secrets) {
+        delete secrets[account]
+        await this.writeFile(secrets)
+      }
+    }
+  }
+
+  // Passphrase for the encrypted file: SHOV_CONFIG_PASSPHRASE, else an interactive prompt
+  async getPassphrase() {
+    if (this.passphrase) {
+      return this.passphrase
+    }
+
+    if (!process.stdin.isTTY) {
+      throw new Error('No OS keychain available. Set SHOV_CONFIG_PASSPHRASE to use the encrypted credential file, or SHOV_CREDENTIAL_STORE=plaintext to keep keys in config.json.')
+    }
+
+    const { default: prompts } = await import('prompts')
+    const { passphrase } = await prompts({
+      type: 'password',
+      name: 'passphrase',
+      message: 'Passphrase for the Shov credential store:'
+    })
+
+    if (!passphrase) {
+      throw new Error('A passphrase is required to unlock the credential store')
+    }
+
+    this.passphrase = passphrase
+    return passphrase
+  }
+
+  async readFile() {
+    if (!(await fs.pathExists(this.credentialsFile))) {
+      return {}
+    }
+
+    const { salt, iv, tag, data } = await fs.readJSON(this.credentialsFile)
+    const key = crypto.scryptSync(await this.getPassphrase(), Buffer.from(salt, 'base64'), 32)
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'))
+      decipher.setAuthTag(Buffer.from(tag, 'base64'))
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()])
+      return JSON.parse(plaintext.toString('utf8'))
+    } catch (error) {
+      throw new Error('Could not decrypt the credential store. Check your passphrase (SHOV_CONFIG_PASSPHRASE).')
+    }
+  }
+
+  async writeFile(secrets) {
+    const salt = crypto.randomBytes(16)
+    const iv = crypto.randomBytes(12)
+    const key = crypto.scryptSync(await this.getPassphrase(), salt, 32)
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()])
+
+    await fs.ensureDir(path.dirname(this.credentialsFile))
+    await fs.writeJSON(this.credentialsFile, {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, { spaces: 2, mode: 0o600 })
+  }
+}
+
+module.exports = { CredentialStore }
@@ -0,0 +1,111 @@
+const chalk = require('chalk')
+
+// JSON with object keys sorted, so reordered fields don't show up as changes
+function stableStringify(value, indent = 2) {
+  const sorted = (input) => {
+    if (Array.isArray(input)) return input.map(sorted)
+    if (input && typeof input === 'object') {
+      return Object.fromEntries(Object.keys(input).sort().map(key => [key, sorted(input[key])]))
+    }
+    return input
+  }
+  return value === undefined ? '' : JSON.stringify(sorted(value), null, indent)
+}
+
+// Largest LCS table diffLines builds (rows x columns) before falling back to before/after
+const MAX_DIFF_CELLS = 4000000
+
+/**
+ * Line diff of two values' pretty-printed JSON (longest common subsequence). Common leading and
+ * trailing lines are matched first; if what's left in between is still too big for the table,
+ * the middle is shown as all of its old lines followed by all of its new ones.
+ * @returns {{ type: ' ' | '-' | '+', line: string }[]}
+ */
+function diffLines(before, after) {
+  const a = before === undefined ? [] : stableStringify(before).split('\n')
+  const b = after === undefined ? [] : stableStringify(after).split('\n')
+
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+
+  const head = a.slice(0, start).map(line => ({ type: ' ', line }))
+  const tail = a.slice(a.length - end).map(line => ({ type: ' ', line }))
+  const oldLines = a.slice(start, a.length - end)
+  const newLines = b.slice(start, b.length - end)
+
+  if ((oldLines.length + 1) * (newLines.length + 1) > MAX_DIFF_CELLS) {
+    return [...head, ...oldLines.map(line => ({ type: '-', line })), ...newLines.map(line => ({ type: '+', line })), ...tail]
+  }
+  return [...head, ...lcsDiff(oldLines, newLines), ...tail]
+}
+
+function lcsDiff(a, b) {
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', line: a[i++] })
+      j++
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      lines.push({ type: '+', line: b[j++] })
+    } else {
+      lines.push({ type: '-', line: a[i++] })
+    }
+  }
+  return lines
+}
+
+// Colored diff with `context` unchanged lines around each change
+function formatDiff(lines, context = 3) {
+  const keep = lines.map(() => false)
+  lines.forEach((entry, index) => {
+    if (entry.type === ' ') return
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      keep[k] = true
+    }
+  })
+
+  const output = []
+  lines.forEach((entry, index) => {
+    if (!keep[index]) {
+      if (index === 0 || keep[index - 1]) output.push(chalk.cyan('  ...'))
+      return
+    }
+    if (entry.type === '-') output.push(chalk.red(`- ${entry.line}`))
+    else if (entry.type === '+') output.push(chalk.green(`+ ${entry.line}`))
+    else output.push(chalk.gray(`  ${entry.line}`))
+  })
+  return output.join('\n')
+}
+
+/**
+ * Field-level summary of what changed between two values: "+email ~profile.name -age".
+ * Non-object values are reported as a whole.
+ */
+function changeSummary(before, after, prefix = '') {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+  if (!isObject(before) || !isObject(after)) {
+    if (stableStringify(before) === stableStringify(after)) return []
+    const label = prefix || 'value'
+    if (before === undefined) return [`+${label}`]
+    if (after === undefined) return [`-${label}`]
+    return [`~${label}`]
+  }
+
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+  return fields.flatMap(field => changeSummary(before[field], after[field], prefix ? `${prefix}.${field}` : field))
+}
+
+module.exports = { stableStringify, diffLines, formatDiff, changeSummary }
@@ -0,0 +1,146 @@
+// Dynamic import for node-fetch
+const fetch = (...args) =>
+  import('node-fetch').then(({ default: fetch }) => fetch(...args))
+
+// Verbs that are safe to replay after a network error or a 5xx
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']
+
+// 429/503 mean the server refused the request, so any verb may retry them
+const THROTTLED_STATUSES = [429, 503]
+const RETRYABLE_STATUSES = [408, 500, 502, 504]
+
+const DEFAULT_TIMEOUT = 30000
+const DEFAULT_RETRIES = 3
+const BASE_DELAY = 500
+const MAX_DELAY = 30000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Read an integer setting from the environment (set by the global CLI flags)
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isNaN(value) || value < 0 ? fallback : value
+}
+
+/**
+ * Convert a Retry-After header (delta-seconds or HTTP-date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null
+
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(value)
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now())
+  }
+
+  return null
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt)
+}
+
+// Parse a response body as JSON, turning HTML error pages and the like into readable errors.
+// For an error status those become { error } so callers can still act on the status (e.g. a 404 fallback)
+async function parseBody(response, method, url) {
+  const text = await response.text()
+  if (!text.trim()) {
+    return {}
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    const contentType = (response.headers.get('content-type') || 'unknown content type').split(';')[0]
+    const snippet = text.replace(/\s+/g, ' ').trim().substring(0, 120)
+    const message = `Expected JSON from ${method} ${url} but got ${contentType} (HTTP ${response.status}): ${snippet}`
+    if (!response.ok) {
+      return { error: message }
+    }
+    const error = new Error(message)
+    error.status = response.status
+    throw error
+  }
+}
+
+/**
+ * Send an HTTP request with a per-attempt timeout and automatic retries.
+ * Resolves with { response, data } for any HTTP status so callers can inspect errors;
+ * rejects only on network failures, timeouts and unparseable bodies of successful responses.
+ *
+ * @param {string} url - Absolute URL
+ * @param {object} options
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {*} [options.body] - Serialized as JSON unless it is already a string
+ * @param {number} [options.timeout] - Milliseconds per attempt (default SHOV_REQUEST_TIMEOUT or 30s)
+ * @param {number} [options.retries] - Extra attempts (default SHOV_RETRIES or 3)
+ * @param {boolean} [options.idempotent] - Force retry behaviour for e.g. read-only POST endpoints
+ */
+async function request(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase()
+  const timeout = options.timeout ?? envInt('SHOV_REQUEST_TIMEOUT', DEFAULT_TIMEOUT)
+  const retries = options.retries ?? envInt('SHOV_RETRIES', DEFAULT_RETRIES)
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method)
+
+  const fetchOptions = {
+    method,
+    headers: options.headers || {}
+  }
+
+  // Only add body for non-GET/HEAD requests
+  if (method !== 'GET' && method !== 'HEAD' && options.body !== null && options.body !== undefined) {
+    fetchOptions.body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body)
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController()
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null
+
+    let response
+    try {
+      response = await fetch(url, { ...fetchOptions, signal: controller.signal })
+    } catch (error) {
+      clearTimeout(timer)
+      const timedOut = error.name === 'AbortError'
+      if (idempotent && attempt < retries) {
+        await sleep(backoffDelay(attempt))
+        continue
+      }
+      const message = timedOut
+        ? `Request timed out after ${timeout}ms: ${method} ${url}`
+        : `Request failed: ${method} ${url}: ${error.message}`
+      const wrapped = new Error(message)
+      wrapped.code = timedOut ? 'ETIMEDOUT' : error.code
+      throw wrapped
+    }
+
+    const throttled = THROTTLED_STATUSES.includes(response.status)
+    const retryable = throttled || (idempotent && RETRYABLE_STATUSES.includes(response.status))
+
+    if (retryable && attempt < retries) {
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      // A server asking us to wait longer than we are willing to is reported, not retried
+      if (retryAfter === null || retryAfter <= MAX_DELAY) {
+        clearTimeout(timer)
+        await sleep(retryAfter ?? backoffDelay(attempt))
+        continue
+      }
+    }
+
+    try {
+      const data = await parseBody(response, method, url)
+      return { response, data }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+}
+
+module.exports = { request, parseRetryAfter, backoffDelay, sleep }
@@ -1,11 +1,26 @@
 const fs = require('fs')
 const path = require('path')
 const chalk = require('chalk')
-const { ShovConfig } = require('./config')
-
-// Dynamic import for node-fetch
-const fetch = (...args) =>
-  import('node-fetch').then(({ default: fetch }) => fetch(...args))
+const { ShovConfig, DEFAULT_API_URL, DEFAULT_PROFILE } = require('./config')
+const { request, parseRetryAfter } = require('./http')
+const { resolveOutputFormat, parseFields, formatOutput, flatten, csvLine } = require('./output')
+const { detectInputFormat, parseFieldMap, readRecords } = require('./readers')
+const { compileWhere, matchesWhere, formatWhere } = require('./query')
+const { METRICS, Aggregator, parseFieldList } = require('./aggregate')
+const { SCHEMA_DIR, SchemaRegistry, inferSchema } = require('./schemas')
+const { SEEDS_DIR, seedFiles, readSeedFile, renderSeed, naturalKey, isSubset } = require('./seeds')
+const { diffLines, formatDiff, changeSummary } = require('./history')
+const { splitSelection, compareEntries, syncOperations } = require('./sync')
+const { Masker } = require('./mask')
+const { loadKeyValues, keyFilter, formatBytes } = require('./keys')
+const { DEFAULT_CONFLICT_RETRIES, incrementValue, keyConditionMismatch, readModifyWrite } = require('./atomic')
+const { MIGRATIONS_DIR, STATE_KEY, migrationVersion, slugify, listMigrations, loadMigration, migrationTemplate, MigrationClient } = require('./migrations')
+const { MAX_BATCH_OPERATIONS, loadOperations, validateOperations, describeOperation, chunkOperations, preImageTargets, inverseOperations, getResultState } = require('./batch')
+
+// Data endpoints that only read, so they are as safe to retry as a GET despite being POSTs
+const READ_ENDPOINTS = ['get', 'where', 'count', 'contents', 'files-list', 'files-get', 'ttl', 'history']
+
+const POINT_IN_TIME_UNSUPPORTED = 'This server does not support point-in-time reads (--at)'
 
 // Get __dirname equivalent in CommonJS
 const __dirname = __dirname || path.dirname(require.main.filename)
@@ -13,7 +28,7 @@ const __dirname = __dirname || path.dirname(require.main.filename)
 /**
  * Generate README.md content for projects
  */
-function generateReadmeForProject(projectName, projectType = 'blank', hasFrontend = false, frontendType = null) {
+function generateReadmeForProject(projectName, projectType = 'blank', hasFrontend = false, frontendType = null, apiUrl = DEFAULT_API_URL) {
   const isB2C = projectType === 'b2c';
   const isB2B = projectType === 'b2b';
   const isBlank = projectType === 'blank';
@@ -23,10 +38,10 @@ function generateReadmeForProject(projectName, projectType = 'blank', hasFronten
   if (isBlank) {
     readme += `A Shov backend project. Your edge API is deployed and ready to use!\n\n`;
     readme += `## 🚀 Your API URL\n\n`;
-    readme += `\`\`\`\nhttps://shov.com/api/code/${projectName}\n\`\`\`\n\n`;
+    readme += `\`\`\`\n${apiUrl}/api/code/${projectName}\n\`\`\`\n\n`;
     readme += `## Quick Start\n\n`;
     readme += `\`\`\`bash\n`;
-    readme += `# Test your API\ncurl https://shov.com/api/code/${projectName}\n\n`;
+    readme += `# Test your API\ncurl ${apiUrl}/api/code/${projectName}\n\n`;
     readme += `# Add data to collections\nshov add users name:string email:string\n\n`;
     readme += `# Deploy changes\nshov deploy\n`;
     readme += `\`\`\`\n\n`;
@@ -41,7 +56,7 @@ function generateReadmeForProject(projectName, projectType = 'blank', hasFronten
       readme += `- ✅ ${frontendType.charAt(0).toUpperCase() + frontendType.slice(1)} frontend (pre-configured)\n`;
     }
     readme += `\n## 🚀 Your API URL\n\n`;
-    readme += `\`\`\`\nhttps://shov.com/api/code/${projectName}\n\`\`\`\n\n`;
+    readme += `\`\`\`\n${apiUrl}/api/code/${projectName}\n\`\`\`\n\n`;
     if (hasFrontend) {
       readme += `## Quick Start\n\n`;
       readme += `### Start the frontend:\n\n`;
@@ -66,7 +81,7 @@ function generateReadmeForProject(projectName, projectType = 'blank', hasFronten
       readme += `- ✅ ${frontendType.charAt(0).toUpperCase() + frontendType.slice(1)} frontend (pre-configured)\n`;
     }
     readme += `\n## 🚀 Your API URL\n\n`;
-    readme += `\`\`\`\nhttps://shov.com/api/code/${projectName}\n\`\`\`\n\n`;
+    readme += `\`\`\`\n${apiUrl}/api/code/${projectName}\n\`\`\`\n\n`;
     if (hasFrontend) {
       readme += `## Quick Start\n\n`;
       readme += `### 1. Start the frontend:\n\n`;
@@ -122,7 +137,7 @@ function generateReadmeForProject(projectName, projectType = 'blank', hasFronten
   readme += `## 🔐 Authentication\n\n`;
   readme += `All API requests require authentication using your API key:\n\n`;
   readme += `\`\`\`bash\n`;
-  readme += `curl https://shov.com/api/data/${projectName}/users \\\n`;
+  readme += `curl ${apiUrl}/api/data/${projectName}/users \\\n`;
   readme += `  -H "Authorization: Bearer YOUR_API_KEY"\n`;
   readme += `\`\`\`\n\n`;
   readme += `Your API key is stored in \`.shov\` and \`.env\`\n\n`;
@@ -147,9 +162,27 @@ function generateReadmeForProject(projectName, projectType = 'blank', hasFronten
 
 class ShovCLI {
   constructor(options = {}) {
-    // Public CLI uses production by default
-    this.apiUrl = 'https://shov.com'
     this.config = new ShovConfig()
+    // Production by default; --api-url, SHOV_API_URL or an "apiUrl" config field override it
+    this.apiUrl = this.config.getApiUrl(options.apiUrl)
+    // Environment data requests target; only `shov shell` changes it
+    this.environment = null
+    // "<project>:<environment>" pairs the server has shown it scopes data requests by
+    this.confirmedEnvironments = new Set()
+    this.schemas = null
+  }
+
+  /**
+   * Build the runtime URL of a project (or one of its environments) on the configured endpoint.
+   * On the default endpoint apps are served from <project>.shov.dev and functions from <project>.shov.com
+   */
+  projectUrl(projectName, environment = null, { functions = false } = {}) {
+    const subdomain = environment ? `${environment}_${projectName}` : projectName
+    if (this.apiUrl === DEFAULT_API_URL) {
+      return `https://${subdomain}.${functions ? 'shov.com' : 'shov.dev'}`
+    }
+    const { protocol, host } = new URL(this.apiUrl)
+    return `${protocol}//${subdomain}.${host}`
   }
 
   /**
@@ -220,8 +253,8 @@ class ShovCLI {
   handleApiError(response, data, spinner, operation = 'Operation') {
     if (response.status === 429) {
       // Rate limiting
-      const retryAfter = response.headers.get('Retry-After') || data.retryAfter
-      const waitTime = retryAfter ? Math.ceil(retryAfter / 60) : 60 // Convert to minutes
+      const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After') ?? data.retryAfter)
+      const waitTime = retryAfterMs !== null ? Math.max(1, Math.ceil(retryAfterMs / 60000)) : 60 // Convert to minutes
       
       spinner.fail(`Rate limit exceeded: ${data.error || 'Too many requests'}`)
       console.log(chalk.yellow(`⏱️  Please wait ${waitTime} minute${waitTime > 1 ? 's' : ''} before trying again.`))
@@ -299,13 +332,30 @@ class ShovCLI {
     }
   }
 
-  async apiCall(path, body, apiKey, options = {}, method = 'POST') {
-    const { verbose } = options;
+  /**
+   * Single transport for every API request: timeouts, retries with backoff, Retry-After and JSON parsing.
+   * Resolves with { response, data } whatever the HTTP status; apiCall() is the throwing variant.
+   */
+  async apiRequest(path, { method = 'POST', body, apiKey, headers = {}, verbose, idempotent, timeout } = {}) {
     const url = `${this.apiUrl}/api${path}`;
-    const headers = {
+    const requestHeaders = {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
+      ...headers
     };
+    if (apiKey) {
+      requestHeaders.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const [, scope, projectName, endpoint] = path.split('/');
+    const isRead = scope === 'data' && READ_ENDPOINTS.includes(endpoint);
+
+    // Set by `.env` in `shov shell`: data requests carry the environment they target.
+    // A server that ignores the field would answer from production, so it must be confirmed first
+    const environment = scope === 'data' && !Array.isArray(body) ? this.environment : null;
+    if (environment) {
+      await this.confirmEnvironment(projectName, apiKey, environment);
+      body = { ...body, environment };
+    }
 
     if (verbose) {
       console.log(chalk.gray(`> ${method} ${url}`));
@@ -314,22 +364,54 @@ class ShovCLI {
       }
     }
 
-    const fetchOptions = {
-      method: method,
-      headers
-    };
+    const result = await request(url, {
+      method,
+      headers: requestHeaders,
+      body,
+      timeout,
+      idempotent: idempotent ?? (isRead || undefined)
+    });
+
+    if (environment && result.response.ok && result.data.environment !== environment) {
+      throw new Error(`The server did not confirm that ${method} ${path} ran in environment "${environment}"; check the data before retrying`);
+    }
+    return result;
+  }
+
+  /**
+   * Check once per project and environment that the server scopes data requests by the
+   * `environment` field: its reply has to name the environment it read from.
+   */
+  async confirmEnvironment(projectName, apiKey, environment) {
+    const id = `${projectName}:${environment}`;
+    if (this.confirmedEnvironments.has(id)) {
+      return;
+    }
 
-    // Only add body for non-GET/HEAD requests
-    if (method !== 'GET' && method !== 'HEAD' && body !== null && body !== undefined) {
-      fetchOptions.body = JSON.stringify(body);
+    const previous = this.environment;
+    this.environment = null;
+    let response, data;
+    try {
+      ({ response, data } = await this.apiRequest(`/data/${projectName}/contents`, { apiKey, body: { environment } }));
+    } finally {
+      this.environment = previous;
     }
 
-    const response = await fetch(url, fetchOptions);
+    if (!response.ok) {
+      throw new Error(data.error || `Could not check environment "${environment}"`);
+    }
+    if (data.environment !== environment) {
+      throw new Error(`This server does not confirm which environment data requests use, so "${environment}" can't be targeted safely (they could reach production)`);
+    }
+    this.confirmedEnvironments.add(id);
+  }
 
-    const data = await response.json();
+  async apiCall(path, body, apiKey, options = {}, method = 'POST') {
+    const { response, data } = await this.apiRequest(path, { method, body, apiKey, verbose: options.verbose });
 
     if (!response.ok) {
       const error = new Error(data.error || `API request failed with status ${response.status}`);
+      error.status = response.status;
       error.response = data; // Attach full response to error object
       throw error;
     }
@@ -370,6 +452,42 @@ class ShovCLI {
     throw new Error('Project configuration not found. Run "shov init" to set up a project, or use --project and --key options.')
   }
 
+  // Print data in the format picked with -o/--output (or --json / SHOV_OUTPUT).
+  // Returns false when no format was picked so the caller prints its usual output
+  printOutput(options, output) {
+    const format = resolveOutputFormat(options)
+    if (!format) {
+      return false
+    }
+
+    console.log(formatOutput(format, output, parseFields(options.fields || process.env.SHOV_FIELDS)))
+    return true
+  }
+
+  // Schemas from the project's schemas/ directory, loaded on first use
+  schemaRegistry() {
+    if (!this.schemas) {
+      this.schemas = new SchemaRegistry(this.config.getProjectRoot())
+    }
+    return this.schemas
+  }
+
+  /**
+   * Throw if a value doesn't match its schema in schemas/ (see SchemaRegistry.check).
+   * --no-validate skips the check.
+   */
+  checkSchema(target, value, options = {}) {
+    if (options.validate === false) {
+      return
+    }
+
+    const problems = this.schemaRegistry().check(target, value)
+    if (problems.length > 0) {
+      const schema = target.collection ? `${SCHEMA_DIR}/${target.collection}.json` : `the schema for key "${target.key}"`
+      throw new Error(`Value does not match ${schema} (use --no-validate to skip):\n  ${problems.join('\n  ')}`)
+    }
+  }
+
   async isFirstTimeUser() {
     try {
       // Check for local config first
@@ -379,12 +497,12 @@ class ShovCLI {
         return false
       }
       
-      // Check global config and projects
-      const globalConfig = await this.config.loadGlobalConfig()
+      // Check the active profile and its projects
+      const profile = await this.config.loadProfile()
       const projects = await this.config.listProjects()
       
-      // First-time user if no global config or no projects
-      return !globalConfig.email && Object.keys(projects).length === 0
+      // First-time user if no email or no projects
+      return !profile.email && Object.keys(projects).length === 0
     } catch (error) {
       // If we can't load config, assume first-time user
       return true
@@ -405,20 +523,12 @@ class ShovCLI {
       // Create anonymous demo project
       let spinner = ora('Creating demo project...').start()
       
-      // Build headers - only include Authorization if we have a token
-      const headers = {
-        'Content-Type': 'application/json',
-      }
-      if (config.token) {
-        headers.Authorization = `Bearer ${config.token}`
-      }
-      
-      const response = await fetch(`${this.apiUrl}/api/projects`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
+      // Only include Authorization if we have a token
+      const { response, data } = await this.apiRequest('/projects', {
+        apiKey: config.token,
+        body: {
           projectName: null, // Anonymous
-        }),
+        },
       })
 
       if (!response.ok) {
@@ -426,7 +536,6 @@ class ShovCLI {
         return
       }
 
-      const data = await response.json()
       if (!data.success) {
         spinner.fail('Demo creation failed')
         return
@@ -437,43 +546,33 @@ class ShovCLI {
       // Add demo data
       spinner = ora('Adding demo data to collection "hello"...').start()
       
-      const addResponse = await fetch(`${this.apiUrl}/api/data/${data.project.name}/add`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${data.project.apiKey}`
-        },
-        body: JSON.stringify({
+      const { response: addResponse, data: addData } = await this.apiRequest(`/data/${data.project.name}/add`, {
+        apiKey: data.project.apiKey,
+        body: {
           name: 'hello',
           value: { message: 'world', timestamp: new Date().toISOString(), demo: true }
-        })
+        }
       })
 
       if (addResponse.ok) {
-        const addData = await addResponse.json()
         spinner.succeed(`Added item with ID: ${addData.id}`)
         
         // Retrieve the data
         spinner = ora('Retrieving data...').start()
         
-        const getResponse = await fetch(`${this.apiUrl}/api/data/${data.project.name}/where`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${data.project.apiKey}`
-          },
-          body: JSON.stringify({
+        const { response: getResponse, data: getData } = await this.apiRequest(`/data/${data.project.name}/where`, {
+          apiKey: data.project.apiKey,
+          body: {
             name: 'hello',
             limit: 1
-          })
+          }
         })
 
         if (getResponse.ok) {
-          const getData = await getResponse.json()
           spinner.succeed('Data retrieved successfully!')
           
           console.log(chalk.gray('   Data: ') + chalk.white(JSON.stringify(getData.items[0].value, null, 2)))
-          console.log(chalk.gray('   View live: ') + chalk.cyan(`https://shov.com/${data.project.name}/hello`))
+          console.log(chalk.gray('   View live: ') + chalk.cyan(`${this.apiUrl}/${data.project.name}/hello`))
         } else {
           spinner.fail('Failed to retrieve data')
         }
@@ -599,14 +698,6 @@ class ShovCLI {
     const config = await this.config.getConfig()
 
     try {
-      // Build headers - only include Authorization if we have a token
-      const headers = {
-        'Content-Type': 'application/json',
-      }
-      if (config.token) {
-        headers.Authorization = `Bearer ${config.token}`
-      }
-      
       // Validate and normalize region
       let dataRegion = 'global'; // default
       if (options.region) {
@@ -619,21 +710,20 @@ class ShovCLI {
         }
       }
       
-      const response = await fetch(`${this.apiUrl}/api/projects`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
+      // Only include Authorization if we have a token
+      const { response, data } = await this.apiRequest('/projects', {
+        apiKey: config.token,
+        body: {
           projectName: projectName || null,
           starter: options.starter || null,
           lang: options.lang || null,
           frontend: options.frontend || null,
           autoDeployFrontend: options.frontend ? true : false, // Auto-deploy if frontend requested
           dataRegion: dataRegion,
-        }),
+        },
       })
 
       if (!response.ok) {
-        const data = await response.json().catch(() => ({}))
         const errorMessage = data.error || response.statusText
         spinner.fail(`Project creation failed: ${errorMessage}`)
         
@@ -641,8 +731,6 @@ class ShovCLI {
         process.exit(1)
       }
 
-      const data = await response.json()
-
       if (data.success) {
         spinner.succeed('Project created')
         
@@ -664,7 +752,7 @@ class ShovCLI {
           url: data.project.url,
           codeDir: codeDir,
           language: language,
-        })
+        }, { inCurrentDir: true })
         this.addToEnv(
           data.project.apiKey, 
           data.project.name,
@@ -680,7 +768,7 @@ class ShovCLI {
             await this.writeReadme(data.readme)
           } else {
             // Fallback: generate README locally if backend didn't provide one
-            const readmeContent = generateReadmeForProject(data.project.name, options.starter || 'blank', !!options.frontend, options.frontend)
+            const readmeContent = generateReadmeForProject(data.project.name, options.starter || 'blank', !!options.frontend, options.frontend, this.apiUrl)
             await this.writeReadme(readmeContent)
           }
         }
@@ -847,30 +935,23 @@ class ShovCLI {
       }
       
       // Step 1: Initiate project creation with email
-      const response = await fetch(`${this.apiUrl}/api/projects`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${config.token || ''}`,
-        },
-        body: JSON.stringify({
+      const { response, data } = await this.apiRequest('/projects', {
+        apiKey: config.token,
+        body: {
           projectName: projectName || null,
           email: email,
           starter: options.starter || null,
           lang: options.lang || null,
           frontend: options.frontend || null,
           dataRegion: dataRegion,
-        }),
+        },
       })
 
       if (!response.ok) {
-        const data = await response.json().catch(() => ({}))
         this.handleApiError(response, data, spinner, 'Project creation')
         return
       }
 
-      const data = await response.json()
-
       if (data.success && data.requiresVerification) {
         spinner.stop()
         
@@ -890,28 +971,21 @@ class ShovCLI {
         // Step 3: Verify OTP and complete project creation
         spinner = ora('🔐 Verifying code and creating project...').start()
         
-        const verifyResponse = await fetch(`${this.apiUrl}/api/new/verify`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
+        const { response: verifyResponse, data: verifyData } = await this.apiRequest('/new/verify', {
+          body: {
             email: email,
             pin: otpResponse.otp,
             projectName: data.project.name,
             starter: options.starter || null,
             dataRegion: dataRegion,
-          }),
+          },
         })
 
         if (!verifyResponse.ok) {
-          const verifyData = await verifyResponse.json().catch(() => ({}))
           this.handleApiError(verifyResponse, verifyData, spinner, 'Verification')
           return
         }
 
-        const verifyData = await verifyResponse.json()
-
         if (verifyData.success) {
           spinner.succeed(`Project verified and created successfully!`)
           
@@ -927,7 +1001,7 @@ class ShovCLI {
             email: email,
             codeDir: codeDir,
             language: language,
-          })
+          }, { inCurrentDir: true })
           this.addToEnv(
             verifyData.project.apiKey,
             verifyData.project.name,
@@ -944,7 +1018,7 @@ class ShovCLI {
             } else {
               // Fallback: generate README locally if backend didn't provide one
               console.log(chalk.gray('  📚 Generating README locally...'))
-              const readmeContent = generateReadmeForProject(verifyData.project.name, options.starter || 'blank', !!options.frontend, options.frontend)
+              const readmeContent = generateReadmeForProject(verifyData.project.name, options.starter || 'blank', !!options.frontend, options.frontend, this.apiUrl)
               await this.writeReadme(readmeContent)
             }
           }
@@ -1015,7 +1089,7 @@ class ShovCLI {
         await this.config.saveLocalConfig({
           project: data.project.name,
           apiKey: data.project.apiKey,
-        })
+        }, { inCurrentDir: true })
         this.addToEnv(data.project.apiKey, data.project.name)
         
         // Show URL even for edge case
@@ -1167,17 +1241,11 @@ class ShovCLI {
     let spinner = ora(`Initiating claim for project '${finalProjectName}'...`).start();
     try {
       // Step 1: Initiate the claim and trigger OTP
-      const initiateResponse = await fetch(`${this.apiUrl}/api/claim/initiate`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({ projectName: finalProjectName, email }),
+      const { response: initiateResponse, data: initiateData } = await this.apiRequest('/claim/initiate', {
+        apiKey,
+        body: { projectName: finalProjectName, email },
       });
 
-      const initiateData = await initiateResponse.json();
-
       if (!initiateResponse.ok || !initiateData.success) {
         this.handleApiError(initiateResponse, initiateData, spinner, 'Claim initiation');
         return;
@@ -1199,16 +1267,10 @@ class ShovCLI {
 
       // Step 3: Verify the OTP and complete the claim
       spinner.start('Verifying code and claiming project...');
-      const verifyResponse = await fetch(`${this.apiUrl}/api/claim/verify`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({ projectName: finalProjectName, email, pin }),
+      const { response: verifyResponse, data: verifyData } = await this.apiRequest('/claim/verify', {
+        apiKey,
+        body: { projectName: finalProjectName, email, pin },
       });
-      
-      const verifyData = await verifyResponse.json();
 
       if (!verifyResponse.ok || !verifyData.success) {
         this.handleApiError(verifyResponse, verifyData, spinner, 'Claim verification');
@@ -1271,14 +1333,11 @@ class ShovCLI {
       const spinner = ora('Sending verification code...').start();
       
       try {
-        const otpResponse = await fetch(`${this.apiUrl}/api/auth/send-otp`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email })
+        const { response: otpResponse, data: error } = await this.apiRequest('/auth/send-otp', {
+          body: { email }
         });
         
         if (!otpResponse.ok) {
-          const error = await otpResponse.json();
           throw new Error(error.error || 'Failed to send OTP');
         }
         
@@ -1306,22 +1365,17 @@ class ShovCLI {
       spinner.start('Verifying code and generating API key...');
       
       try {
-        const verifyResponse = await fetch(`${this.apiUrl}/api/projects/${projectName}/clone-auth`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ 
+        const { response: verifyResponse, data: verifyData } = await this.apiRequest(`/projects/${projectName}/clone-auth`, {
+          body: { 
             email,
             pin: otpPromptResponse.otp
-          })
+          }
         });
         
         if (!verifyResponse.ok) {
-          const error = await verifyResponse.json();
-          throw new Error(error.error || 'Invalid verification code');
+          throw new Error(verifyData.error || 'Invalid verification code');
         }
         
-        const verifyData = await verifyResponse.json();
-        
         if (!verifyData.success || !verifyData.apiKey) {
           throw new Error('Failed to generate API key');
         }
@@ -1340,21 +1394,15 @@ class ShovCLI {
 
     try {
       // Get project data from API with API key
-      const response = await fetch(`${this.apiUrl}/api/projects/${projectName}/clone`, {
+      const { response, data } = await this.apiRequest(`/projects/${projectName}/clone`, {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        }
+        apiKey
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `Failed to clone project: ${response.status}`);
+        throw new Error(data.error || `Failed to clone project: ${response.status}`);
       }
 
-      const data = await response.json();
-
       if (!data.success) {
         throw new Error(data.error || 'Failed to clone project');
       }
@@ -1476,7 +1524,7 @@ class ShovCLI {
     await this.config.saveLocalConfig({
       project: projectName,
       apiKey: apiKey
-    })
+    }, { inCurrentDir: true })
     
     // Also save to global config if we have email
     const email = await this.config.getDefaultEmail()
@@ -1493,6 +1541,7 @@ class ShovCLI {
   async showConfig() {
     const detected = await this.config.detectProject()
     const globalConfig = await this.config.loadGlobalConfig()
+    const profile = await this.config.loadProfile()
     const localConfig = await this.config.loadLocalConfig()
     
     console.log(chalk.bold('Shov Configuration:'))
@@ -1512,9 +1561,18 @@ class ShovCLI {
     }
     
     // Global configuration
-    if (globalConfig.email) {
+    const profileName = this.config.activeProfileName(globalConfig)
+    if (profile.email || profileName !== DEFAULT_PROFILE) {
       console.log(chalk.bold('Global Settings:'))
-      console.log(`  Default Email: ${chalk.gray(globalConfig.email)}`)
+      console.log(`  Profile: ${chalk.cyan(profileName)}`)
+      if (profile.email) console.log(`  Default Email: ${chalk.gray(profile.email)}`)
+      console.log('')
+    }
+    
+    // API endpoint (only worth showing when it isn't production)
+    if (this.apiUrl !== DEFAULT_API_URL) {
+      console.log(chalk.bold('API Endpoint:'))
+      console.log(`  URL: ${chalk.cyan(this.apiUrl)}`)
       console.log('')
     }
     
@@ -1533,17 +1591,49 @@ class ShovCLI {
     // Local configuration
     if (Object.keys(localConfig).length > 0) {
       console.log(chalk.bold('Local Configuration:'))
-      console.log(`  File: ${chalk.gray('.shov')}`)
+      console.log(`  File: ${chalk.gray(this.config.relativeToCwd(this.config.findLocalConfigFile()))}`)
       if (localConfig.project) console.log(`  Project: ${chalk.cyan(localConfig.project)}`)
       if (localConfig.apiKey) console.log(`  API Key: ${chalk.yellow(localConfig.apiKey.substring(0, 20) + '...')}`)
       console.log('')
     }
     
     // Environment variables
-    if (process.env.SHOV_PROJECT || process.env.SHOV_API_KEY) {
+    if (process.env.SHOV_PROJECT || process.env.SHOV_API_KEY || process.env.SHOV_API_URL || process.env.SHOV_PROFILE) {
       console.log(chalk.bold('Environment Variables:'))
       if (process.env.SHOV_PROJECT) console.log(`  SHOV_PROJECT: ${chalk.cyan(process.env.SHOV_PROJECT)}`)
       if (process.env.SHOV_API_KEY) console.log(`  SHOV_API_KEY: ${chalk.yellow(process.env.SHOV_API_KEY.substring(0, 20) + '...')}`)
+      if (process.env.SHOV_API_URL) console.log(`  SHOV_API_URL: ${chalk.cyan(process.env.SHOV_API_URL)}`)
+      if (process.env.SHOV_PROFILE) console.log(`  SHOV_PROFILE: ${chalk.cyan(process.env.SHOV_PROFILE)}`)
+    }
+  }
+
+  // Move plaintext API keys out of ~/.shov/config.json into the credential store
+  async migrateCredentials() {
+    const { default: ora } = await import('ora')
+    const spinner = ora('Migrating API keys to the credential store...').start()
+    
+    try {
+      const { migrated, backend } = await this.config.migrateCredentials()
+      
+      if (migrated.length === 0) {
+        spinner.succeed('No plaintext API keys found in ~/.shov/config.json')
+        return
+      }
+      
+      const storeName = backend === 'keychain' ? 'the OS keychain' : 'the encrypted credential file'
+      spinner.succeed(`Moved ${migrated.length} API key${migrated.length === 1 ? '' : 's'} to ${storeName}`)
+      for (const { profile, project } of migrated) {
+        console.log(`  • ${chalk.cyan(project)} ${chalk.gray(`(${profile})`)}`)
+      }
+      
+      const localConfig = await this.config.loadLocalConfig()
+      if (localConfig.apiKey) {
+        console.log('')
+        console.log(chalk.yellow('The local .shov file still contains an API key. Run "shov switch <project>" to remove it.'))
+      }
+    } catch (error) {
+      spinner.fail('Migration failed')
+      throw error
     }
   }
 
@@ -1552,17 +1642,12 @@ class ShovCLI {
     const { projectName, apiKey } = await this.getProjectConfig(options)
 
     try {
-      const response = await fetch(`${this.apiUrl}/api/get/${projectName}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({ name: key })
+      const { response, data } = await this.apiRequest(`/get/${projectName}`, {
+        apiKey,
+        body: { name: key },
+        idempotent: true
       })
 
-      const data = await response.json()
-
       if (!response.ok) {
         throw new Error(data.error || 'Failed to get value')
       }
@@ -1576,6 +1661,10 @@ class ShovCLI {
   }
 
   async set(key, value, options = {}) {
+    if (options.ifVersion !== undefined || options.ifAbsent) {
+      return this.conditionalSet(key, value, options);
+    }
+
     const { default: ora } = await import('ora');
     const spinner = ora('Setting value...').start();
     try {
@@ -1592,12 +1681,18 @@ class ShovCLI {
         // Not a JSON object, treat as a string.
       }
 
+      this.checkSchema({ key }, parsedValue, options);
+
       const body = { name: key, value: parsedValue };
+      if (options.ttl) {
+        body.ttl = this.parseDuration(options.ttl);
+      }
       // excludeFromVector removed (vector search removed for v1)
       const response = await this.apiCall(`/data/${project.projectName}/set`, body, project.apiKey, options);
 
       if (response.success) {
-        spinner.succeed(`Successfully set "${key}".`);
+        const expiry = body.ttl ? ` (expires in ${this.formatDuration(body.ttl)})` : '';
+        spinner.succeed(`Successfully set "${key}".${expiry}`);
       } else {
         spinner.fail(`Failed to set value: ${response.error || 'An unexpected error occurred.'}`);
       }
@@ -1611,19 +1706,26 @@ class ShovCLI {
       const { projectName, apiKey } = await this.getProjectConfig(options);
 
       const body = { name: key };
+      if (options.at) {
+        body.at = await this.resolvePointInTime(options.at, projectName, apiKey);
+      }
 
       const data = await this.apiCall(`/data/${projectName}/get`, body, apiKey, options);
+      if (body.at && data.success && !data.asOf) {
+        throw new Error(POINT_IN_TIME_UNSUPPORTED);
+      }
 
       if (data.success) {
-        if (options.json) {
-          console.log(JSON.stringify({
-            success: true,
-            key: key,
-            value: data.value,
-            project: projectName
-          }, null, 2));
-        } else {
-          console.log(`Value for "${key}": ${JSON.stringify(data.value, null, 2)}`)
+        const result = {
+          success: true,
+          key: key,
+          value: data.value,
+          project: projectName,
+          ...(body.at && { at: data.asOf })
+        };
+        if (!this.printOutput(options, { data: result, rows: [{ key, value: data.value }], raw: data.value })) {
+          const when = body.at ? ` at ${data.asOf}` : '';
+          console.log(`Value for "${key}"${when}: ${JSON.stringify(data.value, null, 2)}`)
         }
       } else {
         if (options.json) {
@@ -1663,23 +1765,29 @@ class ShovCLI {
     }
 
     try {
+      this.checkSchema({ collection }, parsedValue, options)
+
       const body = {
         name: collection,
         value: parsedValue
       };
+      if (options.ttl) {
+        body.ttl = this.parseDuration(options.ttl);
+      }
       // excludeFromVector removed (vector search removed for v1)
       const data = await this.apiCall(`/data/${projectName}/add`, body, apiKey, options);
 
       if (data.success) {
         if (options.json) {
           // Output JSON for scripts
-          console.log(JSON.stringify({ success: true, id: data.id, collection, value: parsedValue }))
+          console.log(JSON.stringify({ success: true, id: data.id, collection, value: parsedValue, ...(body.ttl && { ttl: body.ttl }) }))
         } else {
           // Output formatted for humans
           console.log(chalk.green('✅ Item added to collection'))
           console.log(`  Collection: ${chalk.cyan(collection)}`)
           console.log(`  Item ID: ${chalk.yellow(data.id)}`)
           console.log(`  Value: ${chalk.gray(JSON.stringify(parsedValue))}`)
+          if (body.ttl) console.log(`  Expires in: ${chalk.gray(this.formatDuration(body.ttl))}`)
         }
       } else {
         throw new Error(data.error || 'Failed to add to collection')
@@ -1705,20 +1813,21 @@ class ShovCLI {
         throw new Error('Input must be a valid JSON array.');
       }
 
-      const response = await fetch(`${this.apiUrl}/api/data/${projectConfig.projectName}/add-many`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
-        },
-        body: JSON.stringify({ 
+      if (options.validate !== false) {
+        const problems = items.flatMap((item, index) => this.schemaRegistry().check({ collection }, item).map(problem => `Item ${index + 1}: ${problem}`));
+        if (problems.length > 0) {
+          throw new Error(`Items do not match ${SCHEMA_DIR}/${collection}.json (use --no-validate to skip):\n  ${problems.join('\n  ')}`);
+        }
+      }
+
+      const { response, data } = await this.apiRequest(`/data/${projectConfig.projectName}/add-many`, {
+        apiKey: projectConfig.apiKey,
+        body: { 
           name: collection, 
           items: items,
           ...(options.noVector && { excludeFromVector: true })
-        })
+        }
       });
-
-      const data = await response.json();
       if (response.ok) {
         spinner.succeed(`Successfully added ${data.ids.length} items to collection "${collection}".`);
       } else {
@@ -1730,6 +1839,173 @@ class ShovCLI {
   }
 
 
+  /**
+   * Import NDJSON, CSV or a JSON array into a collection through chunked add-many calls.
+   * Completed chunks are recorded in a checkpoint file so --resume can skip them after a failure;
+   * unparseable rows and rows from failed chunks go to a reject file.
+   */
+  async importCollection(collection, file, options = {}) {
+    const { default: ora } = await import('ora')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const format = options.format || detectInputFormat(file)
+    const chunkSize = parseInt(options.chunkSize, 10) || 100
+    const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 4)
+    const fieldMap = parseFieldMap(options.map)
+    const fromStdin = file === '-'
+
+    if (!fromStdin && !fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`)
+    }
+    if (fromStdin && options.resume) {
+      throw new Error('--resume needs a file; stdin cannot be replayed')
+    }
+
+    const checkpointFile = options.checkpoint || (fromStdin ? null : `${file}.checkpoint.json`)
+    const rejectFile = options.reject || (fromStdin ? 'import-rejects.ndjson' : `${file}.rejects.ndjson`)
+
+    // The checkpoint only applies to the same file, collection and chunking
+    const stat = fromStdin ? null : fs.statSync(file)
+    const fingerprint = {
+      project: projectName,
+      collection,
+      file: fromStdin ? '-' : path.resolve(file),
+      size: stat ? stat.size : null,
+      mtimeMs: stat ? stat.mtimeMs : null,
+      chunkSize
+    }
+    let checkpoint = { ...fingerprint, completed: [] }
+
+    if (checkpointFile && fs.existsSync(checkpointFile)) {
+      if (!options.resume) {
+        throw new Error(`A checkpoint from an earlier import exists (${checkpointFile}). Run with --resume to continue it, or delete it to start over.`)
+      }
+      const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'))
+      const mismatch = Object.keys(fingerprint).find(key => saved[key] !== fingerprint[key])
+      if (mismatch) {
+        throw new Error(`Checkpoint ${checkpointFile} does not match this import (${mismatch} differs). Delete it to start over.`)
+      }
+      checkpoint = saved
+    } else if (options.resume) {
+      throw new Error(`No checkpoint found at ${checkpointFile}`)
+    }
+
+    const completed = new Set(checkpoint.completed)
+    const saveCheckpoint = () => {
+      checkpoint.completed = [...completed]
+      fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint))
+    }
+    // Written before the first chunk is sent, so --resume works however early the import stops
+    if (checkpointFile) {
+      saveCheckpoint()
+    }
+
+    const stats = { added: 0, skipped: 0, rejected: 0, failedChunks: 0 }
+    let rejects = null
+    const reject = (entry) => {
+      rejects = rejects || fs.createWriteStream(rejectFile)
+      rejects.write(JSON.stringify(entry) + '\n')
+      stats.rejected++
+    }
+
+    const spinner = ora(`Importing into "${collection}"...`).start()
+    const progress = () => {
+      spinner.text = `Importing into "${collection}"... ${stats.added} added${stats.skipped ? `, ${stats.skipped} already imported` : ''}${stats.rejected ? `, ${stats.rejected} rejected` : ''}`
+    }
+
+    const sendChunk = async (index, rows) => {
+      try {
+        const { response, data } = await this.apiRequest(`/data/${projectName}/add-many`, {
+          apiKey,
+          body: { name: collection, items: rows.map(row => row.record) }
+        })
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP ${response.status}`)
+        }
+
+        stats.added += rows.length
+        completed.add(index)
+        if (checkpointFile) {
+          saveCheckpoint()
+        }
+      } catch (error) {
+        stats.failedChunks++
+        for (const row of rows) {
+          reject({ line: row.line, error: error.message, record: row.record })
+        }
+      }
+      progress()
+    }
+
+    // Keep at most `concurrency` chunks in flight while reading ahead
+    const inFlight = new Set()
+    let chunk = []
+    let chunkIndex = 0
+    const flush = async () => {
+      if (chunk.length === 0) return
+      const rows = chunk
+      const index = chunkIndex++
+      chunk = []
+
+      if (completed.has(index)) {
+        stats.skipped += rows.length
+        progress()
+        return
+      }
+
+      const task = sendChunk(index, rows).finally(() => inFlight.delete(task))
+      inFlight.add(task)
+      if (inFlight.size >= concurrency) {
+        await Promise.race(inFlight)
+      }
+    }
+
+    try {
+      for await (const row of readRecords(file, { format, fieldMap, coerce: options.coerce !== false })) {
+        if (row.error) {
+          reject(row)
+          continue
+        }
+        const problems = options.validate === false ? [] : this.schemaRegistry().check({ collection }, row.record)
+        if (problems.length > 0) {
+          reject({ line: row.line, error: `Does not match ${SCHEMA_DIR}/${collection}.json: ${problems.join('; ')}`, record: row.record })
+          continue
+        }
+        chunk.push(row)
+        if (chunk.length >= chunkSize) {
+          await flush()
+        }
+      }
+      await flush()
+      await Promise.all(inFlight)
+    } catch (error) {
+      await Promise.all(inFlight)
+      spinner.fail(`Import stopped: ${error.message}`)
+      throw new Error(checkpointFile ? `${error.message}. Fix the problem and run the same command with --resume to continue` : error.message)
+    } finally {
+      if (rejects) {
+        await new Promise(resolve => rejects.end(resolve))
+      }
+    }
+
+    if (stats.failedChunks === 0 && checkpointFile && fs.existsSync(checkpointFile)) {
+      fs.unlinkSync(checkpointFile)
+    }
+
+    const summary = `${stats.added} items added to "${collection}"${stats.skipped ? `, ${stats.skipped} skipped (already imported)` : ''}`
+    if (stats.rejected === 0) {
+      spinner.succeed(summary)
+      return
+    }
+
+    spinner.warn(`${summary}, ${stats.rejected} rejected`)
+    console.log(chalk.gray(`  Rejected rows: ${rejectFile}`))
+
+    if (stats.failedChunks > 0) {
+      const retry = checkpointFile ? 'Run the same command with --resume to retry them.' : `Their rows are in ${rejectFile}.`
+      throw new Error(`${stats.failedChunks} chunk${stats.failedChunks === 1 ? '' : 's'} failed. ${retry}`)
+    }
+  }
+
   // Find items in collection with filters (renamed to WHERE)
   async whereInCollection(collection, options = {}) {
     const { projectName, apiKey } = await this.getProjectConfig(options)
@@ -1738,39 +2014,51 @@ class ShovCLI {
       name: collection
     }
 
-    if (options.filter) {
-      try {
-        body.filter = JSON.parse(options.filter)
-      } catch {
-        throw new Error('Filter must be valid JSON')
-      }
+    const { filter, residual } = this.resolveFilter(options)
+    if (filter) {
+      body.filter = filter
     }
 
     if (options.limit) {
       body.limit = parseInt(options.limit, 10)
     }
 
+    if (options.offset) {
+      body.offset = parseInt(options.offset, 10)
+    }
+
     if (options.sort) {
       body.sort = options.sort
     }
 
+    if (options.cursor) {
+      body.cursor = options.cursor
+    }
+
+    if (options.at) {
+      body.at = await this.resolvePointInTime(options.at, projectName, apiKey)
+    }
+
+    if (residual && options.cursor) {
+      throw new Error('--cursor can\'t be combined with --where conditions that are evaluated client-side')
+    }
+
     try {
-      const response = await fetch(`${this.apiUrl}/api/data/${projectName}/where`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(body)
-      })
+      if (options.all) {
+        await this.streamAllItems(projectName, apiKey, body, { ...options, match: residual })
+        return
+      }
 
-      const data = await response.json()
+      const data = residual
+        ? await this.findClientSide(projectName, apiKey, body, residual, parseInt(options.pageSize, 10) || 100)
+        : await this.fetchWherePage(projectName, apiKey, body)
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to find in collection')
+      if (this.printOutput(options, { data, rows: data.items })) {
+        return
       }
 
-      console.log(chalk.green(`✅ Found ${data.items.length} items in "${collection}":`))
+      const asOf = body.at ? ` as of ${data.asOf}` : ''
+      console.log(chalk.green(`✅ Found ${data.items.length} items in "${collection}"${asOf}:`))
       
       if (data.items.length === 0) {
         console.log(chalk.gray('  No items found matching filter'))
@@ -1783,1568 +2071,3089 @@ class ShovCLI {
         console.log(`     ${chalk.dim(item.createdAt)}`)
       })
 
+      if (data.nextCursor) {
+        console.log('')
+        console.log(chalk.gray(`More results: shov where ${collection} --cursor ${data.nextCursor}`))
+      } else if (body.limit && data.items.length === body.limit) {
+        console.log('')
+        console.log(chalk.gray(`More results may exist: shov where ${collection} --offset ${(body.offset || 0) + data.items.length}`))
+      }
+
     } catch (error) {
       throw new Error(`Failed to find in collection: ${error.message}`)
     }
   }
 
-  // Count items in collection with optional filters
-  async countInCollection(collection, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-
-    const body = {
-      name: collection
-    }
-
+  /**
+   * Combine --filter JSON and a --where expression into the filter sent to the server.
+   * `residual` holds the --where conditions the server can't evaluate (null when there are none).
+   */
+  resolveFilter(options = {}) {
+    let filter
     if (options.filter) {
       try {
-        body.filter = JSON.parse(options.filter)
+        filter = JSON.parse(options.filter)
       } catch {
         throw new Error('Filter must be valid JSON')
       }
     }
 
-    try {
-      const response = await fetch(`${this.apiUrl}/api/data/${projectName}/count`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(body)
-      })
+    if (!options.where) {
+      return { filter, residual: null }
+    }
 
-      const data = await response.json()
+    const compiled = compileWhere(options.where)
+    const overlap = Object.keys(compiled.filter).filter(field => filter && field in filter)
+    if (overlap.length > 0) {
+      throw new Error(`--filter and --where both constrain "${overlap[0]}". Put the condition in one of them`)
+    }
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to count items in collection')
-      }
+    if (compiled.residual) {
+      console.error(chalk.yellow(`⚠️  The server can't evaluate: ${formatWhere(compiled.residual)}`))
+      console.error(chalk.yellow('   Matching items are fetched page by page and filtered locally, which is slower on large collections.'))
+    }
 
-      if (options.json) {
-        console.log(JSON.stringify(data, null, 2))
-      } else {
-        console.log(chalk.green(`✅ Found ${data.count} items in "${collection}"`))
-        if (options.filter) {
-          console.log(chalk.gray(`   Filter: ${options.filter}`))
+    return { filter: { ...filter, ...compiled.filter }, residual: compiled.residual }
+  }
+
+  /**
+   * Apply offset and limit after filtering fetched pages locally with `residual`,
+   * stopping as soon as the page is full.
+   */
+  async findClientSide(projectName, apiKey, body, residual, pageSize = 100) {
+    const { limit, offset = 0, ...query } = body
+    const items = []
+    let skipped = 0
+
+    for await (const page of this.wherePages(projectName, apiKey, query, pageSize)) {
+      for (const item of page) {
+        if (!matchesWhere(residual, item.value)) continue
+        if (skipped < offset) {
+          skipped++
+          continue
+        }
+        items.push(item)
+        if (limit && items.length === limit) {
+          return { success: true, items }
         }
       }
-
-    } catch (error) {
-      throw new Error(`Failed to count items in collection: ${error.message}`)
     }
+
+    return { success: true, items }
   }
 
-  async removeItem(collection, itemId, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Removing item "${itemId}" from collection "${collection}"...`).start();
-    try {
-      const { projectName, apiKey } = await this.getProjectConfig(options);
-      const body = { collection: collection };
-      
-      // Pass item ID in URL path
-      const data = await this.apiCall(`/data/${projectName}/remove/${encodeURIComponent(itemId)}`, body, apiKey, options);
-      
-      if (data.success) {
-        spinner.succeed(`Successfully removed item "${itemId}" from collection "${collection}".`);
-      } else {
-        spinner.fail(`Failed to remove item: ${data.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      spinner.fail(`Failed to remove item: ${error.message}`);
+  // Fetch one page of where results
+  async fetchWherePage(projectName, apiKey, body) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/where`, { apiKey, body })
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to find in collection')
     }
+    // A server without history would silently answer with the current items
+    if (body.at && !data.asOf) {
+      throw new Error(POINT_IN_TIME_UNSUPPORTED)
+    }
+
+    return data
   }
 
-  async clearCollection(collectionName, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Clearing all items from collection "${collectionName}"...`).start();
-    try {
-      const projectConfig = await this.getProjectConfig(options);
-      const response = await fetch(`${this.apiUrl}/api/data/${projectConfig.projectName}/clear`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
-        },
-        body: JSON.stringify({ name: collectionName })
-      });
-      const data = await response.json();
-      if (response.ok) {
-        spinner.succeed(`Successfully cleared ${data.count} items from collection "${collectionName}".`);
+  /**
+   * Walk every page of a where query. Follows the server's nextCursor when it sends one,
+   * otherwise advances the offset; stops at the first short page.
+   */
+  async *wherePages(projectName, apiKey, body, pageSize = 100) {
+    const query = { ...body, limit: pageSize }
+    if (!query.cursor) {
+      query.offset = query.offset || 0
+    }
+
+    let previousFirstId = null
+
+    while (true) {
+      const data = await this.fetchWherePage(projectName, apiKey, query)
+      const items = data.items || []
+
+      // A server that ignores offset/cursor would hand back the same page forever
+      if (items.length > 0 && items[0].id === previousFirstId) {
+        throw new Error('The server returned the same page twice; it may not support pagination')
+      }
+      previousFirstId = items[0]?.id ?? null
+
+      yield items
+
+      if (data.nextCursor) {
+        delete query.offset
+        query.cursor = data.nextCursor
+      } else if (items.length < pageSize || query.cursor) {
+        return
       } else {
-        spinner.fail(`Failed to clear collection: ${data.error || 'Unknown error'}`);
+        query.offset += items.length
       }
-    } catch (error) {
-      spinner.fail(`Failed to clear collection: ${error.response ? error.response.data.error : error.message}`);
     }
   }
 
-  async batch(operationsJson, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora('Executing batch operations...').start();
-    try {
-      const { projectName, apiKey } = await this.getProjectConfig(options);
-      
-      // Parse operations JSON
-      let operations;
+  // Stream every matching item to stdout as NDJSON, one page in memory at a time
+  async streamAllItems(projectName, apiKey, body, options = {}) {
+    const pageSize = parseInt(options.pageSize, 10) || 100
+    const fields = parseFields(options.fields || process.env.SHOV_FIELDS)
+    let total = 0
+
+    for await (const page of this.wherePages(projectName, apiKey, body, pageSize)) {
+      const items = options.match ? page.filter(item => matchesWhere(options.match, item.value)) : page
+      for (const item of items) {
+        // Respect backpressure so piping into a slow consumer doesn't buffer everything
+        if (!process.stdout.write(formatOutput('ndjson', { data: item, rows: [item] }, fields) + '\n')) {
+          await new Promise(resolve => process.stdout.once('drain', resolve))
+        }
+      }
+      total += items.length
+    }
+
+    if (process.stderr.isTTY) {
+      console.error(chalk.gray(`${total} items from "${body.name}"`))
+    }
+  }
+
+  // Names of every collection in the project
+  async listCollections(projectName, apiKey) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/contents`, { apiKey, body: {} })
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to list collections')
+    }
+
+    return data.contents.filter(item => item.type === 'collection').map(item => item.name)
+  }
+
+  // Export one collection, or every collection with --all, to ndjson/csv/json files
+  async exportCollections(collection, options = {}) {
+    const { default: ora } = await import('ora')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const format = options.format || 'ndjson'
+
+    if (!['ndjson', 'csv', 'json'].includes(format)) {
+      throw new Error(`Unknown export format "${format}". Use one of: ndjson, csv, json`)
+    }
+
+    let filter
+    if (options.filter) {
       try {
-        operations = JSON.parse(operationsJson);
-        if (!Array.isArray(operations)) {
-          throw new Error('Operations must be a JSON array');
+        filter = JSON.parse(options.filter)
+      } catch {
+        throw new Error('Filter must be valid JSON')
+      }
+    }
+
+    if (!collection && !options.all) {
+      throw new Error('Specify a collection, or use --all to export every collection')
+    }
+
+    const masker = options.mask ? await Masker.load(options.mask) : null
+    const spinner = ora('Preparing export...').start()
+
+    try {
+      const collections = options.all ? await this.listCollections(projectName, apiKey) : [collection]
+      const extension = `.${format}${options.gzip ? '.gz' : ''}`
+      const outDir = options.all ? path.resolve(options.dir || 'shov-export') : null
+
+      if (outDir) {
+        fs.mkdirSync(outDir, { recursive: true })
+      }
+
+      let totalItems = 0
+      for (const name of collections) {
+        const file = outDir ? path.join(outDir, `${name}${extension}`) : path.resolve(options.out || `${name}${extension}`)
+        const count = await this.exportCollection(projectName, apiKey, name, file, { ...options, format, filter, masker, spinner })
+        totalItems += count
+        if (outDir) {
+          spinner.succeed(`${name}: ${count} items → ${path.relative(process.cwd(), file)}`)
+          spinner.start()
+        } else {
+          spinner.succeed(`Exported ${count} items from "${name}" to ${path.relative(process.cwd(), file)}`)
         }
-      } catch (error) {
-        spinner.fail('Invalid JSON format for operations');
-        console.log(chalk.yellow('Example: \'[{"type": "set", "name": "user:123", "value": {"name": "John"}}, {"type": "add", "collection": "orders", "value": {"userId": "123", "total": 99.99}}]\''));
-        return;
       }
 
-      if (operations.length === 0) {
-        spinner.fail('Operations array cannot be empty');
-        return;
+      if (outDir) {
+        spinner.succeed(`Exported ${collections.length} collections (${totalItems} items) to ${path.relative(process.cwd(), outDir) || '.'}`)
       }
+    } catch (error) {
+      spinner.fail('Export failed')
+      throw error
+    }
+  }
 
-      if (operations.length > 50) {
-        spinner.fail('Maximum 50 operations allowed per batch');
-        return;
+  /**
+   * Page through a collection and write each item's id, createdAt and value to a file.
+   * Only one page is held in memory; --gzip (or a .gz filename) compresses on the fly. CSV
+   * reads the collection twice, first to collect the columns every item uses.
+   * Values pass through options.masker first when --mask is given.
+   * @returns {Promise<number>} Items written
+   */
+  async exportCollection(projectName, apiKey, collection, file, options = {}) {
+    const zlib = require('zlib')
+    const { finished } = require('stream/promises')
+
+    const fileStream = fs.createWriteStream(file)
+    // Listened for straight away: an unwritable path fails asynchronously and would otherwise crash
+    const failed = new Promise((resolve, reject) => fileStream.on('error', reject))
+    failed.catch(() => {})
+    const gzip = options.gzip || file.endsWith('.gz')
+    const out = gzip ? zlib.createGzip() : fileStream
+    if (gzip) {
+      out.pipe(fileStream)
+    }
+
+    const write = async (text) => {
+      if (!out.write(text)) {
+        await Promise.race([new Promise(resolve => out.once('drain', resolve)), failed])
       }
+    }
 
-      spinner.text = `Executing ${operations.length} operations atomically...`;
+    const body = { name: collection, ...(options.filter && { filter: options.filter }) }
+    const pageSize = parseInt(options.pageSize, 10) || 100
+    const pages = () => this.wherePages(projectName, apiKey, body, pageSize)
+    const toRecord = item => ({
+      id: item.id,
+      createdAt: item.createdAt,
+      value: options.masker ? options.masker.item(collection, item.value) : item.value
+    })
+    let columns = null
+    let count = 0
 
-      const response = await fetch(`${this.apiUrl}/api/data/${projectName}/batch`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({ operations })
-      });
+    if (options.spinner) {
+      options.spinner.text = `Exporting "${collection}"...`
+    }
 
-      const data = await response.json();
+    try {
+      if (options.format === 'json') {
+        await write('[\n')
+      }
 
-      // Check for both HTTP errors and V3 rollback failures
-      if (!response.ok || data.success === false) {
-        // Handle V3 rollback failures specifically
-        if (data.rollbackPerformed) {
-          spinner.fail(`Batch operation failed and was rolled back: ${data.error || 'Unknown error'}`);
-          console.log(chalk.yellow('🔄 All operations were rolled back to maintain data consistency.'));
-          
-          if (data.failedOperation !== undefined) {
-            console.log(chalk.red(`Failed at operation ${data.failedOperation + 1} (${data.operationType})`));
-          }
-          
-          if (data.results && Array.isArray(data.results) && data.results.length > 0) {
-            console.log(chalk.blue('Operations completed before failure:'));
-            data.results.forEach((result, index) => {
-              const status = result.success ? chalk.green('✅') : chalk.red('❌');
-              console.log(`  ${index + 1}. Operation ${result.operationIndex + 1} ${status}`);
-            });
-          }
-          return;
+      // CSV can't grow columns mid-file, so a first pass collects every column the items use
+      if (options.format === 'csv') {
+        columns = new Set()
+        for await (const items of pages()) {
+          items.forEach(item => Object.keys(flatten(toRecord(item))).forEach(column => columns.add(column)))
         }
-        
-        // Handle other batch failures
-        spinner.fail(`Batch operation failed: ${data.error || 'Unknown error'}`);
-        if (data.details) {
-          console.log(chalk.red('Error details:'));
-          // Handle both array (validation errors) and object (execution errors) formats
-          if (Array.isArray(data.details)) {
-            // Validation errors - array of strings
-            data.details.forEach((detail, index) => {
-              console.log(`  ${index + 1}. ${detail}`);
-            });
-          } else if (typeof data.details === 'object') {
-            // Execution errors - object with transaction info
-            if (data.details.transactionId) {
-              console.log(`  Transaction ID: ${chalk.yellow(data.details.transactionId)}`);
-            }
-            if (data.details.failedAt !== undefined) {
-              console.log(`  Failed at operation: ${data.details.failedAt + 1}`);
-            }
-            if (data.details.results && Array.isArray(data.details.results)) {
-              console.log(`  Operation results:`);
-              data.details.results.forEach((result, index) => {
-                const status = result.success ? chalk.green('✅') : chalk.red('❌');
-                const error = result.error ? ` - ${result.error}` : '';
-                console.log(`    ${index + 1}. ${result.type || 'unknown'} ${status}${error}`);
-              });
+        await write(csvLine(columns.size > 0 ? [...columns] : ['id', 'createdAt', 'value']) + '\n')
+      }
+
+      for await (const items of pages()) {
+        for (const item of items) {
+          const record = toRecord(item)
+
+          if (options.format === 'csv') {
+            const row = flatten(record)
+            const added = Object.keys(row).find(column => !columns.has(column))
+            if (added) {
+              throw new Error(`"${collection}" changed during the export: item ${item.id} has a new field ${added}. Run the export again`)
             }
+            await write(csvLine([...columns].map(column => row[column])) + '\n')
+          } else if (options.format === 'json') {
+            await write((count > 0 ? ',\n' : '') + JSON.stringify(record))
+          } else {
+            await write(JSON.stringify(record) + '\n')
           }
+          count++
+        }
+
+        if (options.spinner) {
+          options.spinner.text = `Exporting "${collection}"... ${count} items`
         }
-        return;
       }
 
-      // Check if any operations failed
-      const failedOperations = data.results ? data.results.filter(r => !r.success) : [];
-      const hasFailures = failedOperations.length > 0;
+      if (options.format === 'json') {
+        await write(count > 0 ? '\n]\n' : ']\n')
+      }
+    } finally {
+      out.end()
+      await finished(fileStream)
+    }
 
-      if (options.json) {
-        spinner.stop();
-        console.log(JSON.stringify(data, null, 2));
-        
-        // Exit with error code if any operations failed
-        if (hasFailures) {
-          process.exit(1);
+    return count
+  }
+
+  // Count items in collection with optional filters
+  async countInCollection(collection, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+
+    const body = {
+      name: collection
+    }
+
+    const { filter, residual } = this.resolveFilter(options)
+    if (filter) {
+      body.filter = filter
+    }
+
+    try {
+      let data
+      if (residual) {
+        data = { success: true, count: 0 }
+        for await (const page of this.wherePages(projectName, apiKey, body)) {
+          data.count += page.filter(item => matchesWhere(residual, item.value)).length
         }
       } else {
-        if (hasFailures) {
-          spinner.fail(`Batch partially failed! ${failedOperations.length} of ${data.operationsExecuted} operations failed.`);
-          console.log(`  Transaction ID: ${chalk.yellow(data.transactionId)}`);
-          console.log(chalk.red('  ⚠️  Some operations failed - data may be in an inconsistent state!'));
-        } else {
-          spinner.succeed(`Batch completed successfully! Executed ${data.operationsExecuted} operations.`);
-          console.log(`  Transaction ID: ${chalk.yellow(data.transactionId)}`);
+        const { response, data: counted } = await this.apiRequest(`/data/${projectName}/count`, { apiKey, body })
+
+        if (!response.ok) {
+          throw new Error(counted.error || 'Failed to count items in collection')
         }
-        
-        if (data.results && data.results.length > 0) {
-          const resultColor = hasFailures ? chalk.yellow : chalk.green;
-          console.log(resultColor('  Results:'));
-          data.results.forEach((result, index) => {
-            const op = operations[index];
-            if (result.success) {
-              let resultText = `    ${index + 1}. ${chalk.cyan(op.type)}`;
-              if (op.name) resultText += ` "${op.name}"`;
-              if (op.collection) resultText += ` in "${op.collection}"`;
-              if (result.result && result.result.id) resultText += ` → ${chalk.yellow(result.result.id)}`;
-              console.log(resultText + ' ✅');
-            } else {
-              let errorText = `    ${index + 1}. ${chalk.cyan(op.type)} → ${chalk.red('Failed')}`;
-              if (result.error) errorText += ` - ${result.error}`;
-              console.log(errorText);
-            }
-          });
+        data = counted
+      }
+
+      if (!this.printOutput(options, { data, rows: [{ collection, count: data.count }], raw: data.count })) {
+        console.log(chalk.green(`✅ Found ${data.count} items in "${collection}"`))
+        if (options.filter) {
+          console.log(chalk.gray(`   Filter: ${options.filter}`))
         }
-        
-        // Exit with error code if any operations failed
-        if (hasFailures) {
-          process.exit(1);
+        if (options.where) {
+          console.log(chalk.gray(`   Where: ${options.where}`))
         }
       }
+
     } catch (error) {
-      spinner.fail(`Batch operation failed: ${error.message}`);
+      throw new Error(`Failed to count items in collection: ${error.message}`)
     }
   }
 
-  async forgetItem(idOrName, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora('Forgetting item...').start();
+  // Full-screen browser for the project's collections and keys
+  async browse(options = {}) {
+    const { DataBrowser } = require('./browse')
+    const project = await this.getProjectConfig(options)
+    await new DataBrowser(this, project).start()
+  }
+
+  // Interactive data shell bound to the detected (or --project) project
+  async shell(options = {}) {
+    const { ShovShell } = require('./shell')
+    const project = await this.getProjectConfig(options)
+    await new ShovShell(this, project).start()
+  }
+
+  /**
+   * Group and summarise a collection. Uses the server's aggregate endpoint when it has one,
+   * otherwise pages through matching items and folds them into an Aggregator locally.
+   */
+  async aggregate(collection, options = {}) {
+    const { default: ora } = await import('ora')
+    const format = resolveOutputFormat(options)
+    const spec = { groupBy: parseFieldList(options.groupBy), count: !!options.count }
+    for (const metric of METRICS) {
+      spec[metric] = parseFieldList(options[metric])
+    }
+    if (!spec.count && METRICS.every(metric => spec[metric].length === 0)) {
+      spec.count = true
+    }
+
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const { filter, residual } = this.resolveFilter(options)
+    const spinner = ora({ text: `Aggregating "${collection}"...`, isSilent: !!format }).start()
+
     try {
-      const projectConfig = await this.getProjectConfig(options);
-      const response = await fetch(`${this.apiUrl}/api/data/${projectConfig.projectName}/forget/${encodeURIComponent(idOrName)}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
+      let rows = residual ? null : await this.serverAggregate(projectName, apiKey, collection, filter, spec)
+      let scanned = null
+
+      if (!rows) {
+        const aggregator = new Aggregator(spec)
+        const body = { name: collection, ...(filter && { filter }) }
+        for await (const page of this.wherePages(projectName, apiKey, body, parseInt(options.pageSize, 10) || 100)) {
+          for (const item of page) {
+            if (!residual || matchesWhere(residual, item.value)) aggregator.add(item.value)
+          }
+          spinner.text = `Aggregating "${collection}"... ${aggregator.total} items`
         }
-      });
-      const data = await response.json();
-      if (response.ok) {
-        spinner.succeed(`Successfully forgot item "${idOrName}".`);
-      } else {
-        spinner.fail(`Failed to forget item: ${data.error || 'Unknown error'}`);
+        rows = aggregator.results()
+        scanned = aggregator.total
+      }
+
+      spinner.stop()
+      if (this.printOutput(options, { data: rows, rows })) {
+        return
       }
+
+      const source = scanned === null ? 'server-side' : `from ${scanned} items`
+      console.log(chalk.green(`✅ ${rows.length} group${rows.length === 1 ? '' : 's'} in "${collection}" (${source}):`))
+      console.log(formatOutput('table', { data: rows, rows }))
     } catch (error) {
-      spinner.fail(`Failed to forget item: ${error.response ? error.response.data.error : error.message}`);
+      spinner.fail('Aggregation failed')
+      throw error
     }
   }
 
-  async updateItem(collection, idOrName, value, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Updating item "${idOrName}" in collection "${collection}"...`).start();
-    try {
-      const { projectName, apiKey } = await this.getProjectConfig(options);
-      let parsedValue;
-      try {
-        parsedValue = JSON.parse(value);
-      } catch (e) {
-        parsedValue = value;
-      }
-      const body = { 
-        collection: collection,
-        value: parsedValue 
-      };
-      // excludeFromVector removed (vector search removed for v1)
+  // Draft a schema for a collection from a sample of its items
+  async schemaInfer(collection, options = {}) {
+    const { default: ora } = await import('ora')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const sampleSize = parseInt(options.sample, 10) || 1000
+    const out = options.out || this.schemaRegistry().collectionFile(collection)
+    const toStdout = out === '-'
 
-      // Use POST for update with ID in URL path
-      const data = await this.apiCall(`/data/${projectName}/update/${encodeURIComponent(idOrName)}`, body, apiKey, options);
+    if (!toStdout && fs.existsSync(out) && !options.force) {
+      throw new Error(`${out} already exists. Use --force to overwrite it, or --out - to print the draft`)
+    }
 
-      if (data.success) {
-        spinner.succeed(`Item "${idOrName}" in collection "${collection}" updated successfully.`);
-      } else {
-        spinner.fail(`Failed to update item: ${data.error || 'An unexpected error occurred.'}`);
+    const spinner = ora({ text: `Sampling "${collection}"...`, isSilent: toStdout }).start()
+    const values = []
+    try {
+      for await (const page of this.wherePages(projectName, apiKey, { name: collection }, Math.min(sampleSize, 100))) {
+        values.push(...page.slice(0, sampleSize - values.length).map(item => item.value))
+        if (values.length >= sampleSize) break
       }
     } catch (error) {
-      spinner.fail(`Failed to update item: ${error.message}`);
+      spinner.fail('Could not sample the collection')
+      throw error
     }
-  }
 
-  async sendOtp(identifier, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Sending OTP to ${identifier}...`).start();
-    try {
-      const projectConfig = await this.getProjectConfig(options);
-      const digits = options.digits ? parseInt(options.digits, 10) : 4;
-      
-      const response = await fetch(`${this.apiUrl}/api/auth/${projectConfig.projectName}/otp`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
-        },
-        body: JSON.stringify({ identifier, digits })
-      });
+    if (values.length === 0) {
+      spinner.fail(`"${collection}" has no items to infer a schema from`)
+      process.exitCode = 1
+      return
+    }
 
-      const data = await response.json();
-      if (response.ok) {
-        spinner.succeed(data.message);
-      } else {
-        this.handleApiError(response, data, spinner, 'OTP sending');
-      }
-    } catch (error) {
-      spinner.fail(`Failed to send OTP: ${error.message}`);
+    const schema = {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: collection,
+      ...inferSchema(values)
+    }
+    const text = JSON.stringify(schema, null, 2) + '\n'
+
+    if (toStdout) {
+      process.stdout.write(text)
+      return
     }
+
+    fs.mkdirSync(path.dirname(out), { recursive: true })
+    fs.writeFileSync(out, text)
+    spinner.succeed(`Wrote ${path.relative(process.cwd(), out)} from ${values.length} items`)
+    console.log(chalk.gray('  This is a draft: review types, required fields and enums before relying on it.'))
   }
 
-  async verifyOtp(identifier, pin, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Verifying OTP for ${identifier}...`).start();
-    try {
-      const projectConfig = await this.getProjectConfig(options);
+  // Report stored items that don't match the collection's schema
+  async schemaCheck(collection, options = {}) {
+    const { default: ora } = await import('ora')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const registry = this.schemaRegistry()
 
-      const response = await fetch(`${this.apiUrl}/api/auth/${projectConfig.projectName}/otp/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
-        },
-        body: JSON.stringify({ identifier, pin })
-      });
-      
-      const data = await response.json();
-      if (response.ok && data.success) {
-        spinner.succeed('OTP verified successfully!');
-      } else {
-        spinner.fail(`Failed to verify OTP: ${data.error || 'Unknown error'}`);
-      }
-    } catch (error) {
-      spinner.fail(`Failed to verify OTP: ${error.message}`);
+    if (!registry.forCollection(collection)) {
+      throw new Error(`No schema for "${collection}". Create ${path.relative(process.cwd(), registry.collectionFile(collection))} or run "shov schema infer ${collection}"`)
     }
-  }
 
-  // Get contents of current memory (keys, collections, files)
-  async getContents(options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora('Retrieving contents...').start();
+    const spinner = ora({ text: `Checking "${collection}"...`, isSilent: !!options.json }).start()
+    const invalid = []
+    let checked = 0
     try {
-      const projectConfig = await this.getProjectConfig(options);
-      
-      const response = await fetch(`${this.apiUrl}/api/data/${projectConfig.projectName}/contents`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${projectConfig.apiKey}`
-        },
-        body: JSON.stringify({})
-      });
-
-      const data = await response.json();
-      if (response.ok && data.success) {
-        spinner.succeed(`Found ${data.contents.length} items:`);
-        
-        if (data.contents.length === 0) {
-          console.log(chalk.gray('  No items found'));
-          return;
+      for await (const page of this.wherePages(projectName, apiKey, { name: collection }, parseInt(options.pageSize, 10) || 100)) {
+        for (const item of page) {
+          const problems = registry.check({ collection }, item.value)
+          if (problems.length > 0) {
+            invalid.push({ id: item.id, problems })
+          }
         }
-
-        // Group by type
-        const grouped = data.contents.reduce((acc, item) => {
-          if (!acc[item.type]) acc[item.type] = [];
-          acc[item.type].push(item);
-          return acc;
-        }, {});
-
-        // Display each type
-        Object.entries(grouped).forEach(([type, items]) => {
-          console.log(`\n  ${chalk.bold(type.toUpperCase())} (${items.length}):`);
-          items.forEach(item => {
-            if (item.type === 'collection') {
-              console.log(`    ${chalk.yellow(item.count || 'undefined')} - ${chalk.cyan(item.name)}`);
-            } else {
-              console.log(`    ${chalk.yellow(item.id)} - ${chalk.cyan(item.name)}`);
-            }
-          });
-        });
-      } else {
-        spinner.fail(`Failed to get contents: ${data.error || 'Unknown error'}`);
+        checked += page.length
+        spinner.text = `Checking "${collection}"... ${checked} items`
       }
     } catch (error) {
-      spinner.fail(`Failed to get contents: ${error.message}`);
+      spinner.fail('Check failed')
+      throw error
     }
-  }
-
-  // Upload a file
-  async uploadFile(filePath, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Uploading ${filePath}...`).start();
-    try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        const absolutePath = path.resolve(filePath);
-
-        if (!fs.existsSync(absolutePath)) {
-            throw new Error(`File not found at ${absolutePath}`);
-        }
-
-        const { fileTypeFromFile } = await import('file-type');
-        const type = await fileTypeFromFile(absolutePath);
-        const mimeType = type ? type.mime : 'application/octet-stream';
-
-        // Use curl as a workaround for Node.js fetch ECONNRESET issue
-        const { execa } = await import('execa');
-        const curlArgs = [
-            '-X', 'POST',
-            `${this.apiUrl}/api/files/${projectName}`,
-            '-H', `Authorization: Bearer ${apiKey}`,
-            '-H', `Content-Type: ${mimeType}`,
-            '-H', `x-shov-filename: ${path.basename(absolutePath)}`,
-            '--data-binary', `@${absolutePath}`,
-            '--max-time', '30'
-        ];
 
-        const result = await execa('curl', curlArgs);
-        const data = JSON.parse(result.stdout);
+    if (options.json) {
+      console.log(JSON.stringify({ collection, checked, invalid: invalid.length, items: invalid }, null, 2))
+    } else if (invalid.length === 0) {
+      spinner.succeed(`All ${checked} items in "${collection}" match ${SCHEMA_DIR}/${collection}.json`)
+    } else {
+      spinner.fail(`${invalid.length} of ${checked} items in "${collection}" don't match ${SCHEMA_DIR}/${collection}.json`)
+      for (const { id, problems } of invalid) {
+        console.log(`  ${chalk.yellow(id)}`)
+        problems.forEach(problem => console.log(chalk.gray(`    ${problem}`)))
+      }
+    }
 
-        if (!data.success) {
-            throw new Error(data.error || 'Failed to upload file');
-        }
+    if (invalid.length > 0) {
+      process.exitCode = 1
+    }
+  }
 
-        spinner.succeed('File uploaded successfully!');
-        console.log(`  File ID: ${chalk.yellow(data.fileId)}`);
-        console.log(`  URL: ${chalk.cyan(data.url)}`);
+  // Server-side aggregation, if the API supports it; null means fall back to the client
+  async serverAggregate(projectName, apiKey, collection, filter, spec) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/aggregate`, {
+      apiKey,
+      body: { name: collection, ...(filter && { filter }), ...spec }
+    })
 
-    } catch (error) {
-        spinner.fail(`File upload failed: ${error.message}`);
+    if (response.status === 404 || response.status === 405 || response.status === 501) {
+      return null
+    }
+    if (!response.ok || !Array.isArray(data.groups)) {
+      throw new Error(data.error || 'Failed to aggregate collection')
     }
+    return data.groups
   }
 
-  async forgetFile(filename, options = {}) {
+  async removeItem(collection, itemId, options = {}) {
     const { default: ora } = await import('ora');
-    const spinner = ora(`Deleting file "${filename}"...`).start();
+    const spinner = ora(`Removing item "${itemId}" from collection "${collection}"...`).start();
     try {
       const { projectName, apiKey } = await this.getProjectConfig(options);
+      const body = { collection: collection };
       
-      // Use data endpoint with forget-file command and filename in URL path
-      const data = await this.apiCall(`/data/${projectName}/forget-file/${encodeURIComponent(filename)}`, {}, apiKey, options, 'DELETE');
+      // Pass item ID in URL path
+      const data = await this.apiCall(`/data/${projectName}/remove/${encodeURIComponent(itemId)}`, body, apiKey, options);
       
       if (data.success) {
-        spinner.succeed(`Successfully deleted ${data.count} file(s) named "${filename}".`);
+        spinner.succeed(`Successfully removed item "${itemId}" from collection "${collection}".`);
       } else {
-        spinner.fail(`Failed to delete file: ${data.error || 'Unknown error'}`);
+        spinner.fail(`Failed to remove item: ${data.error || 'Unknown error'}`);
       }
     } catch (error) {
-      spinner.fail(`Failed to delete file: ${error.message}`);
+      spinner.fail(`Failed to remove item: ${error.message}`);
     }
   }
 
-  // Get a pre-signed upload URL
-  async getUploadUrl(fileName, options = {}) {
+  async clearCollection(collectionName, options = {}) {
     const { default: ora } = await import('ora');
-    const spinner = ora('Generating pre-signed URL...').start();
+    const spinner = ora(`Clearing all items from collection "${collectionName}"...`).start();
     try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        
-        // Determine MIME type from file extension if not provided
-        let mimeType = options.mimeType;
-        if (!mimeType) {
-            const ext = fileName.split('.').pop()?.toLowerCase();
-            const mimeTypes = {
-                'txt': 'text/plain',
-                'json': 'application/json',
-                'pdf': 'application/pdf',
-                'jpg': 'image/jpeg',
-                'jpeg': 'image/jpeg',
-                'png': 'image/png',
-                'gif': 'image/gif',
-                'mp4': 'video/mp4',
-                'mp3': 'audio/mpeg'
-            };
-            mimeType = mimeTypes[ext] || 'application/octet-stream';
-        }
+      const projectConfig = await this.getProjectConfig(options);
+      const { response, data } = await this.apiRequest(`/data/${projectConfig.projectName}/clear`, {
+        apiKey: projectConfig.apiKey,
+        body: { name: collectionName }
+      });
+      if (response.ok) {
+        spinner.succeed(`Successfully cleared ${data.count} items from collection "${collectionName}".`);
+      } else {
+        spinner.fail(`Failed to clear collection: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      spinner.fail(`Failed to clear collection: ${error.response ? error.response.data.error : error.message}`);
+    }
+  }
 
-        const response = await fetch(`${this.apiUrl}/api/files/${projectName}/upload-url`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ 
-                fileName,
-                mimeType
-            }),
-        });
+  // Set fields on every item matching --filter/--where
+  async updateWhere(collection, options = {}) {
+    return this.bulkWhere('update', collection, options)
+  }
 
-        const data = await response.json();
+  // Remove every item matching --filter/--where
+  async removeWhere(collection, options = {}) {
+    return this.bulkWhere('remove', collection, options)
+  }
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to get upload URL');
-        }
+  /**
+   * Shared by update-where and remove-where: preview the match count, confirm, collect the
+   * matching items, log their ids and previous values, then apply the change in batch chunks.
+   */
+  async bulkWhere(action, collection, options = {}) {
+    const { default: ora } = await import('ora')
+    const { default: prompts } = await import('prompts')
+    const command = `${action}-where`
 
-        spinner.succeed('Pre-signed URL generated successfully!');
-        console.log(`  File ID: ${chalk.yellow(data.fileId)}`);
-        console.log(`  Upload URL: ${chalk.cyan(data.uploadUrl)}`);
-        console.log(chalk.yellow(`This URL is valid for ${data.expiresIn ? Math.floor(data.expiresIn / 60) : 15} minutes.`));
+    let changes = null
+    if (action === 'update') {
+      if (!options.set) {
+        throw new Error(`--set is required, e.g. shov ${command} ${collection} --filter '{"status":"done"}' --set '{"status":"archived"}'`)
+      }
+      try {
+        changes = JSON.parse(options.set)
+      } catch {
+        changes = null
+      }
+      if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new Error('--set must be a JSON object of the fields to change')
+      }
+      this.checkSchema({ collection, partial: true }, changes, options)
+    }
 
-    } catch (error) {
-        spinner.fail(`Failed to get upload URL: ${error.message}`);
+    if (!options.filter && !options.where) {
+      throw new Error(`Pass --filter or --where to pick the items (--filter '{}' matches every item${action === 'remove' ? `, or use "shov clear ${collection}"` : ''})`)
     }
-  }
 
-  async listFiles(options = {}) {
-    const { default: ora } = await import('ora');
-    
-    // Handle JSON output without spinner
-    if (options.json) {
-      try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        const data = await this.apiCall(`/data/${projectName}/files-list`, {}, apiKey, options);
-        if (data.success) {
-          console.log(JSON.stringify(data, null, 2));
-        } else {
-          console.error(JSON.stringify({ error: data.error || 'Unknown error' }, null, 2));
-          process.exit(1);
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const { filter, residual } = this.resolveFilter(options)
+    const body = { name: collection, ...(filter && Object.keys(filter).length > 0 && { filter }) }
+    const pageSize = parseInt(options.pageSize, 10) || 100
+    const chunkSize = Math.min(parseInt(options.chunkSize, 10) || MAX_BATCH_OPERATIONS, MAX_BATCH_OPERATIONS)
+
+    const collect = async () => {
+      const items = []
+      for await (const page of this.wherePages(projectName, apiKey, body, pageSize)) {
+        items.push(...(residual ? page.filter(item => matchesWhere(residual, item.value)) : page))
+        spinner.text = `Finding items in "${collection}"... ${items.length}`
+      }
+      return items
+    }
+
+    const spinner = ora(`Counting matches in "${collection}"...`).start()
+    let items = null
+    let count
+    try {
+      if (residual) {
+        // The server can't count what only the client can match
+        items = await collect()
+        count = items.length
+      } else {
+        const { response, data } = await this.apiRequest(`/data/${projectName}/count`, { apiKey, body })
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to count items in collection')
         }
-      } catch (error) {
-        console.error(JSON.stringify({ error: error.message }, null, 2));
-        process.exit(1);
+        count = data.count
       }
-      return;
+    } catch (error) {
+      spinner.fail('Could not count matching items')
+      throw error
     }
 
-    // Handle regular output with spinner
-    const spinner = ora('Listing files...').start();
+    if (count === 0) {
+      spinner.info(`No items in "${collection}" match; nothing to ${action}.`)
+      return
+    }
+
+    const what = action === 'update' ? `Set ${JSON.stringify(changes)} on` : 'Remove'
+    const confirm = async (matching) => {
+      if (options.yes) {
+        return true
+      }
+      const { confirmed } = await prompts({
+        type: 'confirm',
+        name: 'confirmed',
+        message: `${what} ${matching} item${matching === 1 ? '' : 's'}?`,
+        initial: false
+      })
+      if (!confirmed) {
+        console.log(chalk.yellow(`${command} cancelled.`))
+      }
+      return confirmed
+    }
+
+    spinner.info(`${count} item${count === 1 ? '' : 's'} in "${collection}" match.`)
+    if (!await confirm(count)) {
+      return
+    }
+
+    spinner.start(`Finding items in "${collection}"...`)
     try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        const data = await this.apiCall(`/data/${projectName}/files-list`, {}, apiKey, options);
-        if (data.success) {
-            spinner.succeed(`Found ${data.files.length} files:`);
-            console.table(data.files);
-        } else {
-            spinner.fail(`Failed to list files: ${data.error || 'Unknown error'}`);
-        }
+      items = items || await collect()
     } catch (error) {
-        spinner.fail(`Failed to list files: ${error.message}`);
+      spinner.fail('Could not read the matching items')
+      throw error
     }
+    if (items.length === 0) {
+      spinner.info(`Nothing to ${action}.`)
+      return
+    }
+    // What was confirmed was the count, so a different number of items is asked about again
+    if (items.length !== count) {
+      spinner.warn(`${items.length} items match now (the collection changed since the count)`)
+      if (!await confirm(items.length)) {
+        return
+      }
+      spinner.start()
+    }
+
+    // Written before anything changes, so the previous values survive a failed run
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14)
+    const logFile = options.log || `${collection}.${command}.${stamp}.json`
+    fs.writeFileSync(logFile, JSON.stringify({
+      command,
+      collection,
+      filter: options.filter || null,
+      where: options.where || null,
+      ...(changes && { set: changes }),
+      createdAt: new Date().toISOString(),
+      items: items.map(item => ({ id: item.id, value: item.value }))
+    }, null, 2) + '\n')
+
+    const operations = items.map(item => action === 'update'
+      ? { type: 'update', collection, id: item.id, value: changes }
+      : { type: 'remove', collection, id: item.id })
+
+    await this.batchInChunks(projectName, apiKey, operations, chunkSize, spinner)
+    console.log(chalk.gray(`  Ids and previous values: ${logFile}`))
   }
 
-  async getFile(fileId, options = {}) {
+  // Run batch operations given inline, in a JSON/YAML file, or on stdin ("-").
+  // More than --chunk-size (max 50) operations run as sequential transactions
+  async batch(source, options = {}) {
     const { default: ora } = await import('ora');
-    const spinner = ora(`Getting file info for ${fileId}...`).start();
+    const spinner = ora(options.dryRun ? 'Validating batch operations...' : 'Executing batch operations...').start();
     try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        const data = await this.apiCall(`/data/${projectName}/files-get/${fileId}`, {}, apiKey, options);
-        if (data.success) {
-            spinner.succeed('File found:');
-            console.log(data.file);
-        } else {
-            spinner.fail(`Failed to get file: ${data.error || 'Unknown error'}`);
-        }
-    } catch (error) {
-        spinner.fail(`Failed to get file: ${error.message}`);
-    }
-  }
+      let operations;
+      try {
+        operations = await loadOperations(source);
+      } catch (error) {
+        spinner.fail(error.message);
+        console.log(chalk.yellow('Example: \'[{"type": "set", "name": "user:123", "value": {"name": "John"}}, {"type": "add", "collection": "orders", "value": {"userId": "123", "total": 99.99}}]\''));
+        process.exitCode = 1;
+        return;
+      }
 
-  async deleteFile(fileId, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora(`Deleting file ${fileId}...`).start();
-    try {
-        const { projectName, apiKey } = await this.getProjectConfig(options);
-        const data = await this.apiCall(`/data/${projectName}/files-delete/${fileId}`, {}, apiKey, options, 'DELETE');
-        if (data.success) {
-            spinner.succeed(data.message);
-        } else {
-            spinner.fail(`Failed to delete file: ${data.error || 'Unknown error'}`);
-        }
-    } catch (error) {
-        spinner.fail(`Failed to delete file: ${error.message}`);
-    }
-  }
+      if (operations.length === 0) {
+        spinner.fail('Operations array cannot be empty');
+        return;
+      }
 
-  // Search a collection
-  async token(typeOrSubscriptions, subscriptionsOrOptions = {}, options = {}) {
-    // Handle both old and new calling patterns for backward compatibility
-    let type, subscriptions, finalOptions;
-    
-    if (typeof typeOrSubscriptions === 'string') {
-      // New pattern: token('streaming', [...], options)
-      type = typeOrSubscriptions;
-      subscriptions = subscriptionsOrOptions;
-      finalOptions = options;
-    } else {
-      // Legacy pattern: streamToken([...], options) - assume streaming type
-      type = 'streaming';
-      subscriptions = typeOrSubscriptions;
-      finalOptions = subscriptionsOrOptions;
-    }
-    
-    const { projectName, apiKey } = await this.getProjectConfig(finalOptions);
+      const chunkSize = Math.min(parseInt(options.chunkSize, 10) || MAX_BATCH_OPERATIONS, MAX_BATCH_OPERATIONS);
 
-    try {
-      // Parse subscriptions JSON if it's a string
-      let parsedSubscriptions;
-      if (typeof subscriptions === 'string') {
-        try {
-          parsedSubscriptions = JSON.parse(subscriptions);
-        } catch (error) {
-          console.error(chalk.red('Error: Invalid JSON format for subscriptions'));
-          console.log(chalk.yellow('Example: \'[{"collection": "users", "filters": {"status": "active"}}, {"channel": "chat-room-1"}]\''));
-          return;
-        }
-      } else {
-        parsedSubscriptions = subscriptions;
+      // Validate locally before anything touches the network
+      const errors = validateOperations(operations);
+      if (errors.length === 0 && options.validate !== false) {
+        errors.push(...this.batchSchemaErrors(operations));
       }
-
-      if (!Array.isArray(parsedSubscriptions)) {
-        console.error(chalk.red('Error: Subscriptions must be an array'));
+      if (options.dryRun) {
+        this.printBatchPlan(operations, errors, chunkSize, spinner, options);
+        if (errors.length > 0) process.exitCode = 1;
+        return;
+      }
+      if (errors.length > 0) {
+        spinner.fail(`Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the operations, nothing was sent`);
+        errors.forEach(error => console.log(chalk.red(`  ${error}`)));
+        process.exitCode = 1;
         return;
       }
 
-      if (!finalOptions.json) {
-        console.log(chalk.blue(`Creating ${type} token for ${parsedSubscriptions.length} subscription${parsedSubscriptions.length === 1 ? '' : 's'}...`));
+      const { projectName, apiKey } = await this.getProjectConfig(options);
+
+      if (operations.length > chunkSize) {
+        await this.batchInChunks(projectName, apiKey, operations, chunkSize, spinner, options);
+        return;
       }
 
-      const payload = {
-        type,
-        subscriptions: parsedSubscriptions,
-        expires_in: finalOptions.expires ? parseInt(finalOptions.expires, 10) : 3600,
-        api_key: apiKey
-      };
+      spinner.text = `Executing ${operations.length} operations atomically...`;
 
-      const response = await fetch(`${this.apiUrl}/api/streaming/${projectName}/tokens`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
+      const { response, data } = await this.apiRequest(`/data/${projectName}/batch`, {
+        apiKey,
+        body: { operations }
       });
-      const data = await response.json();
 
-      if (!response.ok) {
-        this.handleApiError(response, data, { fail: (msg) => console.error(chalk.red(msg)) }, 'Token creation');
+      // Check for both HTTP errors and V3 rollback failures
+      if (!response.ok || data.success === false) {
+        // Handle V3 rollback failures specifically
+        if (data.rollbackPerformed) {
+          spinner.fail(`Batch operation failed and was rolled back: ${data.error || 'Unknown error'}`);
+          console.log(chalk.yellow('🔄 All operations were rolled back to maintain data consistency.'));
+          
+          if (data.failedOperation !== undefined) {
+            console.log(chalk.red(`Failed at operation ${data.failedOperation + 1} (${data.operationType})`));
+          }
+          
+          if (data.results && Array.isArray(data.results) && data.results.length > 0) {
+            console.log(chalk.blue('Operations completed before failure:'));
+            data.results.forEach((result, index) => {
+              const status = result.success ? chalk.green('✅') : chalk.red('❌');
+              console.log(`  ${index + 1}. Operation ${result.operationIndex + 1} ${status}`);
+            });
+          }
+          return;
+        }
+        
+        // Handle other batch failures
+        spinner.fail(`Batch operation failed: ${data.error || 'Unknown error'}`);
+        if (data.details) {
+          console.log(chalk.red('Error details:'));
+          // Handle both array (validation errors) and object (execution errors) formats
+          if (Array.isArray(data.details)) {
+            // Validation errors - array of strings
+            data.details.forEach((detail, index) => {
+              console.log(`  ${index + 1}. ${detail}`);
+            });
+          } else if (typeof data.details === 'object') {
+            // Execution errors - object with transaction info
+            if (data.details.transactionId) {
+              console.log(`  Transaction ID: ${chalk.yellow(data.details.transactionId)}`);
+            }
+            if (data.details.failedAt !== undefined) {
+              console.log(`  Failed at operation: ${data.details.failedAt + 1}`);
+            }
+            if (data.details.results && Array.isArray(data.details.results)) {
+              console.log(`  Operation results:`);
+              data.details.results.forEach((result, index) => {
+                const status = result.success ? chalk.green('✅') : chalk.red('❌');
+                const error = result.error ? ` - ${result.error}` : '';
+                console.log(`    ${index + 1}. ${result.type || 'unknown'} ${status}${error}`);
+              });
+            }
+          }
+        }
         return;
       }
 
-      if (finalOptions.json) {
+      // Check if any operations failed
+      const failedOperations = data.results ? data.results.filter(r => !r.success) : [];
+      const hasFailures = failedOperations.length > 0;
+
+      if (options.json) {
+        spinner.stop();
         console.log(JSON.stringify(data, null, 2));
+        
+        // Exit with error code if any operations failed
+        if (hasFailures) {
+          process.exitCode = 1;
+        }
       } else {
-        console.log(chalk.green(`✅ ${type.charAt(0).toUpperCase() + type.slice(1)} token created successfully!`));
-        console.log('');
-        console.log(`  Token: ${chalk.yellow(data.token)}`);
-        console.log(`  Expires: ${chalk.gray(data.expires_at)} (${data.expires_in}s)`);
-        console.log(`  Subscriptions: ${chalk.cyan(data.subscriptions)}`);
-        console.log('');
-        console.log(chalk.blue('💡 Use this token with the subscribe endpoint to receive real-time updates.'));
-        console.log(chalk.gray('   Keep this token secure and use HTTPS for all streaming connections.'));
+        if (hasFailures) {
+          spinner.fail(`Batch partially failed! ${failedOperations.length} of ${data.operationsExecuted} operations failed.`);
+          console.log(`  Transaction ID: ${chalk.yellow(data.transactionId)}`);
+          console.log(chalk.red('  ⚠️  Some operations failed - data may be in an inconsistent state!'));
+        } else {
+          spinner.succeed(`Batch completed successfully! Executed ${data.operationsExecuted} operations.`);
+          console.log(`  Transaction ID: ${chalk.yellow(data.transactionId)}`);
+        }
+        
+        if (data.results && data.results.length > 0) {
+          const resultColor = hasFailures ? chalk.yellow : chalk.green;
+          console.log(resultColor('  Results:'));
+          data.results.forEach((result, index) => {
+            const op = operations[index];
+            if (result.success) {
+              let resultText = `    ${index + 1}. ${chalk.cyan(op.type)}`;
+              if (op.name) resultText += ` "${op.name}"`;
+              if (op.collection) resultText += ` in "${op.collection}"`;
+              if (result.result && result.result.id) resultText += ` → ${chalk.yellow(result.result.id)}`;
+              console.log(resultText + ' ✅');
+            } else {
+              let errorText = `    ${index + 1}. ${chalk.cyan(op.type)} → ${chalk.red('Failed')}`;
+              if (result.error) errorText += ` - ${result.error}`;
+              console.log(errorText);
+            }
+          });
+        }
+        
+        // Exit with error code if any operations failed
+        if (hasFailures) {
+          process.exitCode = 1;
+        }
       }
     } catch (error) {
-      console.error(chalk.red('Error creating stream token:'), error.message);
+      spinner.fail(`Batch operation failed: ${error.message}`);
     }
   }
 
-  async broadcast(subscription, message, options = {}) {
-    const { default: ora } = await import('ora');
-    const spinner = ora('Broadcasting message...').start();
-    
-    try {
-      const { projectName, apiKey } = await this.getProjectConfig(options);
-      
-      // Parse subscription JSON if it's a string
-      let parsedSubscription;
-      if (typeof subscription === 'string') {
-        try {
-          parsedSubscription = JSON.parse(subscription);
-        } catch (error) {
-          spinner.fail('Invalid JSON format for subscription');
-          console.log(chalk.yellow('Example: \'{"collection": "users", "filters": {"status": "active"}}\''));
-          return;
-        }
-      } else {
-        parsedSubscription = subscription;
+  // Check the values of set/add/update operations against schemas/
+  batchSchemaErrors(operations) {
+    const registry = this.schemaRegistry();
+    return operations.flatMap((operation, index) => {
+      let problems = [];
+      if (operation.type === 'set') {
+        problems = registry.check({ key: operation.name }, operation.value);
+      } else if (operation.type === 'add' || operation.type === 'update') {
+        problems = registry.check({ collection: operation.collection, partial: operation.type === 'update' }, operation.value);
+      }
+      return problems.map(problem => `Operation ${index + 1} (${operation.type}): ${problem}`);
+    });
+  }
+
+  // --dry-run: report validation problems and the transactions the batch would run, without credentials or network
+  printBatchPlan(operations, errors, chunkSize, spinner, options = {}) {
+    const chunks = chunkOperations(operations, chunkSize);
+
+    if (options.json) {
+      spinner.stop();
+      console.log(JSON.stringify({
+        valid: errors.length === 0,
+        operations: operations.length,
+        errors,
+        transactions: chunks.map(chunk => ({
+          chunk: chunk.index + 1,
+          from: chunk.start + 1,
+          to: chunk.start + chunk.operations.length,
+          operations: chunk.operations.map(describeOperation)
+        }))
+      }, null, 2));
+      return;
+    }
+
+    if (errors.length > 0) {
+      spinner.fail(`Found ${errors.length} problem${errors.length === 1 ? '' : 's'} in the operations`);
+      errors.forEach(error => console.log(chalk.red(`  ${error}`)));
+      return;
+    }
+
+    spinner.succeed(`${operations.length} operations are valid. Dry run, nothing was sent.`);
+    const atomicity = chunks.length === 1 ? 'one atomic transaction' : `${chunks.length} transactions of up to ${chunkSize} operations (each atomic, the run as a whole is not)`;
+    console.log(chalk.blue(`Would run as ${atomicity}:`));
+    for (const chunk of chunks) {
+      if (chunks.length > 1) {
+        console.log(chalk.gray(`  Chunk ${chunk.index + 1} (operations ${chunk.start + 1}-${chunk.start + chunk.operations.length})`));
       }
-      
-      // Parse message JSON if it's a string
-      let parsedMessage;
-      if (typeof message === 'string') {
-        try {
-          parsedMessage = JSON.parse(message);
-        } catch (error) {
-          // If not valid JSON, treat as string
-          parsedMessage = message;
-        }
-      } else {
-        parsedMessage = message;
+      chunk.operations.forEach((operation, i) => {
+        console.log(`  ${chalk.gray(String(chunk.start + i + 1).padStart(3))}. ${describeOperation(operation)}`);
+      });
+    }
+  }
+
+  /**
+   * Run operations as sequential transactions of `chunkSize`. Stops at the first chunk that fails
+   * and reports which chunks committed, which rolled back and which never ran. With --compensate,
+   * committed chunks are undone using pre-images captured before anything executed.
+   */
+  async batchInChunks(projectName, apiKey, operations, chunkSize, spinner, options = {}) {
+    const chunks = chunkOperations(operations, chunkSize);
+    const preImages = options.compensate ? await this.captureBatchPreImages(projectName, apiKey, operations, spinner) : null;
+    const results = [];
+    const report = chunks.map(chunk => ({
+      chunk: chunk.index + 1,
+      from: chunk.start + 1,
+      to: chunk.start + chunk.operations.length,
+      status: 'not run'
+    }));
+    let failed = null;
+
+    for (const chunk of chunks) {
+      const entry = report[chunk.index];
+      spinner.text = `Executing chunk ${entry.chunk} of ${chunks.length} (operations ${entry.from}-${entry.to})...`;
+
+      let response, data;
+      try {
+        ({ response, data } = await this.apiRequest(`/data/${projectName}/batch`, {
+          apiKey,
+          body: { operations: chunk.operations }
+        }));
+      } catch (error) {
+        // The request may or may not have reached the server
+        entry.status = 'unknown';
+        entry.error = error.message;
+        failed = entry;
+        break;
       }
 
-      const response = await fetch(`${this.apiUrl}/api/streaming/${projectName}/broadcast`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          subscription: parsedSubscription,
-          message: parsedMessage
-        }),
-      });
+      if (!response.ok || data.success === false) {
+        entry.status = 'rolled back';
+        entry.error = data.error || `HTTP ${response.status}`;
+        const failedAt = data.failedOperation ?? data.details?.failedAt;
+        if (failedAt !== undefined) {
+          entry.failedOperation = chunk.start + failedAt + 1;
+        }
+        failed = entry;
+        break;
+      }
 
-      const data = await response.json();
+      entry.transactionId = data.transactionId;
+      results[chunk.index] = data.results || [];
 
-      if (!response.ok) {
-        spinner.fail(`Broadcast failed: ${data.error || 'Unknown error'}`);
-        return;
+      const failedOperations = results[chunk.index].filter(result => !result.success);
+      if (failedOperations.length > 0) {
+        entry.status = 'partial';
+        entry.error = `${failedOperations.length} operations failed without a rollback`;
+        failed = entry;
+        break;
       }
+      entry.status = 'committed';
+    }
 
-      if (options.json) {
-        spinner.stop();
-        console.log(JSON.stringify(data, null, 2));
+    let compensation = null;
+    if (failed && options.compensate) {
+      compensation = await this.compensateChunks(projectName, apiKey, chunks, report, results, preImages, spinner);
+    }
+
+    if (options.json) {
+      spinner.stop();
+      console.log(JSON.stringify({
+        success: !failed,
+        operations: operations.length,
+        chunks: report,
+        ...(compensation && { compensation })
+      }, null, 2));
+    } else {
+      if (failed) {
+        spinner.fail(`Batch stopped at chunk ${failed.chunk} of ${chunks.length}: ${failed.error}`);
       } else {
-        spinner.succeed('Message broadcast successfully!');
-        console.log(`  Message ID: ${chalk.yellow(data.messageId)}`);
-        console.log(`  Delivered to: ${chalk.cyan(data.delivered)} connection${data.delivered === 1 ? '' : 's'}`);
+        spinner.succeed(`Batch completed successfully! Executed ${operations.length} operations in ${chunks.length} transactions.`);
       }
-    } catch (error) {
-      spinner.fail(`Broadcast failed: ${error.message}`);
-    }
-  }
 
-  async subscribe(subscriptions, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options);
-    
-    try {
-      // Parse subscriptions JSON if it's a string
-      let parsedSubscriptions;
-      if (typeof subscriptions === 'string') {
-        try {
-          parsedSubscriptions = JSON.parse(subscriptions);
-        } catch (error) {
-          console.error(chalk.red('Error: Invalid JSON format for subscriptions'));
-          console.log(chalk.yellow('Example: \'[{"collection": "users", "filters": {"status": "active"}}]\''));
-          return;
-        }
-      } else {
-        parsedSubscriptions = subscriptions;
-      }
+      const statusColors = {
+        committed: chalk.green,
+        compensated: chalk.blue,
+        'rolled back': chalk.red,
+        partial: chalk.yellow,
+        unknown: chalk.red,
+        'not run': chalk.gray
+      };
+      report.forEach(entry => {
+        let line = `  Chunk ${entry.chunk} (operations ${entry.from}-${entry.to}): ${statusColors[entry.status](entry.status)}`;
+        if (entry.transactionId) line += chalk.gray(` ${entry.transactionId}`);
+        if (entry.failedOperation) line += chalk.red(` at operation ${entry.failedOperation}`);
+        console.log(line);
+      });
 
-      if (!Array.isArray(parsedSubscriptions)) {
-        console.error(chalk.red('Error: Subscriptions must be an array'));
-        return;
+      if (failed && failed.status === 'unknown') {
+        console.log(chalk.yellow(`  ⚠️  Chunk ${failed.chunk} may or may not have committed; check the data before re-running it.`));
       }
+      if (failed && failed.status === 'partial') {
+        console.log(chalk.red('  ⚠️  Some operations failed - data may be in an inconsistent state!'));
+      }
+      if (compensation) {
+        const color = compensation.success ? chalk.blue : chalk.red;
+        console.log(color(`  Compensation: ${compensation.operations} inverse operations ${compensation.success ? 'applied' : `failed: ${compensation.error}`}`));
+      } else if (failed && report.some(entry => entry.status === 'committed')) {
+        console.log(chalk.gray('  Earlier chunks stay committed. Re-run with --compensate to undo them automatically on failure.'));
+      }
+    }
 
-      console.log(chalk.blue(`Connecting to real-time stream for ${parsedSubscriptions.length} subscription${parsedSubscriptions.length === 1 ? '' : 's'}...`));
-      
-      // Create a streaming token first
-      const tokenResponse = await fetch(`${this.apiUrl}/api/streaming/${projectName}/tokens`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          type: 'streaming',
-          subscriptions: parsedSubscriptions,
-          expires_in: options.expires ? parseInt(options.expires, 10) : 3600,
-          api_key: apiKey
-        }),
-      });
-
-      const tokenData = await tokenResponse.json();
+    if (failed) {
+      process.exitCode = 1;
+    }
+  }
 
-      if (!tokenResponse.ok) {
-        console.error(chalk.red(`Token creation failed: ${tokenData.error || 'Unknown error'}`));
-        return;
-      }
+  // Read the current value of every key, item and collection the batch will touch
+  async captureBatchPreImages(projectName, apiKey, operations, spinner) {
+    const keys = new Map();
+    const items = new Map();
+    const collections = new Map();
+    const unrecoverable = [];
 
-      console.log(chalk.green('✅ Connected to stream!'));
-      console.log(`  Token: ${chalk.yellow(tokenData.token)}`);
-      console.log(`  Subscriptions: ${chalk.cyan(parsedSubscriptions.length)}`);
-      console.log('');
-      console.log(chalk.blue('📡 Listening for real-time updates... (Press Ctrl+C to stop)'));
-      console.log('');
+    spinner.text = 'Capturing pre-images for compensation...';
 
-      // Connect to SSE stream using token only (subscriptions are stored in the token)
-      const { EventSource } = await import('eventsource');
-      const eventSource = new EventSource(`${this.apiUrl}/api/streaming/${projectName}/subscribe?token=${tokenData.token}`);
+    for (const [index, operation] of operations.entries()) {
+      const target = preImageTargets(operation);
 
-      eventSource.onopen = () => {
-        console.log(chalk.green('🔗 Stream connection established'));
-      };
+      if (target.key !== undefined && !keys.has(target.key)) {
+        const { response, data } = await this.apiRequest(`/data/${projectName}/get`, {
+          apiKey,
+          body: { name: target.key },
+          idempotent: true
+        });
+        if (response.ok && data.success) {
+          keys.set(target.key, { exists: true, value: data.value });
+        } else if (response.status === 404) {
+          keys.set(target.key, { exists: false });
+        } else {
+          throw new Error(`Could not read "${target.key}" before running the batch: ${data.error || `HTTP ${response.status}`}`);
+        }
+      }
 
-      eventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          const timestamp = new Date().toLocaleTimeString();
-          
-          if (data.type === 'connected') {
-            console.log(chalk.green(`[${timestamp}] ✅ Connected (ID: ${data.connectionId})`));
-          } else if (data.type === 'ping') {
-            if (options.verbose) {
-              console.log(chalk.gray(`[${timestamp}] 💓 Heartbeat`));
-            }
-          } else if (data.type === 'message') {
-            console.log(chalk.cyan(`[${timestamp}] 📨 Message received:`));
-            console.log(chalk.white(`  Subscription: ${JSON.stringify(data.subscription)}`));
-            console.log(chalk.white(`  Data: ${JSON.stringify(data.data, null, 2)}`));
-          } else {
-            console.log(chalk.yellow(`[${timestamp}] 📡 ${JSON.stringify(data)}`));
+      if (target.item) {
+        const itemKey = `${target.item.collection}/${target.item.id}`;
+        if (!items.has(itemKey)) {
+          const data = await this.fetchWherePage(projectName, apiKey, {
+            name: target.item.collection,
+            filter: { id: target.item.id },
+            limit: MAX_BATCH_OPERATIONS
+          });
+          const item = (data.items || []).find(candidate => candidate.id === target.item.id);
+          items.set(itemKey, item ? { exists: true, value: item.value } : { exists: false });
+          if (!item) {
+            unrecoverable.push(index + 1);
           }
-        } catch (error) {
-          console.log(chalk.red(`[${new Date().toLocaleTimeString()}] ❌ Parse error: ${event.data}`));
         }
-      };
-
-      eventSource.onerror = (error) => {
-        console.error(chalk.red('❌ Stream connection error:'), error);
-        eventSource.close();
-      };
+      }
 
-      // Handle graceful shutdown
-      process.on('SIGINT', () => {
-        console.log(chalk.yellow('\n🔌 Closing stream connection...'));
-        eventSource.close();
-        process.exit(0);
-      });
+      if (target.collection && !collections.has(target.collection)) {
+        const snapshot = [];
+        for await (const page of this.wherePages(projectName, apiKey, { name: target.collection })) {
+          snapshot.push(...page);
+        }
+        collections.set(target.collection, snapshot);
+      }
+    }
 
-    } catch (error) {
-      console.error(chalk.red('Error connecting to stream:'), error.message);
+    if (unrecoverable.length > 0) {
+      spinner.warn(`No pre-image for operation${unrecoverable.length === 1 ? '' : 's'} ${unrecoverable.join(', ')} (item not found); they can't be compensated`);
+      spinner.start();
     }
+
+    return { keys, items, collections };
   }
 
-  async search(query, options = {}) {
-    console.log(chalk.yellow('⚠️  Vector search has been temporarily removed for v1'));
-    console.log(chalk.gray('Use "shov where <collection> --filter <json>" for filtered queries'));
-    console.log(chalk.gray('Vector search will return in a future release'));
-    return;
-    
-    /* Vector search implementation removed - code below kept for reference but not executed
-    const { projectName, apiKey } = await this.getProjectConfig(options);
+  // Undo committed chunks, newest operation first, in batches of at most 50
+  async compensateChunks(projectName, apiKey, chunks, report, results, preImages, spinner) {
+    const inverse = [];
+
+    for (const chunk of [...chunks].reverse()) {
+      const entry = report[chunk.index];
+      if (entry.status !== 'committed' && entry.status !== 'partial') continue;
+
+      for (let i = chunk.operations.length - 1; i >= 0; i--) {
+        const result = results[chunk.index][i];
+        if (result && result.success === false) continue;
+        inverse.push(...inverseOperations(chunk.operations[i], { ...preImages, result }));
+      }
+    }
+
+    spinner.text = `Compensating with ${inverse.length} inverse operations...`;
+
+    for (const compensationChunk of chunkOperations(inverse)) {
+      const { response, data } = await this.apiRequest(`/data/${projectName}/batch`, {
+        apiKey,
+        body: { operations: compensationChunk.operations }
+      });
+      if (!response.ok || data.success === false) {
+        return { success: false, operations: inverse.length, error: data.error || `HTTP ${response.status}` };
+      }
+    }
+
+    report.forEach(entry => {
+      if (entry.status === 'committed' || entry.status === 'partial') {
+        entry.status = 'compensated';
+      }
+    });
+    return { success: true, operations: inverse.length };
+  }
 
+  async forgetItem(idOrName, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora('Forgetting item...').start();
     try {
-      // Handle flag aliases for backward compatibility  
-      // Commander.js converts --min-score and --minScore both to minScore
-      // Commander.js converts --top-k and --topK both to topK
-      const minScore = options.minScore;
-      const topK = options.topK || options.limit;
-      
-      if (!options.json) {
-        let searchDescription = 'Searching';
-        if (options.collection) {
-          searchDescription += ` in collection "${options.collection}"`;
-        } else if (options.orgWide) {
-          searchDescription += ` in the organization`;
-        } else {
-          searchDescription += ` in project "${projectName}"`;
-        }
-        searchDescription += ` for: "${query}"...`;
-        console.log(chalk.blue(searchDescription));
+      const projectConfig = await this.getProjectConfig(options);
+      const { response, data } = await this.apiRequest(`/data/${projectConfig.projectName}/forget/${encodeURIComponent(idOrName)}`, {
+        method: 'DELETE',
+        apiKey: projectConfig.apiKey
+      });
+      if (response.ok) {
+        spinner.succeed(`Successfully forgot item "${idOrName}".`);
+      } else {
+        spinner.fail(`Failed to forget item: ${data.error || 'Unknown error'}`);
       }
+    } catch (error) {
+      spinner.fail(`Failed to forget item: ${error.response ? error.response.data.error : error.message}`);
+    }
+  }
 
-      let effectiveMinScore;
-      if (minScore) {
-        const score = parseFloat(minScore);
-        if (!isNaN(score)) {
-          if (score > 1 && score <= 100) {
-            effectiveMinScore = score / 100;
-            if (!options.json) {
-              console.log(chalk.gray(`(Note: --min-score ${score} was auto-corrected to ${effectiveMinScore})`));
-            }
-          } else {
-            effectiveMinScore = score;
-          }
-        }
+  async updateItem(collection, idOrName, value, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Updating item "${idOrName}" in collection "${collection}"...`).start();
+    try {
+      const { projectName, apiKey } = await this.getProjectConfig(options);
+      let parsedValue;
+      try {
+        parsedValue = JSON.parse(value);
+      } catch (e) {
+        parsedValue = value;
       }
+      // Updates may carry only the changed fields, so required properties aren't enforced
+      this.checkSchema({ collection, partial: true }, parsedValue, options);
 
-      const payload = {
-        query,
-        collection: options.collection || null,
-        orgWide: options.orgWide || false,
-        minScore: effectiveMinScore,
-        topK: topK ? parseInt(topK, 10) : undefined,
+      const body = { 
+        collection: collection,
+        value: parsedValue 
       };
+      // excludeFromVector removed (vector search removed for v1)
 
-      // Add filters if provided
-      if (options.filters) {
-        try {
-          payload.filters = JSON.parse(options.filters);
-        } catch (error) {
-          throw new Error('Filters must be valid JSON');
-        }
+      // Use POST for update with ID in URL path
+      const data = await this.apiCall(`/data/${projectName}/update/${encodeURIComponent(idOrName)}`, body, apiKey, options);
+
+      if (data.success) {
+        spinner.succeed(`Item "${idOrName}" in collection "${collection}" updated successfully.`);
+      } else {
+        spinner.fail(`Failed to update item: ${data.error || 'An unexpected error occurred.'}`);
       }
+    } catch (error) {
+      spinner.fail(`Failed to update item: ${error.message}`);
+    }
+  }
 
-      const response = await fetch(`${this.apiUrl}/api/data/${projectName}/search`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
+  // Identify a key, or a collection item when --collection is given
+  dataTarget(key, options = {}) {
+    return options.collection ? { collection: options.collection, id: key } : { name: key };
+  }
 
-      const data = await response.json();
+  // Show the remaining time to live of a key or collection item
+  async ttl(key, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options);
+    const label = options.collection ? `Item "${key}" in "${options.collection}"` : `"${key}"`;
 
-      if (!response.ok) {
-        if (options.json) {
-          console.log(JSON.stringify({
-            success: false,
-            error: data.error || 'Search failed'
-          }, null, 2));
-          return;
-        }
-        throw new Error(data.error || 'Search failed');
-      }
+    try {
+      const data = await this.apiCall(`/data/${projectName}/ttl`, this.dataTarget(key, options), apiKey, options);
+      const ttl = data.ttl ?? null;
 
       if (options.json) {
-        console.log(JSON.stringify({
-          success: true,
-          query: query,
-          project: projectName,
-          collection: options.collection || null,
-          total: data.items.length,
-          items: data.items
-        }, null, 2));
+        console.log(JSON.stringify({ success: true, key, ...(options.collection && { collection: options.collection }), ttl, expiresAt: data.expiresAt || null }, null, 2));
+      } else if (ttl === null) {
+        console.log(`${label} does not expire`);
       } else {
-        console.log(chalk.green(`✅ Found ${data.items.length} results:`));
-        
-        if (data.items.length === 0) {
-          return;
-        }
-
-        data.items.forEach((item, index) => {
-          console.log(`  ${index + 1}. ${item.id} (Score: ${item._score.toFixed(4)})`);
-          if (item.type === 'key') {
-            // For key/value pairs, show the key.
-            console.log(`     ${chalk.green(item.name)}: ${JSON.stringify(item.value)}`);
-          } else if (item.type === 'collection_item') {
-            // For collection items, show the collection name.
-            console.log(`     ${chalk.blue(item.name)}: ${JSON.stringify(item.value)}`);
-          } else {
-            // Fallback for any other type
-            console.log(`     ${JSON.stringify(item.value)}`);
-          }
-          console.log(`     ${chalk.dim(new Date(item.createdAt).toLocaleString())}`);
-        });
+        const expiresAt = data.expiresAt || new Date(Date.now() + ttl * 1000).toISOString();
+        console.log(`${label} expires in ${chalk.yellow(this.formatDuration(ttl))} ${chalk.gray(`(${expiresAt})`)}`);
       }
-
     } catch (error) {
-      if (options.json) {
-        console.log(JSON.stringify({
-          success: false,
-          error: error.message
-        }, null, 2));
+      throw new Error(`Failed to get TTL: ${error.message}`);
+    }
+  }
+
+  // Set or replace the expiry of a key or collection item
+  async expire(key, duration, options = {}) {
+    const { default: ora } = await import('ora');
+    const ttl = this.parseDuration(duration);
+    const spinner = ora(`Setting expiry on "${key}"...`).start();
+    try {
+      const { projectName, apiKey } = await this.getProjectConfig(options);
+      const body = { ...this.dataTarget(key, options), ttl };
+      const data = await this.apiCall(`/data/${projectName}/expire`, body, apiKey, options);
+
+      if (data.success) {
+        spinner.succeed(`"${key}" now expires in ${this.formatDuration(ttl)}.`);
       } else {
-        throw new Error(`Search failed: ${error.message}`);
+        spinner.fail(`Failed to set expiry: ${data.error || 'An unexpected error occurred.'}`);
+        process.exitCode = 1;
       }
+    } catch (error) {
+      spinner.fail(`Failed to set expiry: ${error.message}`);
+      process.exitCode = 1;
     }
-    */ // End of removed vector search code
   }
 
-  // List all available projects
-  async listProjects() {
-    const projects = await this.config.listProjects()
-    const detected = await this.config.detectProject()
-    
-    if (Object.keys(projects).length === 0) {
-      console.log(chalk.yellow('No projects found.'))
-      console.log(chalk.gray('Run "shov new" to create your first project.'))
-      return
+  // Remove the expiry from a key or collection item
+  async persist(key, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Removing expiry from "${key}"...`).start();
+    try {
+      const { projectName, apiKey } = await this.getProjectConfig(options);
+      const data = await this.apiCall(`/data/${projectName}/persist`, this.dataTarget(key, options), apiKey, options);
+
+      if (data.success) {
+        spinner.succeed(`"${key}" no longer expires.`);
+      } else {
+        spinner.fail(`Failed to remove expiry: ${data.error || 'An unexpected error occurred.'}`);
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      spinner.fail(`Failed to remove expiry: ${error.message}`);
+      process.exitCode = 1;
     }
+  }
 
-    console.log(chalk.bold('Available Projects:'))
-    console.log('')
-    
-    for (const [name, project] of Object.entries(projects)) {
-      const isActive = detected && detected.projectName === name
-      const marker = isActive ? chalk.green('●') : chalk.gray('○')
-      const status = isActive ? chalk.green('(active)') : ''
-      
-      console.log(`  ${marker} ${chalk.cyan(name)} ${status}`)
-      console.log(`    Email: ${chalk.gray(project.email)}`)
-      console.log(`    Created: ${chalk.gray(new Date(project.createdAt).toLocaleDateString())}`)
-      console.log('')
+  // Resolve --at/--from/--to (same grammar as restore --from) to an ISO timestamp
+  async resolvePointInTime(input, projectName, apiKey) {
+    let timestamp = this.parseTimestamp(input)
+
+    if (timestamp === 'FETCH_LAST_DEPLOY') {
+      const projectInfo = await this.apiCall(`/projects/${projectName}`, null, apiKey)
+      const lastDeploy = projectInfo.project?.last_deployment_at
+      if (!lastDeploy) {
+        throw new Error('No deployment history found, so "before deploy" has no meaning here')
+      }
+      // 1 second before the deploy, as restore does
+      timestamp = new Date(lastDeploy).getTime() - 1000
     }
-    
-    if (!detected) {
-      console.log(chalk.gray('Use "shov switch <project>" to activate a project.'))
+
+    if (timestamp > Date.now()) {
+      throw new Error(`"${input}" is in the future`)
     }
+    return new Date(timestamp).toISOString()
   }
 
-  // Switch to a different project
-  async switchProject(projectName) {
-    const project = await this.config.getProject(projectName)
-    
-    if (!project) {
-      console.log(chalk.red(`Project "${projectName}" not found.`))
-      console.log('')
-      console.log(chalk.gray('Available projects:'))
-      
-      const projects = await this.config.listProjects()
-      for (const name of Object.keys(projects)) {
-        console.log(`  • ${chalk.cyan(name)}`)
-      }
+  // Value of a key or item at a point in time (now when `at` is null); undefined if it didn't exist
+  async readAt(projectName, apiKey, target, at = null) {
+    if (target.collection) {
+      const data = await this.fetchWherePage(projectName, apiKey, {
+        name: target.collection,
+        filter: { id: target.id },
+        limit: 1,
+        ...(at && { at })
+      })
+      const item = (data.items || []).find(candidate => candidate.id === target.id)
+      return item ? item.value : undefined
+    }
+
+    const { response, data } = await this.apiRequest(`/data/${projectName}/get`, { apiKey, body: { name: target.name, ...(at && { at }) } })
+    if (response.status === 404) {
+      return undefined
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to read "${target.name}"`)
+    }
+    if (at && !data.asOf) {
+      throw new Error(POINT_IN_TIME_UNSUPPORTED)
+    }
+    return data.value ?? undefined
+  }
+
+  // Versions of a key or item, newest first
+  async fetchHistory(projectName, apiKey, target, limit) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/history`, { apiKey, body: { ...target, limit } })
+
+    if (!Array.isArray(data.versions) && [404, 405, 501].includes(response.status)) {
+      throw new Error('This server does not keep per-key history. Use "shov history" for whole-resource backups')
+    }
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to read history')
+    }
+
+    return (data.versions || []).map(version => ({
+      version: version.version ?? null,
+      at: version.updatedAt ?? version.timestamp ?? version.createdAt ?? null,
+      operation: version.operation ?? version.type ?? (version.deleted ? 'delete' : 'set'),
+      actor: version.actor ?? version.user ?? null,
+      value: version.deleted ? undefined : version.value
+    }))
+  }
+
+  // Version timeline of a key (or an item with --collection), with what each version changed
+  async log(key, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const target = this.dataTarget(key, options)
+    const label = target.collection ? `${target.collection}/${key}` : key
+    const limit = parseInt(options.limit, 10) || 20
+    // One extra version so the oldest one shown can still be compared with its predecessor
+    const versions = await this.fetchHistory(projectName, apiKey, target, limit + 1)
+
+    // Each version is compared with the one before it (the next one in newest-first order)
+    const rows = versions.slice(0, limit).map((version, index) => ({
+      ...version,
+      changes: changeSummary(versions[index + 1]?.value, version.value).join(' ')
+    }))
+
+    if (this.printOutput(options, {
+      data: { key: label, versions: rows },
+      rows: rows.map(({ value, ...row }) => ({ ...row, value: value ?? null }))
+    })) {
       return
     }
 
-    // Save as local config
-    await this.config.saveLocalConfig({
-      project: projectName,
-      apiKey: project.apiKey,
-      email: project.email
-    })
+    if (rows.length === 0) {
+      console.log(chalk.yellow(`No history for "${label}"`))
+      return
+    }
 
-    console.log(chalk.green(`✅ Switched to project "${projectName}"`))
-    console.log(`  Email: ${chalk.gray(project.email)}`)
-    console.log(`  API Key: ${chalk.yellow(project.apiKey.substring(0, 20) + '...')}`)
+    console.log(chalk.bold(`\n${label} - ${rows.length} version${rows.length === 1 ? '' : 's'}\n`))
+    rows.forEach((row, index) => {
+      const when = row.at ? `${new Date(row.at).toISOString().replace('T', ' ').slice(0, 19)} ${chalk.gray(`(${this.getRelativeTime(new Date(row.at))})`)}` : chalk.gray('unknown time')
+      const version = row.version !== null ? chalk.yellow(`v${row.version}`.padEnd(6)) : ''
+      const actor = row.actor ? chalk.cyan(row.actor) : chalk.gray('unknown')
+      console.log(`  ${version}${when}  ${row.operation}  ${actor}  ${row.changes || chalk.gray('no change')}`)
+
+      if (options.diff) {
+        const diff = formatDiff(diffLines(versions[index + 1]?.value, row.value))
+        console.log(diff.split('\n').map(line => `      ${line}`).join('\n') + '\n')
+      }
+    })
   }
 
-  // Show current user and project information
-  async whoami() {
-    const detected = await this.config.detectProject()
-    const globalConfig = await this.config.loadGlobalConfig()
-    
-    console.log(chalk.bold('Current User & Project:'))
-    console.log('')
-    
-    if (globalConfig.email) {
-      console.log(`  User: ${chalk.cyan(globalConfig.email)}`)
-    } else {
-      console.log(`  User: ${chalk.gray('Not set')}`)
+  // Colored JSON diff of a key (or item) between two points in time
+  async diff(key, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    if (!options.from) {
+      throw new Error('--from is required, e.g. shov diff config --from "2 hours ago"')
     }
-    
-    if (detected) {
-      console.log(`  Project: ${chalk.cyan(detected.projectName)}`)
-      console.log(`  API Key: ${chalk.yellow(detected.apiKey.substring(0, 20) + '...')}`)
-      console.log(`  Source: ${chalk.gray(detected.source)}`)
-    } else {
-      console.log(`  Project: ${chalk.gray('None active')}`)
-      console.log('')
-      console.log(chalk.gray('Run "shov new" to create a project or "shov switch <project>" to activate one.'))
+
+    const target = this.dataTarget(key, options)
+    const label = target.collection ? `${target.collection}/${key}` : key
+    const from = await this.resolvePointInTime(options.from, projectName, apiKey)
+    const to = options.to ? await this.resolvePointInTime(options.to, projectName, apiKey) : null
+
+    const before = await this.readAt(projectName, apiKey, target, from)
+    const after = await this.readAt(projectName, apiKey, target, to)
+    const changes = changeSummary(before, after)
+    const toLabel = to || 'now'
+
+    if (options.json) {
+      console.log(JSON.stringify({ key: label, from, to: toLabel, before: before ?? null, after: after ?? null, changes }, null, 2))
+      return
+    }
+
+    console.log(chalk.red(`--- ${label} @ ${from}${before === undefined ? ' (did not exist)' : ''}`))
+    console.log(chalk.green(`+++ ${label} @ ${toLabel}${after === undefined ? ` (${to ? 'did' : 'does'} not exist)` : ''}`))
+    if (changes.length === 0) {
+      console.log(chalk.gray('No changes'))
+      return
     }
+    console.log(formatDiff(diffLines(before, after)))
+    console.log(chalk.gray(`\n${changes.join(' ')}`))
   }
 
-  // Code Functions Management
-  async codeList(options = {}) {
+  // Add to a numeric key (default 1); a missing key counts from 0
+  async incr(key, by, options = {}) {
+    return this.counter(key, this.parseCounterStep(by), options)
+  }
+
+  async decr(key, by, options = {}) {
+    return this.counter(key, -this.parseCounterStep(by), options)
+  }
+
+  parseCounterStep(by) {
+    if (by === undefined) return 1
+    const step = Number(by)
+    if (by.trim() === '' || !Number.isFinite(step)) {
+      throw new Error(`"${by}" is not a number`)
+    }
+    return step
+  }
+
+  async counter(key, delta, options = {}) {
     const { projectName, apiKey } = await this.getProjectConfig(options)
-    
+
+    let result
     try {
-      const result = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
-      }
-      
-      if (!result.functions || result.functions.length === 0) {
-        console.log(chalk.yellow('No code functions found.'))
-        console.log(chalk.gray('Run "shov code write <name> <file>" to deploy your first function.'))
-        return
-      }
-      
-      console.log(chalk.bold(`Code Functions (${result.functions.length}):`))
-      console.log('')
-      
-      result.functions.forEach(func => {
-        console.log(`  ${chalk.cyan(func.name)}`)
-        console.log(`    URL: ${chalk.blue(func.url || `https://${projectName}.shov.com/api/${func.name}`)}`)
-        console.log(`    Size: ${chalk.gray(func.size || 'Unknown')}`)
-        console.log(`    Updated: ${chalk.gray(new Date(func.deployedAt || func.updatedAt).toLocaleString())}`)
-        console.log('')
-      })
+      result = await this.serverKeyOperation(projectName, apiKey, 'incr', { name: key, by: delta }) ||
+        await readModifyWrite({
+          read: () => this.readKeyState(projectName, apiKey, key),
+          commit: next => this.commitKeyState(projectName, apiKey, key, next),
+          compute: current => {
+            const next = incrementValue(current, delta)
+            this.checkSchema({ key }, next, options)
+            return next
+          },
+          retries: parseInt(options.maxConflicts, 10) || DEFAULT_CONFLICT_RETRIES
+        })
     } catch (error) {
-      throw new Error(`Failed to list code functions: ${error.message}`)
+      throw new Error(`Failed to ${delta < 0 ? 'decrement' : 'increment'} "${key}": ${error.message}`)
     }
+
+    this.printKeyWrite(key, result, options)
   }
 
-  async codeWrite(functionName, filePath, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`)
+  // Write `value` only if the key currently holds `expected` (JSON null also matches a missing key)
+  async cas(key, expected, value, options = {}) {
+    const parse = text => {
+      try {
+        return JSON.parse(text)
+      } catch {
+        return text
+      }
     }
-    
-    const code = fs.readFileSync(filePath, 'utf8')
-    const config = {
-      timeout: options.timeout ? parseInt(options.timeout) : 10000,
-      description: options.description || `Code function: ${functionName}`
+    return this.compareAndSet(key, { value: parse(expected) }, parse(value), options)
+  }
+
+  // set --if-version N / --if-absent
+  async conditionalSet(key, value, options = {}) {
+    if (options.ifVersion !== undefined && options.ifAbsent) {
+      throw new Error('Use either --if-version or --if-absent, not both')
     }
-    
+
+    let parsedValue = value
     try {
-      const result = await this.apiCall(`/code/${projectName}`, {
-        name: functionName,
-        code,
-        config
-      }, apiKey, options, 'POST')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
+      parsedValue = JSON.parse(value)
+    } catch {
+      // Not JSON, store the string
+    }
+
+    let condition = { absent: true }
+    if (options.ifVersion !== undefined) {
+      const version = parseInt(options.ifVersion, 10)
+      if (Number.isNaN(version)) {
+        throw new Error(`--if-version must be a number, got "${options.ifVersion}"`)
       }
-      
-      console.log(chalk.green(`✅ Code function "${functionName}" written successfully!`))
-      console.log(`   URL: ${chalk.blue(result.url || `https://${projectName}.shov.com/api/${functionName}`)}`)
-      console.log(`   Version: ${chalk.gray(result.version || 'Unknown')}`)
-      console.log(`   Deployed: ${chalk.gray(new Date(result.deployedAt || Date.now()).toLocaleString())}`)
-    } catch (error) {
-      throw new Error(`Failed to write code function: ${error.message}`)
+      condition = { version }
     }
+    return this.compareAndSet(key, condition, parsedValue, options)
   }
 
-  async codeRead(functionName, options = {}) {
+  /**
+   * Conditional write of a key through the server's cas endpoint. Without one it refuses:
+   * checking first and writing after would let another client's write slip in between.
+   * @param {object} condition - { value }, { version } or { absent: true }
+   */
+  async compareAndSet(key, condition, value, options = {}) {
     const { projectName, apiKey } = await this.getProjectConfig(options)
-    
+    this.checkSchema({ key }, value, options)
+    const ttl = options.ttl ? this.parseDuration(options.ttl) : undefined
+
+    const body = {
+      name: key,
+      value,
+      ...('value' in condition && { expected: condition.value }),
+      ...(condition.version !== undefined && { ifVersion: condition.version }),
+      ...(condition.absent && { ifAbsent: true }),
+      ...(ttl && { ttl })
+    }
+
+    const result = await this.serverKeyOperation(projectName, apiKey, 'cas', body, condition)
+    if (!result) {
+      throw new Error('This server has no compare-and-set endpoint, so the condition can\'t be checked safely; nothing was written')
+    }
+
+    this.printKeyWrite(key, result, options)
+  }
+
+  // Call the server's incr/cas endpoint; null when the API doesn't have it.
+  // `condition` describes what a cas expected, for the conflict message
+  async serverKeyOperation(projectName, apiKey, endpoint, body, condition = null) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/${endpoint}`, { apiKey, body })
+
+    if (response.status === 404 || response.status === 405 || response.status === 501) {
+      return null
+    }
+    if (response.status === 409) {
+      const current = { exists: data.value !== undefined && data.value !== null, value: data.value ?? null, version: data.version ?? null }
+      const described = condition && !(condition.version !== undefined && current.version === null)
+      const mismatch = described ? keyConditionMismatch(condition, current) : null
+      throw new Error(`Conflict: "${body.name}" ${mismatch || 'was changed by another client'}; nothing was written`)
+    }
+    if (!response.ok || data.success === false) {
+      throw new Error(data.error || `Failed to write "${body.name}"`)
+    }
+    return { value: data.value, version: data.version ?? null, attempts: 1 }
+  }
+
+  // A key as { exists, value, version }
+  async readKeyState(projectName, apiKey, key) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/get`, { apiKey, body: { name: key } })
+
+    if (response.status === 404) {
+      return { exists: false, value: null, version: null }
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to read "${key}"`)
+    }
+    const value = data.value ?? null
+    return { exists: value !== null, value, version: data.version ?? null }
+  }
+
+  // Write a key in a [get, set] transaction; the get shows what it held at commit time (null if it failed)
+  async commitKeyState(projectName, apiKey, key, next) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/batch`, {
+      apiKey,
+      body: { operations: [{ type: 'get', name: key }, { type: 'set', name: key, value: next }] }
+    })
+    if (!response.ok || data.success === false) {
+      throw new Error(data.error || `Failed to write "${key}"`)
+    }
+
+    const [read, written] = data.results || []
+    return {
+      observed: getResultState(read),
+      version: written?.result?.version ?? data.version ?? null
+    }
+  }
+
+  printKeyWrite(key, { value, version, attempts }, options = {}) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: true, key, value, version }))
+      return
+    }
+
+    const versionNote = version !== null && version !== undefined ? chalk.gray(` (version ${version})`) : ''
+    console.log(chalk.green(`✅ ${key} = ${JSON.stringify(value)}`) + versionNote)
+    if (attempts > 1) {
+      console.log(chalk.gray(`   Written on attempt ${attempts}; another client changed "${key}" in between`))
+    }
+  }
+
+  async sendOtp(identifier, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Sending OTP to ${identifier}...`).start();
     try {
-      const result = await this.apiCall(`/code/${projectName}/${functionName}`, {}, apiKey, options, 'GET')
+      const projectConfig = await this.getProjectConfig(options);
+      const digits = options.digits ? parseInt(options.digits, 10) : 4;
       
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
+      const { response, data } = await this.apiRequest(`/auth/${projectConfig.projectName}/otp`, {
+        apiKey: projectConfig.apiKey,
+        body: { identifier, digits }
+      });
+      if (response.ok) {
+        spinner.succeed(data.message);
+      } else {
+        this.handleApiError(response, data, spinner, 'OTP sending');
       }
-      
-      console.log(chalk.bold(`Code Function: ${chalk.cyan(functionName)}`))
-      console.log('')
-      console.log(chalk.gray(`Version: ${result.version || 'Unknown'}`))
-      console.log(chalk.gray(`Size: ${result.size || 'Unknown'}`))
-      console.log(chalk.gray(`Deployed: ${new Date(result.deployedAt || Date.now()).toLocaleString()}`))
-      console.log('')
-      console.log(chalk.bold('Source Code:'))
-      console.log('')
-      console.log(result.code)
     } catch (error) {
-      throw new Error(`Failed to read code function: ${error.message}`)
+      spinner.fail(`Failed to send OTP: ${error.message}`);
     }
   }
 
-  async codeDelete(functionName, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
+  async verifyOtp(identifier, pin, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Verifying OTP for ${identifier}...`).start();
     try {
-      const result = await this.apiCall(`/code/${projectName}/${functionName}`, { 
-        name: functionName 
-      }, apiKey, options, 'DELETE')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
+      const projectConfig = await this.getProjectConfig(options);
+
+      const { response, data } = await this.apiRequest(`/auth/${projectConfig.projectName}/otp/verify`, {
+        apiKey: projectConfig.apiKey,
+        body: { identifier, pin }
+      });
+      if (response.ok && data.success) {
+        spinner.succeed('OTP verified successfully!');
+      } else {
+        spinner.fail(`Failed to verify OTP: ${data.error || 'Unknown error'}`);
       }
-      
-      console.log(chalk.green(`✅ Code function "${functionName}" deleted successfully!`))
     } catch (error) {
-      throw new Error(`Failed to delete code function: ${error.message}`)
+      spinner.fail(`Failed to verify OTP: ${error.message}`);
     }
   }
 
-  async codeRollback(functionName, version, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
+  // Get contents of current memory (keys, collections, files)
+  async getContents(options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora({ text: 'Retrieving contents...', isSilent: Boolean(resolveOutputFormat(options)) }).start();
     try {
-      const result = await this.apiCall(`/code/${projectName}/rollback`, {
-        name: functionName,
-        version: version ? parseInt(version) : undefined
-      }, apiKey, options, 'POST')
+      const projectConfig = await this.getProjectConfig(options);
       
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
+      const { response, data } = await this.apiRequest(`/data/${projectConfig.projectName}/contents`, {
+        apiKey: projectConfig.apiKey,
+        body: {}
+      });
+      if (response.ok && data.success) {
+        spinner.stop();
+        if (this.printOutput(options, { data, rows: data.contents })) {
+          return;
+        }
+
+        spinner.succeed(`Found ${data.contents.length} items:`);
+        
+        if (data.contents.length === 0) {
+          console.log(chalk.gray('  No items found'));
+          return;
+        }
+
+        // Group by type
+        const grouped = data.contents.reduce((acc, item) => {
+          if (!acc[item.type]) acc[item.type] = [];
+          acc[item.type].push(item);
+          return acc;
+        }, {});
+
+        // Display each type
+        Object.entries(grouped).forEach(([type, items]) => {
+          console.log(`\n  ${chalk.bold(type.toUpperCase())} (${items.length}):`);
+          items.forEach(item => {
+            if (item.type === 'collection') {
+              console.log(`    ${chalk.yellow(item.count || 'undefined')} - ${chalk.cyan(item.name)}`);
+            } else {
+              console.log(`    ${chalk.yellow(item.id)} - ${chalk.cyan(item.name)}`);
+            }
+          });
+        });
+      } else {
+        spinner.fail(`Failed to get contents: ${data.error || 'Unknown error'}`);
       }
-      
-      console.log(chalk.green(`✅ Code function "${functionName}" rolled back successfully!`))
-      console.log(`   Version: ${chalk.gray(result.version || 'Previous')}`)
-      console.log(`   Rolled back: ${chalk.gray(new Date().toLocaleString())}`)
     } catch (error) {
-      throw new Error(`Failed to rollback code function: ${error.message}`)
+      spinner.fail(`Failed to get contents: ${error.message}`);
     }
   }
 
-  async codeLogs(functionName, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
-    try {
-      const endpoint = options.follow ? `/code/${projectName}/logs/tail` : `/code/${projectName}/logs`
-      const payload = functionName ? { functionName } : {}
-      
-      if (options.follow) {
-        console.log(chalk.blue(`Following logs for ${functionName ? `function "${functionName}"` : 'all functions'}...`))
-        console.log(chalk.gray('Press Ctrl+C to stop'))
-        console.log('')
-        
-        // For follow mode, we'd need to implement SSE streaming
-        // For now, just show recent logs
-        console.log(chalk.yellow('Note: Real-time log following not yet implemented in CLI'))
-        console.log(chalk.gray('Showing recent logs instead...'))
-        console.log('')
-      }
-      
-      const result = await this.apiCall(endpoint, payload, apiKey, options)
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
-      }
-      
-      if (!result.logs || result.logs.length === 0) {
-        console.log(chalk.yellow('No logs found.'))
-        return
+  // Values of several keys, read with batch gets (up to 50 keys per request), as
+  // { exists, value }; a key whose read failed has `error` instead of being reported missing
+  async getMany(projectName, apiKey, names) {
+    const values = new Map()
+
+    for (let i = 0; i < names.length; i += MAX_BATCH_OPERATIONS) {
+      const slice = names.slice(i, i + MAX_BATCH_OPERATIONS)
+      const { response, data } = await this.apiRequest(`/data/${projectName}/batch`, {
+        apiKey,
+        body: { operations: slice.map(name => ({ type: 'get', name })) }
+      })
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || 'Failed to read keys')
       }
-      
-      console.log(chalk.bold(`Logs (${result.logs.length} entries):`))
-      console.log('')
-      
-      result.logs.forEach(log => {
-        const timestamp = chalk.gray(new Date(log.timestamp).toLocaleString())
-        const level = log.level === 'error' ? chalk.red(log.level.toUpperCase()) : 
-                     log.level === 'warn' ? chalk.yellow(log.level.toUpperCase()) : 
-                     chalk.blue(log.level.toUpperCase())
-        const func = log.function ? chalk.cyan(`[${log.function}]`) : ''
-        const region = log.region ? chalk.gray(`(${log.region})`) : ''
-        
-        console.log(`${timestamp} ${level} ${func} ${region}`)
-        console.log(`  ${log.message}`)
-        if (log.duration) {
-          console.log(`  ${chalk.gray(`Duration: ${log.duration}`)}`)
-        }
-        console.log('')
+
+      slice.forEach((name, index) => {
+        const result = (data.results || [])[index]
+        const state = getResultState(result)
+        values.set(name, state || { exists: false, value: null, error: result?.error || 'the server returned no result' })
       })
-    } catch (error) {
-      throw new Error(`Failed to get code function logs: ${error.message}`)
     }
+
+    return values
   }
 
-  // Download starter files after project creation
-  async downloadStarterFiles(projectName, apiKey, organizationSlug, options = {}) {
-    const { default: ora } = await import('ora')
-    const codeDir = options.codeDir || './api'
-    const projectType = options.projectType || 'blank'
-    const hasFrontend = !!options.frontend
-    const frontendType = options.frontend
-    const lang = options.language === 'typescript' ? 'ts' : 'ts' // Always use TypeScript for now
-    
+  async mget(keys, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const names = [...new Set(keys)]
+
+    let values
     try {
-      const spinner = ora('Downloading starter files...').start()
-      
-      // Use the new backend templates API to get TypeScript source files
-      const templatesUrl = `${this.apiUrl}/api/templates/backend?starter=${projectType}&lang=${lang}`
-      const templatesResponse = await fetch(templatesUrl, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-      
-      if (!templatesResponse.ok) {
-        spinner.warn('Could not download starter files')
-        console.log(chalk.gray('  You can pull them later with: shov code pull'))
-        
-        // Create code directory if needed (unless it's current dir)
-        if (codeDir !== '.') {
-          if (!fs.existsSync(codeDir)) {
-            fs.mkdirSync(codeDir, { recursive: true })
-          }
-        }
-        
-        return
-      }
-      
-      const templatesData = await templatesResponse.json()
-      
-      if (!templatesData.success || !templatesData.files) {
-        spinner.warn('Could not download starter files')
-        console.log(chalk.gray('  You can pull them later with: shov code pull'))
-        return
-      }
-      
-      // Convert template files object to array format
-      // templatesData.files is { 'routes/auth/google.ts': '...code...', 'index.ts': '...code...' }
-      const files = Object.entries(templatesData.files).map(([filePath, content]) => ({
-        filePath,
-        content
-      }))
-      
-      // Create code directory if needed (unless it's current dir)
-      if (codeDir !== '.') {
-        if (!fs.existsSync(codeDir)) {
-          fs.mkdirSync(codeDir, { recursive: true })
-        }
-      }
-      
-      if (files.length === 0) {
-        spinner.succeed('Project initialized')
-        await this.showGitTipIfNeeded()
-        return
-      }
-      
-      spinner.text = 'Downloading starter files...'
-      
-      // Download each file
-      let successCount = 0
-      for (const file of files) {
-        try {
-          // Determine file path (remove leading slash if present)
-          const filePath = file.filePath.startsWith('/') ? file.filePath.slice(1) : file.filePath
-          const fullPath = path.join(codeDir, filePath)
-          const fileDir = path.dirname(fullPath)
-          
-          // Create subdirectories if needed
-          if (fileDir !== codeDir && fileDir !== '.') {
-            if (!fs.existsSync(fileDir)) {
-              fs.mkdirSync(fileDir, { recursive: true })
-            }
-          }
-          
-          // Write file content
-          fs.writeFileSync(fullPath, file.content || '', 'utf8')
-          successCount++
-        } catch (error) {
-          console.warn(chalk.yellow(`  ⚠️  Failed to download ${file.filePath}: ${error.message}`))
-        }
-      }
-      
-      spinner.stop()
-      // Silently complete - parent handles messaging
-      
+      values = await this.getMany(projectName, apiKey, names)
     } catch (error) {
-      console.warn(chalk.yellow(`\n⚠️  Could not download starter files: ${error.message}`))
-      console.log(chalk.gray('  You can pull them later with: shov code pull'))
-      
-      // Create code directory if needed (unless it's current dir)
-      if (codeDir !== '.') {
-        if (!fs.existsSync(codeDir)) {
-          fs.mkdirSync(codeDir, { recursive: true })
-        }
+      throw new Error(`Failed to get values: ${error.message}`)
+    }
+
+    const failed = names.filter(name => values.get(name).error)
+    const missing = names.filter(name => !values.get(name).exists && !values.get(name).error)
+    const rows = names.map(name => ({ key: name, value: values.get(name).value }))
+    const result = {
+      success: failed.length === 0,
+      values: Object.fromEntries(rows.map(row => [row.key, row.value])),
+      missing,
+      ...(failed.length > 0 && { failed: Object.fromEntries(failed.map(name => [name, values.get(name).error])) })
+    }
+    if (failed.length > 0) {
+      process.exitCode = 1
+    }
+    if (this.printOutput(options, { data: result, rows, raw: result.values })) {
+      return
+    }
+
+    for (const name of names) {
+      const { exists, value, error } = values.get(name)
+      if (error) {
+        console.log(`${chalk.cyan(name)} ${chalk.red(`(read failed: ${error})`)}`)
+      } else {
+        console.log(exists ? `${chalk.cyan(name)} = ${JSON.stringify(value)}` : `${chalk.cyan(name)} ${chalk.gray('(not set)')}`)
       }
     }
   }
-  
-  // Download frontend template (e.g., Next.js) when requested
-  async downloadFrontendTemplate(projectName, apiKey, backendUrl, options = {}) {
+
+  // Set many keys from a JSON object, a JSON/YAML/.env file or stdin, 50 keys per transaction
+  async mset(source, options = {}) {
     const { default: ora } = await import('ora')
-    const starter = options.starter || 'b2b'
-    const framework = options.frontend // e.g., 'nextjs'
-    if (!framework) return
-    const lang = (options.lang === 'ts' || options.typescript) ? 'ts' : 'js'
-    // New unified structure: frontend files in root directory
-    const appDirName = '.'
-    const appDir = path.join(process.cwd(), appDirName)
+    const values = await loadKeyValues(source)
+    const entries = Object.entries(values)
 
-    const spinner = ora(`Downloading ${framework} frontend template...`).start()
-    try {
-      const url = new URL(`${this.apiUrl}/api/templates/frontend`)
-      url.searchParams.set('starter', starter)
-      url.searchParams.set('framework', framework)
-      url.searchParams.set('lang', lang)
+    if (entries.length === 0) {
+      throw new Error('No keys to set')
+    }
 
-      const response = await fetch(url.toString(), { method: 'GET' })
-      const data = await response.json().catch(() => ({}))
+    const problems = options.validate === false ? [] : entries.flatMap(([name, value]) =>
+      this.schemaRegistry().check({ key: name }, value).map(problem => `${name}: ${problem}`))
+    if (problems.length > 0) {
+      throw new Error(`Values do not match their schemas (use --no-validate to skip):\n  ${problems.join('\n  ')}`)
+    }
 
-      if (!response.ok || !data.success) {
-        spinner.warn(`Frontend template not available (${starter} + ${framework} + ${lang})`)
-        if (data.message) console.log(chalk.gray(`  ${data.message}`))
-        return
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const ttl = options.ttl ? this.parseDuration(options.ttl) : undefined
+    const operations = entries.map(([name, value]) => ({ type: 'set', name, value, ...(ttl && { ttl }) }))
+
+    const spinner = ora({ text: `Setting ${entries.length} key${entries.length === 1 ? '' : 's'}...`, isSilent: !!options.json }).start()
+    await this.batchInChunks(projectName, apiKey, operations, MAX_BATCH_OPERATIONS, spinner, { json: options.json })
+  }
+
+  /**
+   * Pages of { keys: [{ name, size, createdAt }], nextCursor }. Uses the server's keys endpoint
+   * when it has one; otherwise filters the key list from contents and pages through it locally.
+   */
+  async *keyPages(projectName, apiKey, { prefix, match, cursor } = {}, pageSize = 100) {
+    const request = pageCursor => this.apiRequest(`/data/${projectName}/keys`, {
+      apiKey,
+      body: { ...(prefix && { prefix }), ...(match && { match }), limit: pageSize, ...(pageCursor && { cursor: pageCursor }) }
+    })
+
+    let { response, data } = await request(cursor)
+    if (![404, 405, 501].includes(response.status)) {
+      while (true) {
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to list keys')
+        }
+        yield { keys: data.keys || [], nextCursor: data.nextCursor || null }
+        if (!data.nextCursor) return
+
+        const page = await request(data.nextCursor)
+        response = page.response
+        data = page.data
       }
+    }
 
-      const files = data.files || {}
+    const contents = await this.apiCall(`/data/${projectName}/contents`, {}, apiKey)
+    const matches = keyFilter({ prefix, match })
+    const keys = (contents.contents || [])
+      .filter(item => item.type === 'key' && matches(item.name))
+      .map(item => ({ name: item.name, size: item.size ?? null, createdAt: item.createdAt ?? item.created_at ?? null }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    // The fallback cursor is just an offset into the sorted list
+    let offset = parseInt(cursor, 10) || 0
+    do {
+      const nextOffset = offset + pageSize
+      yield { keys: keys.slice(offset, nextOffset), nextCursor: nextOffset < keys.length ? String(nextOffset) : null }
+      offset = nextOffset
+    } while (offset < keys.length)
+  }
 
-      // Create app directory
-      if (!fs.existsSync(appDir)) {
-        fs.mkdirSync(appDir, { recursive: true })
+  async listKeys(options = {}) {
+    const { default: ora } = await import('ora')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const pageSize = parseInt(options.limit, 10) || 100
+    const spinner = ora({ text: 'Listing keys...', isSilent: Boolean(resolveOutputFormat(options)) }).start()
+
+    const keys = []
+    let nextCursor = null
+    try {
+      for await (const page of this.keyPages(projectName, apiKey, options, pageSize)) {
+        keys.push(...page.keys)
+        nextCursor = page.nextCursor
+        if (!options.all) break
       }
+    } catch (error) {
+      spinner.fail('Failed to list keys')
+      throw error
+    }
+    spinner.stop()
 
-      // Write files
-      let written = 0
-      const runtimeUrl = backendUrl || `https://${projectName}.shov.dev`
-      for (const [relPath, content] of Object.entries(files)) {
-        const safePath = relPath.startsWith('/') ? relPath.slice(1) : relPath
-        const fullPath = path.join(appDir, safePath)
-        const fileDir = path.dirname(fullPath)
-        if (!fs.existsSync(fileDir)) {
-          fs.mkdirSync(fileDir, { recursive: true })
+    if (this.printOutput(options, { data: { keys, nextCursor }, rows: keys })) {
+      return
+    }
+
+    if (keys.length === 0) {
+      console.log(chalk.yellow('No keys found'))
+      return
+    }
+    const rows = keys.map(key => ({
+      key: key.name,
+      size: formatBytes(key.size),
+      created: key.createdAt ? new Date(key.createdAt).toISOString().replace('T', ' ').slice(0, 19) : ''
+    }))
+    console.log(formatOutput('table', { data: rows, rows }))
+    console.log(chalk.gray(`\n${keys.length} key${keys.length === 1 ? '' : 's'}`))
+    if (nextCursor) {
+      console.log(chalk.gray(`More: shov keys --cursor ${nextCursor}${options.prefix ? ` --prefix ${options.prefix}` : ''}${options.match ? ` --match '${options.match}'` : ''}  (or --all)`))
+    }
+  }
+
+  // Stream { key, value } for every matching key; NDJSON unless another -o format is picked
+  async scanKeys(options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const format = resolveOutputFormat(options) || 'ndjson'
+    const fields = parseFields(options.fields || process.env.SHOV_FIELDS)
+    const pageSize = parseInt(options.pageSize, 10) || 100
+    const collected = []
+    let total = 0
+
+    for await (const page of this.keyPages(projectName, apiKey, options, pageSize)) {
+      const values = await this.getMany(projectName, apiKey, page.keys.map(key => key.name))
+      for (const key of page.keys) {
+        const entry = values.get(key.name)
+        if (entry.error) {
+          console.error(chalk.red(`Could not read "${key.name}": ${entry.error}`))
+          process.exitCode = 1
+          continue
         }
-        
-        // Replace placeholders in wrangler.jsonc
-        let fileContent = content || ''
-        if (safePath === 'wrangler.jsonc') {
-          fileContent = fileContent
-            .replace(/PROJECT_NAME/g, projectName)
-            .replace(/PROJECT_API_URL/g, runtimeUrl)
+        // Deleted between listing and reading
+        if (!entry.exists) continue
+
+        const record = { key: key.name, value: entry.value }
+        total++
+        if (format !== 'ndjson') {
+          collected.push(record)
+        } else if (!process.stdout.write(formatOutput('ndjson', { data: record, rows: [record] }, fields) + '\n')) {
+          await new Promise(resolve => process.stdout.once('drain', resolve))
         }
-        
-        fs.writeFileSync(fullPath, fileContent, 'utf8')
-        written++
       }
+    }
 
-      // Frontend env vars are now merged into the main .env file (handled by addToEnv)
-
-      spinner.stop()
-      // Silently complete - parent handles messaging
-    } catch (error) {
-      spinner.warn(`Could not download ${framework} template: ${error.message}`)
+    if (format !== 'ndjson') {
+      console.log(formatOutput(format, { data: collected, rows: collected }, fields))
+    }
+    if (process.stderr.isTTY) {
+      console.error(chalk.gray(`${total} keys`))
     }
   }
-  
-  // Show git initialization tip if not already in a git repo
-  async showGitTipIfNeeded() {
+
+  // Upload a file
+  async uploadFile(filePath, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Uploading ${filePath}...`).start();
     try {
-      const gitDir = path.join(process.cwd(), '.git')
-      if (!fs.existsSync(gitDir)) {
-        console.log('')
-        console.log(chalk.blue('💡 Tip: Initialize git to track changes:'))
-        console.log(chalk.gray('   git init && git add . && git commit -m "Initial Shov backend"'))
-      }
+        const { projectName, apiKey } = await this.getProjectConfig(options);
+        const absolutePath = path.resolve(filePath);
+
+        if (!fs.existsSync(absolutePath)) {
+            throw new Error(`File not found at ${absolutePath}`);
+        }
+
+        const { fileTypeFromFile } = await import('file-type');
+        const type = await fileTypeFromFile(absolutePath);
+        const mimeType = type ? type.mime : 'application/octet-stream';
+
+        // Use curl as a workaround for Node.js fetch ECONNRESET issue
+        const { execa } = await import('execa');
+        const curlArgs = [
+            '-X', 'POST',
+            `${this.apiUrl}/api/files/${projectName}`,
+            '-H', `Authorization: Bearer ${apiKey}`,
+            '-H', `Content-Type: ${mimeType}`,
+            '-H', `x-shov-filename: ${path.basename(absolutePath)}`,
+            '--data-binary', `@${absolutePath}`,
+            '--max-time', '30'
+        ];
+
+        const result = await execa('curl', curlArgs);
+        const data = JSON.parse(result.stdout);
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to upload file');
+        }
+
+        spinner.succeed('File uploaded successfully!');
+        console.log(`  File ID: ${chalk.yellow(data.fileId)}`);
+        console.log(`  URL: ${chalk.cyan(data.url)}`);
+
     } catch (error) {
-      // Ignore errors checking for git
+        spinner.fail(`File upload failed: ${error.message}`);
     }
   }
 
-  async codePull(options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    const config = await this.config.loadLocalConfig()
-    const outputDir = this.detectCodeDirectory(options.output || config.codeDir)
-    
+  async forgetFile(filename, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Deleting file "${filename}"...`).start();
     try {
-      console.log(chalk.blue('Fetching code files from project...'))
-      
-      // Get list of all code files
-      const listResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
-      
-      if (!listResult.functions || listResult.functions.length === 0) {
-        console.log(chalk.yellow('No code files found in project.'))
-        return
-      }
-      
-      console.log(chalk.gray(`Found ${listResult.functions.length} code files`))
-      console.log('')
-      
-      // Create output directory if it doesn't exist
-      if (outputDir !== '.') {
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true })
-          console.log(chalk.gray(`Created directory: ${outputDir}`))
-        }
-      }
-      
-      // Download each file
-      let successCount = 0
-      let errorCount = 0
+      const { projectName, apiKey } = await this.getProjectConfig(options);
       
-      for (const func of listResult.functions) {
-        try {
-          // Read the code content
-          const readResult = await this.apiCall(`/code/${projectName}/${func.name}`, {}, apiKey, options, 'GET')
-          
-          // Determine file path
-          const filePath = path.join(outputDir, func.name)
-          const fileDir = path.dirname(filePath)
-          
-          // Create subdirectories if needed
-          if (fileDir !== outputDir && fileDir !== '.') {
-            fs.mkdirSync(fileDir, { recursive: true })
-          }
-          
-          // Write file
-          fs.writeFileSync(filePath, readResult.code, 'utf8')
-          
-          console.log(chalk.green(`✓ ${func.name}`) + chalk.gray(` (${readResult.size || 'Unknown size'})`))
-          successCount++
-        } catch (error) {
-          console.log(chalk.red(`✗ ${func.name}`) + chalk.gray(` - ${error.message}`))
-          errorCount++
-        }
-      }
+      // Use data endpoint with forget-file command and filename in URL path
+      const data = await this.apiCall(`/data/${projectName}/forget-file/${encodeURIComponent(filename)}`, {}, apiKey, options, 'DELETE');
       
-      console.log('')
-      if (errorCount === 0) {
-        console.log(chalk.green(`✅ Successfully downloaded ${successCount} code files to ${outputDir === '.' ? 'current directory' : outputDir}`))
+      if (data.success) {
+        spinner.succeed(`Successfully deleted ${data.count} file(s) named "${filename}".`);
       } else {
-        console.log(chalk.yellow(`⚠️  Downloaded ${successCount} files, ${errorCount} failed`))
-      }
-      
-      if (options.json) {
-        console.log(JSON.stringify({
-          success: errorCount === 0,
-          filesDownloaded: successCount,
-          filesFailed: errorCount,
-          outputDirectory: outputDir
-        }, null, 2))
+        spinner.fail(`Failed to delete file: ${data.error || 'Unknown error'}`);
       }
     } catch (error) {
-      throw new Error(`Failed to pull code files: ${error.message}`)
+      spinner.fail(`Failed to delete file: ${error.message}`);
     }
   }
 
-  // Deploy Frontend - Build and deploy Next.js frontend
-  // New unified frontend deployment that handles both Tanstack and Next.js
-  async deployFrontendBuild(projectName, apiKey, framework, options = {}) {
-    const { execSync } = require('child_process')
-    const { default: ora } = await import('ora')
-    const { default: chalk } = await import('chalk')
-    const path = require('path')
-    const fs = require('fs')
-    
-    const spinner = ora(`Building ${framework} frontend...`).start()
-    
+  // Get a pre-signed upload URL
+  async getUploadUrl(fileName, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora('Generating pre-signed URL...').start();
     try {
-      if (framework === 'tanstack') {
-        // Build Tanstack Start app
-        spinner.text = 'Building Tanstack Start app...'
-        execSync('npm run build', {
-          stdio: 'pipe',
-          cwd: process.cwd()
-        })
-        
-        spinner.text = 'Uploading static assets...'
-        
-        // Upload static assets from dist/client
-        const distDir = path.join(process.cwd(), 'dist', 'client')
-        if (!fs.existsSync(distDir)) {
-          throw new Error('dist/client not found - build may have failed')
-        }
+        const { projectName, apiKey } = await this.getProjectConfig(options);
         
-        const assets = {}
-        const collectAssets = (dir, basePath) => {
-          if (!fs.existsSync(dir)) return
-          
-          const entries = fs.readdirSync(dir, { withFileTypes: true })
-          for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name)
-            if (entry.isDirectory()) {
-              collectAssets(fullPath, basePath)
-            } else {
-              const relativePath = path.relative(basePath, fullPath).replace(/\\/g, '/')
-              // Read as base64 for binary files
-              const ext = path.extname(entry.name).toLowerCase()
-              const isBinary = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.webp'].includes(ext)
-              
-              if (isBinary) {
-                assets[relativePath] = {
-                  content: fs.readFileSync(fullPath).toString('base64'),
-                  encoding: 'base64'
-                }
-              } else {
-                assets[relativePath] = {
-                  content: fs.readFileSync(fullPath, 'utf-8'),
-                  encoding: 'utf-8'
-                }
-              }
-            }
-          }
+        // Determine MIME type from file extension if not provided
+        let mimeType = options.mimeType;
+        if (!mimeType) {
+            const ext = fileName.split('.').pop()?.toLowerCase();
+            const mimeTypes = {
+                'txt': 'text/plain',
+                'json': 'application/json',
+                'pdf': 'application/pdf',
+                'jpg': 'image/jpeg',
+                'jpeg': 'image/jpeg',
+                'png': 'image/png',
+                'gif': 'image/gif',
+                'mp4': 'video/mp4',
+                'mp3': 'audio/mpeg'
+            };
+            mimeType = mimeTypes[ext] || 'application/octet-stream';
         }
-        
-        collectAssets(distDir, distDir)
-        
-        spinner.text = `Deploying ${Object.keys(assets).length} assets...`
-        
-        // Deploy to backend
-        const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
-          framework: 'tanstack',
-          assets: assets
-        }, apiKey, options, 'POST')
-        
-        if (!response.success) {
-          throw new Error(response.error || 'Deployment failed')
+
+        const { response, data } = await this.apiRequest(`/files/${projectName}/upload-url`, {
+            apiKey,
+            body: { 
+                fileName,
+                mimeType
+            },
+        });
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to get upload URL');
         }
-        
+
+        spinner.succeed('Pre-signed URL generated successfully!');
+        console.log(`  File ID: ${chalk.yellow(data.fileId)}`);
+        console.log(`  Upload URL: ${chalk.cyan(data.uploadUrl)}`);
+        console.log(chalk.yellow(`This URL is valid for ${data.expiresIn ? Math.floor(data.expiresIn / 60) : 15} minutes.`));
+
+    } catch (error) {
+        spinner.fail(`Failed to get upload URL: ${error.message}`);
+    }
+  }
+
+  async listFiles(options = {}) {
+    const { default: ora } = await import('ora');
+    
+    // Handle formatted output without spinner
+    if (resolveOutputFormat(options)) {
+      try {
+        const { projectName, apiKey } = await this.getProjectConfig(options);
+        const data = await this.apiCall(`/data/${projectName}/files-list`, {}, apiKey, options);
+        if (data.success) {
+          this.printOutput(options, { data, rows: data.files });
+        } else {
+          console.error(JSON.stringify({ error: data.error || 'Unknown error' }, null, 2));
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(JSON.stringify({ error: error.message }, null, 2));
+        process.exit(1);
+      }
+      return;
+    }
+
+    // Handle regular output with spinner
+    const spinner = ora('Listing files...').start();
+    try {
+        const { projectName, apiKey } = await this.getProjectConfig(options);
+        const data = await this.apiCall(`/data/${projectName}/files-list`, {}, apiKey, options);
+        if (data.success) {
+            spinner.succeed(`Found ${data.files.length} files:`);
+            console.table(data.files);
+        } else {
+            spinner.fail(`Failed to list files: ${data.error || 'Unknown error'}`);
+        }
+    } catch (error) {
+        spinner.fail(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  async getFile(fileId, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Getting file info for ${fileId}...`).start();
+    try {
+        const { projectName, apiKey } = await this.getProjectConfig(options);
+        const data = await this.apiCall(`/data/${projectName}/files-get/${fileId}`, {}, apiKey, options);
+        if (data.success) {
+            spinner.succeed('File found:');
+            console.log(data.file);
+        } else {
+            spinner.fail(`Failed to get file: ${data.error || 'Unknown error'}`);
+        }
+    } catch (error) {
+        spinner.fail(`Failed to get file: ${error.message}`);
+    }
+  }
+
+  async deleteFile(fileId, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora(`Deleting file ${fileId}...`).start();
+    try {
+        const { projectName, apiKey } = await this.getProjectConfig(options);
+        const data = await this.apiCall(`/data/${projectName}/files-delete/${fileId}`, {}, apiKey, options, 'DELETE');
+        if (data.success) {
+            spinner.succeed(data.message);
+        } else {
+            spinner.fail(`Failed to delete file: ${data.error || 'Unknown error'}`);
+        }
+    } catch (error) {
+        spinner.fail(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  // Search a collection
+  async token(typeOrSubscriptions, subscriptionsOrOptions = {}, options = {}) {
+    // Handle both old and new calling patterns for backward compatibility
+    let type, subscriptions, finalOptions;
+    
+    if (typeof typeOrSubscriptions === 'string') {
+      // New pattern: token('streaming', [...], options)
+      type = typeOrSubscriptions;
+      subscriptions = subscriptionsOrOptions;
+      finalOptions = options;
+    } else {
+      // Legacy pattern: streamToken([...], options) - assume streaming type
+      type = 'streaming';
+      subscriptions = typeOrSubscriptions;
+      finalOptions = subscriptionsOrOptions;
+    }
+    
+    const { projectName, apiKey } = await this.getProjectConfig(finalOptions);
+
+    try {
+      // Parse subscriptions JSON if it's a string
+      let parsedSubscriptions;
+      if (typeof subscriptions === 'string') {
+        try {
+          parsedSubscriptions = JSON.parse(subscriptions);
+        } catch (error) {
+          console.error(chalk.red('Error: Invalid JSON format for subscriptions'));
+          console.log(chalk.yellow('Example: \'[{"collection": "users", "filters": {"status": "active"}}, {"channel": "chat-room-1"}]\''));
+          return;
+        }
+      } else {
+        parsedSubscriptions = subscriptions;
+      }
+
+      if (!Array.isArray(parsedSubscriptions)) {
+        console.error(chalk.red('Error: Subscriptions must be an array'));
+        return;
+      }
+
+      if (!finalOptions.json) {
+        console.log(chalk.blue(`Creating ${type} token for ${parsedSubscriptions.length} subscription${parsedSubscriptions.length === 1 ? '' : 's'}...`));
+      }
+
+      const payload = {
+        type,
+        subscriptions: parsedSubscriptions,
+        expires_in: finalOptions.expires ? parseInt(finalOptions.expires, 10) : 3600,
+        api_key: apiKey
+      };
+
+      const { response, data } = await this.apiRequest(`/streaming/${projectName}/tokens`, {
+        body: payload,
+      });
+
+      if (!response.ok) {
+        this.handleApiError(response, data, { fail: (msg) => console.error(chalk.red(msg)) }, 'Token creation');
+        return;
+      }
+
+      if (finalOptions.json) {
+        console.log(JSON.stringify(data, null, 2));
+      } else {
+        console.log(chalk.green(`✅ ${type.charAt(0).toUpperCase() + type.slice(1)} token created successfully!`));
+        console.log('');
+        console.log(`  Token: ${chalk.yellow(data.token)}`);
+        console.log(`  Expires: ${chalk.gray(data.expires_at)} (${data.expires_in}s)`);
+        console.log(`  Subscriptions: ${chalk.cyan(data.subscriptions)}`);
+        console.log('');
+        console.log(chalk.blue('💡 Use this token with the subscribe endpoint to receive real-time updates.'));
+        console.log(chalk.gray('   Keep this token secure and use HTTPS for all streaming connections.'));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error creating stream token:'), error.message);
+    }
+  }
+
+  async broadcast(subscription, message, options = {}) {
+    const { default: ora } = await import('ora');
+    const spinner = ora('Broadcasting message...').start();
+    
+    try {
+      const { projectName, apiKey } = await this.getProjectConfig(options);
+      
+      // Parse subscription JSON if it's a string
+      let parsedSubscription;
+      if (typeof subscription === 'string') {
+        try {
+          parsedSubscription = JSON.parse(subscription);
+        } catch (error) {
+          spinner.fail('Invalid JSON format for subscription');
+          console.log(chalk.yellow('Example: \'{"collection": "users", "filters": {"status": "active"}}\''));
+          return;
+        }
+      } else {
+        parsedSubscription = subscription;
+      }
+      
+      // Parse message JSON if it's a string
+      let parsedMessage;
+      if (typeof message === 'string') {
+        try {
+          parsedMessage = JSON.parse(message);
+        } catch (error) {
+          // If not valid JSON, treat as string
+          parsedMessage = message;
+        }
+      } else {
+        parsedMessage = message;
+      }
+
+      const { response, data } = await this.apiRequest(`/streaming/${projectName}/broadcast`, {
+        apiKey,
+        body: {
+          subscription: parsedSubscription,
+          message: parsedMessage
+        },
+      });
+
+      if (!response.ok) {
+        spinner.fail(`Broadcast failed: ${data.error || 'Unknown error'}`);
+        return;
+      }
+
+      if (options.json) {
+        spinner.stop();
+        console.log(JSON.stringify(data, null, 2));
+      } else {
+        spinner.succeed('Message broadcast successfully!');
+        console.log(`  Message ID: ${chalk.yellow(data.messageId)}`);
+        console.log(`  Delivered to: ${chalk.cyan(data.delivered)} connection${data.delivered === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      spinner.fail(`Broadcast failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a streaming token for `subscriptions` and open the SSE stream with it
+   * @returns {Promise<{eventSource: EventSource, token: string}>}
+   */
+  async openEventStream(projectName, apiKey, subscriptions, expiresIn = 3600) {
+    const { response, data } = await this.apiRequest(`/streaming/${projectName}/tokens`, {
+      body: {
+        type: 'streaming',
+        subscriptions,
+        expires_in: expiresIn,
+        api_key: apiKey
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Token creation failed: ${data.error || 'Unknown error'}`);
+    }
+
+    // Connect to SSE stream using token only (subscriptions are stored in the token)
+    const { EventSource } = await import('eventsource');
+    const eventSource = new EventSource(`${this.apiUrl}/api/streaming/${projectName}/subscribe?token=${data.token}`);
+    return { eventSource, token: data.token };
+  }
+
+  async subscribe(subscriptions, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options);
+    
+    try {
+      // Parse subscriptions JSON if it's a string
+      let parsedSubscriptions;
+      if (typeof subscriptions === 'string') {
+        try {
+          parsedSubscriptions = JSON.parse(subscriptions);
+        } catch (error) {
+          console.error(chalk.red('Error: Invalid JSON format for subscriptions'));
+          console.log(chalk.yellow('Example: \'[{"collection": "users", "filters": {"status": "active"}}]\''));
+          return;
+        }
+      } else {
+        parsedSubscriptions = subscriptions;
+      }
+
+      if (!Array.isArray(parsedSubscriptions)) {
+        console.error(chalk.red('Error: Subscriptions must be an array'));
+        return;
+      }
+
+      console.log(chalk.blue(`Connecting to real-time stream for ${parsedSubscriptions.length} subscription${parsedSubscriptions.length === 1 ? '' : 's'}...`));
+      
+      let eventSource, token;
+      try {
+        ({ eventSource, token } = await this.openEventStream(projectName, apiKey, parsedSubscriptions, options.expires ? parseInt(options.expires, 10) : 3600));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        return;
+      }
+
+      console.log(chalk.green('✅ Connected to stream!'));
+      console.log(`  Token: ${chalk.yellow(token)}`);
+      console.log(`  Subscriptions: ${chalk.cyan(parsedSubscriptions.length)}`);
+      console.log('');
+      console.log(chalk.blue('📡 Listening for real-time updates... (Press Ctrl+C to stop)'));
+      console.log('');
+
+      eventSource.onopen = () => {
+        console.log(chalk.green('🔗 Stream connection established'));
+      };
+
+      eventSource.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          const timestamp = new Date().toLocaleTimeString();
+          
+          if (data.type === 'connected') {
+            console.log(chalk.green(`[${timestamp}] ✅ Connected (ID: ${data.connectionId})`));
+          } else if (data.type === 'ping') {
+            if (options.verbose) {
+              console.log(chalk.gray(`[${timestamp}] 💓 Heartbeat`));
+            }
+          } else if (data.type === 'message') {
+            console.log(chalk.cyan(`[${timestamp}] 📨 Message received:`));
+            console.log(chalk.white(`  Subscription: ${JSON.stringify(data.subscription)}`));
+            console.log(chalk.white(`  Data: ${JSON.stringify(data.data, null, 2)}`));
+          } else {
+            console.log(chalk.yellow(`[${timestamp}] 📡 ${JSON.stringify(data)}`));
+          }
+        } catch (error) {
+          console.log(chalk.red(`[${new Date().toLocaleTimeString()}] ❌ Parse error: ${event.data}`));
+        }
+      };
+
+      eventSource.onerror = (error) => {
+        console.error(chalk.red('❌ Stream connection error:'), error);
+        eventSource.close();
+      };
+
+      // Handle graceful shutdown
+      process.on('SIGINT', () => {
+        console.log(chalk.yellow('\n🔌 Closing stream connection...'));
+        eventSource.close();
+        process.exit(0);
+      });
+
+    } catch (error) {
+      console.error(chalk.red('Error connecting to stream:'), error.message);
+    }
+  }
+
+  async search(query, options = {}) {
+    console.log(chalk.yellow('⚠️  Vector search has been temporarily removed for v1'));
+    console.log(chalk.gray('Use "shov where <collection> --filter <json>" for filtered queries'));
+    console.log(chalk.gray('Vector search will return in a future release'));
+    return;
+    
+    /* Vector search implementation removed - code below kept for reference but not executed
+    const { projectName, apiKey } = await this.getProjectConfig(options);
+
+    try {
+      // Handle flag aliases for backward compatibility  
+      // Commander.js converts --min-score and --minScore both to minScore
+      // Commander.js converts --top-k and --topK both to topK
+      const minScore = options.minScore;
+      const topK = options.topK || options.limit;
+      
+      if (!options.json) {
+        let searchDescription = 'Searching';
+        if (options.collection) {
+          searchDescription += ` in collection "${options.collection}"`;
+        } else if (options.orgWide) {
+          searchDescription += ` in the organization`;
+        } else {
+          searchDescription += ` in project "${projectName}"`;
+        }
+        searchDescription += ` for: "${query}"...`;
+        console.log(chalk.blue(searchDescription));
+      }
+
+      let effectiveMinScore;
+      if (minScore) {
+        const score = parseFloat(minScore);
+        if (!isNaN(score)) {
+          if (score > 1 && score <= 100) {
+            effectiveMinScore = score / 100;
+            if (!options.json) {
+              console.log(chalk.gray(`(Note: --min-score ${score} was auto-corrected to ${effectiveMinScore})`));
+            }
+          } else {
+            effectiveMinScore = score;
+          }
+        }
+      }
+
+      const payload = {
+        query,
+        collection: options.collection || null,
+        orgWide: options.orgWide || false,
+        minScore: effectiveMinScore,
+        topK: topK ? parseInt(topK, 10) : undefined,
+      };
+
+      // Add filters if provided
+      if (options.filters) {
+        try {
+          payload.filters = JSON.parse(options.filters);
+        } catch (error) {
+          throw new Error('Filters must be valid JSON');
+        }
+      }
+
+      const { response, data } = await this.apiRequest(`/data/${projectName}/search`, {
+        apiKey,
+        body: payload
+      });
+
+      if (!response.ok) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: data.error || 'Search failed'
+          }, null, 2));
+          return;
+        }
+        throw new Error(data.error || 'Search failed');
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          query: query,
+          project: projectName,
+          collection: options.collection || null,
+          total: data.items.length,
+          items: data.items
+        }, null, 2));
+      } else {
+        console.log(chalk.green(`✅ Found ${data.items.length} results:`));
+        
+        if (data.items.length === 0) {
+          return;
+        }
+
+        data.items.forEach((item, index) => {
+          console.log(`  ${index + 1}. ${item.id} (Score: ${item._score.toFixed(4)})`);
+          if (item.type === 'key') {
+            // For key/value pairs, show the key.
+            console.log(`     ${chalk.green(item.name)}: ${JSON.stringify(item.value)}`);
+          } else if (item.type === 'collection_item') {
+            // For collection items, show the collection name.
+            console.log(`     ${chalk.blue(item.name)}: ${JSON.stringify(item.value)}`);
+          } else {
+            // Fallback for any other type
+            console.log(`     ${JSON.stringify(item.value)}`);
+          }
+          console.log(`     ${chalk.dim(new Date(item.createdAt).toLocaleString())}`);
+        });
+      }
+
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message
+        }, null, 2));
+      } else {
+        throw new Error(`Search failed: ${error.message}`);
+      }
+    }
+    */ // End of removed vector search code
+  }
+
+  // List all available projects
+  async listProjects(options = {}) {
+    const projects = await this.config.listProjects()
+    const detected = await this.config.detectProject()
+    
+    const rows = Object.entries(projects).map(([name, project]) => ({
+      name,
+      email: project.email,
+      createdAt: project.createdAt,
+      active: Boolean(detected && detected.projectName === name)
+    }))
+    if (this.printOutput(options, { data: rows, rows })) {
+      return
+    }
+    
+    if (Object.keys(projects).length === 0) {
+      console.log(chalk.yellow('No projects found.'))
+      console.log(chalk.gray('Run "shov new" to create your first project.'))
+      return
+    }
+
+    console.log(chalk.bold('Available Projects:'))
+    console.log('')
+    
+    for (const [name, project] of Object.entries(projects)) {
+      const isActive = detected && detected.projectName === name
+      const marker = isActive ? chalk.green('●') : chalk.gray('○')
+      const status = isActive ? chalk.green('(active)') : ''
+      
+      console.log(`  ${marker} ${chalk.cyan(name)} ${status}`)
+      console.log(`    Email: ${chalk.gray(project.email)}`)
+      console.log(`    Created: ${chalk.gray(new Date(project.createdAt).toLocaleDateString())}`)
+      console.log('')
+    }
+    
+    if (!detected) {
+      console.log(chalk.gray('Use "shov switch <project>" to activate a project.'))
+    }
+  }
+
+  // Switch to a different project
+  async switchProject(projectName) {
+    const project = await this.config.getProject(projectName)
+    
+    if (!project) {
+      console.log(chalk.red(`Project "${projectName}" not found.`))
+      console.log('')
+      console.log(chalk.gray('Available projects:'))
+      
+      const projects = await this.config.listProjects()
+      for (const name of Object.keys(projects)) {
+        console.log(`  • ${chalk.cyan(name)}`)
+      }
+      return
+    }
+
+    // Save as local config. Keys kept in the credential store stay out of .shov
+    // (undefined drops the field); detectProject resolves them by project name
+    await this.config.saveLocalConfig({
+      project: projectName,
+      apiKey: project.credentialStore ? undefined : project.apiKey,
+      email: project.email
+    })
+
+    console.log(chalk.green(`✅ Switched to project "${projectName}"`))
+    console.log(`  Email: ${chalk.gray(project.email)}`)
+    console.log(`  API Key: ${chalk.yellow(project.apiKey.substring(0, 20) + '...')}`)
+  }
+
+  // Show current user and project information
+  async whoami(options = {}) {
+    const detected = await this.config.detectProject()
+    const globalConfig = await this.config.loadGlobalConfig()
+    const profile = await this.config.loadProfile()
+    
+    // API keys are never printed in full
+    const identity = {
+      email: profile.email || null,
+      profile: this.config.activeProfileName(globalConfig),
+      project: detected ? detected.projectName : null,
+      apiKey: detected ? detected.apiKey.substring(0, 20) + '...' : null,
+      source: detected ? detected.source : null,
+      apiUrl: this.apiUrl
+    }
+    if (this.printOutput(options, { data: identity })) {
+      return
+    }
+    
+    console.log(chalk.bold('Current User & Project:'))
+    console.log('')
+    
+    if (profile.email) {
+      console.log(`  User: ${chalk.cyan(profile.email)}`)
+    } else {
+      console.log(`  User: ${chalk.gray('Not set')}`)
+    }
+    console.log(`  Profile: ${chalk.cyan(this.config.activeProfileName(globalConfig))}`)
+    
+    if (detected) {
+      console.log(`  Project: ${chalk.cyan(detected.projectName)}`)
+      console.log(`  API Key: ${chalk.yellow(detected.apiKey.substring(0, 20) + '...')}`)
+      console.log(`  Source: ${chalk.gray(detected.source)}`)
+    } else {
+      console.log(`  Project: ${chalk.gray('None active')}`)
+      console.log('')
+      console.log(chalk.gray('Run "shov new" to create a project or "shov switch <project>" to activate one.'))
+    }
+  }
+
+  // Profiles (separate identities: email, token, API URL and project registry)
+  async profileList() {
+    const profiles = await this.config.listProfiles()
+    const active = this.config.activeProfileName(await this.config.loadGlobalConfig())
+    
+    console.log(chalk.bold('Profiles:'))
+    console.log('')
+    
+    for (const [name, profile] of Object.entries(profiles)) {
+      const isActive = name === active
+      const marker = isActive ? chalk.green('●') : chalk.gray('○')
+      const status = isActive ? chalk.green('(active)') : ''
+      
+      console.log(`  ${marker} ${chalk.cyan(name)} ${status}`)
+      console.log(`    Email: ${chalk.gray(profile.email || 'Not set')}`)
+      console.log(`    API URL: ${chalk.gray(profile.apiUrl || DEFAULT_API_URL)}`)
+      console.log(`    Projects: ${chalk.gray(Object.keys(profile.projects || {}).length)}`)
+      console.log('')
+    }
+    
+    if (!profiles[active]) {
+      console.log(chalk.yellow(`Active profile "${active}" does not exist. Run "shov profile add ${active}" to create it.`))
+    }
+  }
+
+  async profileAdd(name, options = {}) {
+    const fields = {}
+    if (options.email) fields.email = options.email
+    if (options.token) fields.token = options.token
+    if (options.url) fields.apiUrl = options.url.replace(/\/+$/, '')
+    
+    await this.config.addProfile(name, fields)
+    
+    console.log(chalk.green(`✅ Profile "${name}" saved`))
+    if (fields.email) console.log(`  Email: ${chalk.gray(fields.email)}`)
+    if (fields.apiUrl) console.log(`  API URL: ${chalk.gray(fields.apiUrl)}`)
+    if (fields.token) console.log(`  Token: ${chalk.yellow(fields.token.substring(0, 20) + '...')}`)
+    
+    if (options.use) {
+      await this.profileUse(name)
+    } else {
+      console.log(chalk.gray(`Run "shov profile use ${name}" to make it the default, or pass --profile ${name}.`))
+    }
+  }
+
+  async profileUse(name) {
+    const switched = await this.config.setActiveProfile(name)
+    
+    if (!switched) {
+      console.log(chalk.red(`Profile "${name}" not found.`))
+      console.log(chalk.gray('Run "shov profile list" to see available profiles.'))
+      return
+    }
+    
+    console.log(chalk.green(`✅ Switched to profile "${name}"`))
+    if (process.env.SHOV_PROFILE && process.env.SHOV_PROFILE !== name) {
+      console.log(chalk.yellow(`⚠️  SHOV_PROFILE=${process.env.SHOV_PROFILE} still overrides this in the current shell.`))
+    }
+  }
+
+  async profileRemove(name) {
+    if (name === DEFAULT_PROFILE) {
+      throw new Error('The default profile cannot be removed')
+    }
+    
+    const removed = await this.config.removeProfile(name)
+    
+    if (!removed) {
+      console.log(chalk.red(`Profile "${name}" not found.`))
+      return
+    }
+    
+    console.log(chalk.green(`✅ Removed profile "${name}"`))
+  }
+
+  // Code Functions Management
+  async codeList(options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const result = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
+      
+      if (this.printOutput(options, { data: result, rows: result.functions || [] })) {
+        return
+      }
+      
+      if (!result.functions || result.functions.length === 0) {
+        console.log(chalk.yellow('No code functions found.'))
+        console.log(chalk.gray('Run "shov code write <name> <file>" to deploy your first function.'))
+        return
+      }
+      
+      console.log(chalk.bold(`Code Functions (${result.functions.length}):`))
+      console.log('')
+      
+      result.functions.forEach(func => {
+        console.log(`  ${chalk.cyan(func.name)}`)
+        console.log(`    URL: ${chalk.blue(func.url || `${this.projectUrl(projectName, null, { functions: true })}/api/${func.name}`)}`)
+        console.log(`    Size: ${chalk.gray(func.size || 'Unknown')}`)
+        console.log(`    Updated: ${chalk.gray(new Date(func.deployedAt || func.updatedAt).toLocaleString())}`)
+        console.log('')
+      })
+    } catch (error) {
+      throw new Error(`Failed to list code functions: ${error.message}`)
+    }
+  }
+
+  async codeWrite(functionName, filePath, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`)
+    }
+    
+    const code = fs.readFileSync(filePath, 'utf8')
+    const config = {
+      timeout: options.timeout ? parseInt(options.timeout) : 10000,
+      description: options.description || `Code function: ${functionName}`
+    }
+    
+    try {
+      const result = await this.apiCall(`/code/${projectName}`, {
+        name: functionName,
+        code,
+        config
+      }, apiKey, options, 'POST')
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      console.log(chalk.green(`✅ Code function "${functionName}" written successfully!`))
+      console.log(`   URL: ${chalk.blue(result.url || `${this.projectUrl(projectName, null, { functions: true })}/api/${functionName}`)}`)
+      console.log(`   Version: ${chalk.gray(result.version || 'Unknown')}`)
+      console.log(`   Deployed: ${chalk.gray(new Date(result.deployedAt || Date.now()).toLocaleString())}`)
+    } catch (error) {
+      throw new Error(`Failed to write code function: ${error.message}`)
+    }
+  }
+
+  async codeRead(functionName, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const result = await this.apiCall(`/code/${projectName}/${functionName}`, {}, apiKey, options, 'GET')
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      console.log(chalk.bold(`Code Function: ${chalk.cyan(functionName)}`))
+      console.log('')
+      console.log(chalk.gray(`Version: ${result.version || 'Unknown'}`))
+      console.log(chalk.gray(`Size: ${result.size || 'Unknown'}`))
+      console.log(chalk.gray(`Deployed: ${new Date(result.deployedAt || Date.now()).toLocaleString()}`))
+      console.log('')
+      console.log(chalk.bold('Source Code:'))
+      console.log('')
+      console.log(result.code)
+    } catch (error) {
+      throw new Error(`Failed to read code function: ${error.message}`)
+    }
+  }
+
+  async codeDelete(functionName, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const result = await this.apiCall(`/code/${projectName}/${functionName}`, { 
+        name: functionName 
+      }, apiKey, options, 'DELETE')
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      console.log(chalk.green(`✅ Code function "${functionName}" deleted successfully!`))
+    } catch (error) {
+      throw new Error(`Failed to delete code function: ${error.message}`)
+    }
+  }
+
+  async codeRollback(functionName, version, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const result = await this.apiCall(`/code/${projectName}/rollback`, {
+        name: functionName,
+        version: version ? parseInt(version) : undefined
+      }, apiKey, options, 'POST')
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      console.log(chalk.green(`✅ Code function "${functionName}" rolled back successfully!`))
+      console.log(`   Version: ${chalk.gray(result.version || 'Previous')}`)
+      console.log(`   Rolled back: ${chalk.gray(new Date().toLocaleString())}`)
+    } catch (error) {
+      throw new Error(`Failed to rollback code function: ${error.message}`)
+    }
+  }
+
+  async codeLogs(functionName, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const endpoint = options.follow ? `/code/${projectName}/logs/tail` : `/code/${projectName}/logs`
+      const payload = functionName ? { functionName } : {}
+      
+      if (options.follow) {
+        console.log(chalk.blue(`Following logs for ${functionName ? `function "${functionName}"` : 'all functions'}...`))
+        console.log(chalk.gray('Press Ctrl+C to stop'))
+        console.log('')
+        
+        // For follow mode, we'd need to implement SSE streaming
+        // For now, just show recent logs
+        console.log(chalk.yellow('Note: Real-time log following not yet implemented in CLI'))
+        console.log(chalk.gray('Showing recent logs instead...'))
+        console.log('')
+      }
+      
+      const result = await this.apiCall(endpoint, payload, apiKey, options)
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      if (!result.logs || result.logs.length === 0) {
+        console.log(chalk.yellow('No logs found.'))
+        return
+      }
+      
+      console.log(chalk.bold(`Logs (${result.logs.length} entries):`))
+      console.log('')
+      
+      result.logs.forEach(log => {
+        const timestamp = chalk.gray(new Date(log.timestamp).toLocaleString())
+        const level = log.level === 'error' ? chalk.red(log.level.toUpperCase()) : 
+                     log.level === 'warn' ? chalk.yellow(log.level.toUpperCase()) : 
+                     chalk.blue(log.level.toUpperCase())
+        const func = log.function ? chalk.cyan(`[${log.function}]`) : ''
+        const region = log.region ? chalk.gray(`(${log.region})`) : ''
+        
+        console.log(`${timestamp} ${level} ${func} ${region}`)
+        console.log(`  ${log.message}`)
+        if (log.duration) {
+          console.log(`  ${chalk.gray(`Duration: ${log.duration}`)}`)
+        }
+        console.log('')
+      })
+    } catch (error) {
+      throw new Error(`Failed to get code function logs: ${error.message}`)
+    }
+  }
+
+  // Download starter files after project creation
+  async downloadStarterFiles(projectName, apiKey, organizationSlug, options = {}) {
+    const { default: ora } = await import('ora')
+    const codeDir = options.codeDir || './api'
+    const projectType = options.projectType || 'blank'
+    const hasFrontend = !!options.frontend
+    const frontendType = options.frontend
+    const lang = options.language === 'typescript' ? 'ts' : 'ts' // Always use TypeScript for now
+    
+    try {
+      const spinner = ora('Downloading starter files...').start()
+      
+      // Use the new backend templates API to get TypeScript source files
+      const { response: templatesResponse, data: templatesData } = await this.apiRequest(`/templates/backend?starter=${projectType}&lang=${lang}`, {
+        method: 'GET'
+      })
+      
+      if (!templatesResponse.ok) {
+        spinner.warn('Could not download starter files')
+        console.log(chalk.gray('  You can pull them later with: shov code pull'))
+        
+        // Create code directory if needed (unless it's current dir)
+        if (codeDir !== '.') {
+          if (!fs.existsSync(codeDir)) {
+            fs.mkdirSync(codeDir, { recursive: true })
+          }
+        }
+        
+        return
+      }
+      
+      if (!templatesData.success || !templatesData.files) {
+        spinner.warn('Could not download starter files')
+        console.log(chalk.gray('  You can pull them later with: shov code pull'))
+        return
+      }
+      
+      // Convert template files object to array format
+      // templatesData.files is { 'routes/auth/google.ts': '...code...', 'index.ts': '...code...' }
+      const files = Object.entries(templatesData.files).map(([filePath, content]) => ({
+        filePath,
+        content
+      }))
+      
+      // Create code directory if needed (unless it's current dir)
+      if (codeDir !== '.') {
+        if (!fs.existsSync(codeDir)) {
+          fs.mkdirSync(codeDir, { recursive: true })
+        }
+      }
+      
+      if (files.length === 0) {
+        spinner.succeed('Project initialized')
+        await this.showGitTipIfNeeded()
+        return
+      }
+      
+      spinner.text = 'Downloading starter files...'
+      
+      // Download each file
+      let successCount = 0
+      for (const file of files) {
+        try {
+          // Determine file path (remove leading slash if present)
+          const filePath = file.filePath.startsWith('/') ? file.filePath.slice(1) : file.filePath
+          const fullPath = path.join(codeDir, filePath)
+          const fileDir = path.dirname(fullPath)
+          
+          // Create subdirectories if needed
+          if (fileDir !== codeDir && fileDir !== '.') {
+            if (!fs.existsSync(fileDir)) {
+              fs.mkdirSync(fileDir, { recursive: true })
+            }
+          }
+          
+          // Write file content
+          fs.writeFileSync(fullPath, file.content || '', 'utf8')
+          successCount++
+        } catch (error) {
+          console.warn(chalk.yellow(`  ⚠️  Failed to download ${file.filePath}: ${error.message}`))
+        }
+      }
+      
+      spinner.stop()
+      // Silently complete - parent handles messaging
+      
+    } catch (error) {
+      console.warn(chalk.yellow(`\n⚠️  Could not download starter files: ${error.message}`))
+      console.log(chalk.gray('  You can pull them later with: shov code pull'))
+      
+      // Create code directory if needed (unless it's current dir)
+      if (codeDir !== '.') {
+        if (!fs.existsSync(codeDir)) {
+          fs.mkdirSync(codeDir, { recursive: true })
+        }
+      }
+    }
+  }
+  
+  // Download frontend template (e.g., Next.js) when requested
+  async downloadFrontendTemplate(projectName, apiKey, backendUrl, options = {}) {
+    const { default: ora } = await import('ora')
+    const starter = options.starter || 'b2b'
+    const framework = options.frontend // e.g., 'nextjs'
+    if (!framework) return
+    const lang = (options.lang === 'ts' || options.typescript) ? 'ts' : 'js'
+    // New unified structure: frontend files in root directory
+    const appDirName = '.'
+    const appDir = path.join(process.cwd(), appDirName)
+
+    const spinner = ora(`Downloading ${framework} frontend template...`).start()
+    try {
+      const params = new URLSearchParams({ starter, framework, lang })
+      const { response, data } = await this.apiRequest(`/templates/frontend?${params.toString()}`, { method: 'GET' })
+
+      if (!response.ok || !data.success) {
+        spinner.warn(`Frontend template not available (${starter} + ${framework} + ${lang})`)
+        if (data.message) console.log(chalk.gray(`  ${data.message}`))
+        return
+      }
+
+      const files = data.files || {}
+
+      // Create app directory
+      if (!fs.existsSync(appDir)) {
+        fs.mkdirSync(appDir, { recursive: true })
+      }
+
+      // Write files
+      let written = 0
+      const runtimeUrl = backendUrl || this.projectUrl(projectName)
+      for (const [relPath, content] of Object.entries(files)) {
+        const safePath = relPath.startsWith('/') ? relPath.slice(1) : relPath
+        const fullPath = path.join(appDir, safePath)
+        const fileDir = path.dirname(fullPath)
+        if (!fs.existsSync(fileDir)) {
+          fs.mkdirSync(fileDir, { recursive: true })
+        }
+        
+        // Replace placeholders in wrangler.jsonc
+        let fileContent = content || ''
+        if (safePath === 'wrangler.jsonc') {
+          fileContent = fileContent
+            .replace(/PROJECT_NAME/g, projectName)
+            .replace(/PROJECT_API_URL/g, runtimeUrl)
+        }
+        
+        fs.writeFileSync(fullPath, fileContent, 'utf8')
+        written++
+      }
+
+      // Frontend env vars are now merged into the main .env file (handled by addToEnv)
+
+      spinner.stop()
+      // Silently complete - parent handles messaging
+    } catch (error) {
+      spinner.warn(`Could not download ${framework} template: ${error.message}`)
+    }
+  }
+  
+  // Show git initialization tip if not already in a git repo
+  async showGitTipIfNeeded() {
+    try {
+      const gitDir = path.join(process.cwd(), '.git')
+      if (!fs.existsSync(gitDir)) {
+        console.log('')
+        console.log(chalk.blue('💡 Tip: Initialize git to track changes:'))
+        console.log(chalk.gray('   git init && git add . && git commit -m "Initial Shov backend"'))
+      }
+    } catch (error) {
+      // Ignore errors checking for git
+    }
+  }
+
+  async codePull(options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const config = await this.config.loadLocalConfig()
+    const outputDir = this.detectCodeDirectory(options.output || config.codeDir)
+    
+    try {
+      console.log(chalk.blue('Fetching code files from project...'))
+      
+      // Get list of all code files
+      const listResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
+      
+      if (!listResult.functions || listResult.functions.length === 0) {
+        console.log(chalk.yellow('No code files found in project.'))
+        return
+      }
+      
+      console.log(chalk.gray(`Found ${listResult.functions.length} code files`))
+      console.log('')
+      
+      // Create output directory if it doesn't exist
+      if (outputDir !== '.') {
+        if (!fs.existsSync(outputDir)) {
+          fs.mkdirSync(outputDir, { recursive: true })
+          console.log(chalk.gray(`Created directory: ${outputDir}`))
+        }
+      }
+      
+      // Download each file
+      let successCount = 0
+      let errorCount = 0
+      
+      for (const func of listResult.functions) {
+        try {
+          // Read the code content
+          const readResult = await this.apiCall(`/code/${projectName}/${func.name}`, {}, apiKey, options, 'GET')
+          
+          // Determine file path
+          const filePath = path.join(outputDir, func.name)
+          const fileDir = path.dirname(filePath)
+          
+          // Create subdirectories if needed
+          if (fileDir !== outputDir && fileDir !== '.') {
+            fs.mkdirSync(fileDir, { recursive: true })
+          }
+          
+          // Write file
+          fs.writeFileSync(filePath, readResult.code, 'utf8')
+          
+          console.log(chalk.green(`✓ ${func.name}`) + chalk.gray(` (${readResult.size || 'Unknown size'})`))
+          successCount++
+        } catch (error) {
+          console.log(chalk.red(`✗ ${func.name}`) + chalk.gray(` - ${error.message}`))
+          errorCount++
+        }
+      }
+      
+      console.log('')
+      if (errorCount === 0) {
+        console.log(chalk.green(`✅ Successfully downloaded ${successCount} code files to ${outputDir === '.' ? 'current directory' : outputDir}`))
+      } else {
+        console.log(chalk.yellow(`⚠️  Downloaded ${successCount} files, ${errorCount} failed`))
+      }
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: errorCount === 0,
+          filesDownloaded: successCount,
+          filesFailed: errorCount,
+          outputDirectory: outputDir
+        }, null, 2))
+      }
+    } catch (error) {
+      throw new Error(`Failed to pull code files: ${error.message}`)
+    }
+  }
+
+  // Deploy Frontend - Build and deploy Next.js frontend
+  // New unified frontend deployment that handles both Tanstack and Next.js
+  async deployFrontendBuild(projectName, apiKey, framework, options = {}) {
+    const { execSync } = require('child_process')
+    const { default: ora } = await import('ora')
+    const { default: chalk } = await import('chalk')
+    const path = require('path')
+    const fs = require('fs')
+    const projectRoot = this.config.getProjectRoot()
+    
+    const spinner = ora(`Building ${framework} frontend...`).start()
+    
+    try {
+      if (framework === 'tanstack') {
+        // Build Tanstack Start app
+        spinner.text = 'Building Tanstack Start app...'
+        execSync('npm run build', {
+          stdio: 'pipe',
+          cwd: projectRoot
+        })
+        
+        spinner.text = 'Uploading static assets...'
+        
+        // Upload static assets from dist/client
+        const distDir = path.join(projectRoot, 'dist', 'client')
+        if (!fs.existsSync(distDir)) {
+          throw new Error('dist/client not found - build may have failed')
+        }
+        
+        const assets = {}
+        const collectAssets = (dir, basePath) => {
+          if (!fs.existsSync(dir)) return
+          
+          const entries = fs.readdirSync(dir, { withFileTypes: true })
+          for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name)
+            if (entry.isDirectory()) {
+              collectAssets(fullPath, basePath)
+            } else {
+              const relativePath = path.relative(basePath, fullPath).replace(/\\/g, '/')
+              // Read as base64 for binary files
+              const ext = path.extname(entry.name).toLowerCase()
+              const isBinary = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.webp'].includes(ext)
+              
+              if (isBinary) {
+                assets[relativePath] = {
+                  content: fs.readFileSync(fullPath).toString('base64'),
+                  encoding: 'base64'
+                }
+              } else {
+                assets[relativePath] = {
+                  content: fs.readFileSync(fullPath, 'utf-8'),
+                  encoding: 'utf-8'
+                }
+              }
+            }
+          }
+        }
+        
+        collectAssets(distDir, distDir)
+        
+        spinner.text = `Deploying ${Object.keys(assets).length} assets...`
+        
+        // Deploy to backend
+        const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
+          framework: 'tanstack',
+          assets: assets
+        }, apiKey, options, 'POST')
+        
+        if (!response.success) {
+          throw new Error(response.error || 'Deployment failed')
+        }
+        
         spinner.succeed(`Tanstack frontend deployed (${Object.keys(assets).length} files)`)
         console.log(chalk.gray('   Frontend cache auto-invalidated'))
         
@@ -3355,743 +5164,1445 @@ class ShovCLI {
         spinner.text = 'Building Next.js with OpenNext...'
         execSync('npx --yes @opennextjs/cloudflare@latest build', {
           stdio: 'pipe',
-          cwd: process.cwd()
+          cwd: projectRoot
         })
         
         spinner.text = 'Bundling worker...'
         execSync('npx wrangler deploy --dry-run --outdir=.wrangler-output .open-next/worker.js', {
           stdio: 'pipe',
-          cwd: process.cwd()
+          cwd: projectRoot
+        })
+        
+        spinner.text = 'Uploading worker and assets...'
+        
+        const workerPath = path.join(projectRoot, '.wrangler-output/worker.js')
+        const assetsDir = path.join(projectRoot, '.open-next/assets')
+        
+        if (!fs.existsSync(workerPath)) {
+          throw new Error('worker.js not found - build may have failed')
+        }
+        
+        const workerCode = fs.readFileSync(workerPath, 'utf-8')
+        
+        const assets = {}
+        const collectAssets = (dir, basePath) => {
+          if (!fs.existsSync(dir)) return
+          
+          const entries = fs.readdirSync(dir, { withFileTypes: true })
+          for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name)
+            if (entry.isDirectory()) {
+              collectAssets(fullPath, basePath)
+            } else {
+              const relativePath = path.relative(basePath, fullPath).replace(/\\/g, '/')
+              const ext = path.extname(entry.name).toLowerCase()
+              const isBinary = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.webp'].includes(ext)
+              
+              if (isBinary) {
+                assets[relativePath] = {
+                  content: fs.readFileSync(fullPath).toString('base64'),
+                  encoding: 'base64'
+                }
+              } else {
+                assets[relativePath] = {
+                  content: fs.readFileSync(fullPath, 'utf-8'),
+                  encoding: 'utf-8'
+                }
+              }
+            }
+          }
+        }
+        
+        collectAssets(assetsDir, assetsDir)
+        
+        const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
+          framework: 'nextjs',
+          worker: workerCode,
+          assets: assets
+        }, apiKey, options, 'POST')
+        
+        if (!response.success) {
+          throw new Error(response.error || 'Deployment failed')
+        }
+        
+        spinner.succeed(`Next.js frontend deployed`)
+        console.log(chalk.gray('   Frontend cache auto-invalidated'))
+        
+        return response
+      }
+    } catch (error) {
+      spinner.fail(`Frontend build/deployment failed`)
+      
+      // Extract stderr if available for better error message
+      if (error.stderr || error.stdout) {
+        const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
+        const errorMsg = stderr.split('\n').filter(line => 
+          line.includes('Error') || line.includes('error') || line.includes('failed')
+        ).join(' ').trim() || error.message
+        
+        throw new Error(errorMsg.substring(0, 300))
+      }
+      
+      throw error
+    }
+  }
+
+  // Legacy Next.js-only deployment (kept for backwards compatibility)
+  async deployFrontend(projectName, apiKey, options = {}) {
+    const { execSync } = require('child_process')
+    const path = require('path')
+    const fs = require('fs')
+    const projectRoot = this.config.getProjectRoot()
+    
+    // Step 1: Build with OpenNext (silent - parent handles spinner)
+    try {
+      execSync('npx --yes @opennextjs/cloudflare@latest build', {
+        stdio: 'pipe',
+        cwd: projectRoot
+      })
+    } catch (error) {
+      // Extract stderr if available for better error message
+      const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
+      const errorMsg = stderr.split('\n').filter(line => 
+        line.includes('Error') || line.includes('error') || line.includes('failed')
+      ).join(' ').trim() || 'Build failed'
+      
+      throw new Error(errorMsg.substring(0, 200)) // Limit error length
+    }
+    
+    // Step 1.5: Bundle with wrangler (OpenNext now outputs unbundled worker)
+    try {
+      execSync('npx wrangler deploy --dry-run --outdir=.wrangler-output .open-next/worker.js', {
+        stdio: 'pipe',
+        cwd: projectRoot
+      })
+    } catch (error) {
+      const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
+      const errorMsg = stderr.split('\n').filter(line => 
+        line.includes('Error') || line.includes('error') || line.includes('failed')
+      ).join(' ').trim() || 'Bundling failed'
+      
+      throw new Error(errorMsg.substring(0, 200))
+    }
+    
+    // Step 2: Read worker.js and assets
+    const workerPath = path.join(projectRoot, '.wrangler-output/worker.js')
+    const assetsDir = path.join(projectRoot, '.open-next/assets')
+    
+    if (!fs.existsSync(workerPath)) {
+      throw new Error('worker.js not found - build may have failed')
+    }
+    
+    const workerCode = fs.readFileSync(workerPath, 'utf-8')
+    
+    // Collect assets recursively
+    const assets = {}
+    const collectAssets = (dir, basePath) => {
+      if (!fs.existsSync(dir)) return
+      
+      const entries = fs.readdirSync(dir, { withFileTypes: true })
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          collectAssets(fullPath, basePath)
+        } else {
+          const relativePath = path.relative(basePath, fullPath)
+          assets[relativePath] = fs.readFileSync(fullPath, 'utf-8')
+        }
+      }
+    }
+    
+    collectAssets(assetsDir, assetsDir)
+    
+    // Step 3: Upload to Shov API
+    try {
+      const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
+        worker: workerCode,
+        assets: assets
+      }, apiKey, options, 'POST')
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Deployment failed')
+      }
+      
+      return response
+    } catch (error) {
+      throw new Error(`Deployment failed: ${error.message}`)
+    }
+  }
+
+  // Deploy Command - Smart deployment with automatic backups
+  async deployCode(options = {}) {
+    const crypto = require('crypto')
+    const { default: ora} = await import('ora')
+    const prompts = require('prompts')
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    const config = await this.config.loadLocalConfig()
+    const environment = options.env || 'production'
+    const projectRoot = this.config.getProjectRoot()
+    
+    // Detect project structure
+    const hasApp = fs.existsSync(path.join(projectRoot, 'app'))
+    const hasApi = fs.existsSync(path.join(projectRoot, 'api'))
+    const hasComponents = fs.existsSync(path.join(projectRoot, 'components'))
+    const isFullStack = hasApp || (hasApi && hasComponents)
+    
+    // Detect frontend framework
+    let frontendFramework = null
+    if (hasApp) {
+      const packageJsonPath = path.join(projectRoot, 'package.json')
+      if (fs.existsSync(packageJsonPath)) {
+        try {
+          const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
+          if (packageJson.dependencies && packageJson.dependencies['@tanstack/react-router']) {
+            frontendFramework = 'tanstack'
+          } else if (packageJson.dependencies && packageJson.dependencies['next']) {
+            frontendFramework = 'nextjs'
+          }
+        } catch (e) {
+          // Ignore parse errors
+        }
+      }
+    }
+    
+    const scanDir = isFullStack ? path.join(projectRoot, 'api') : this.detectCodeDirectory(config.codeDir)
+    
+    try {
+      // Check if directory exists
+      if (!fs.existsSync(scanDir)) {
+        throw new Error(`Directory not found: ${scanDir}. Run 'shov new' to create it.`)
+      }
+      
+      if (isFullStack) {
+        console.log(chalk.blue('🚀 Deploying full-stack project (frontend + backend)'))
+        console.log(chalk.gray(`   Backend dir: ${scanDir}`))
+      } else {
+        console.log(chalk.blue(`📦 Deploying backend from ${scanDir} to ${environment}...`))
+      }
+      console.log('')
+      
+      // Scan local files (entire project for full-stack, just backend for legacy)
+      const localFiles = this.scanLocalCodeFiles(scanDir)
+      
+      if (localFiles.length === 0) {
+        console.log(chalk.yellow('No code files found in local directory.'))
+        return
+      }
+      
+      // Get remote files for comparison
+      const spinner = ora('Fetching remote files...').start()
+      const remoteResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
+      spinner.stop()
+      
+      const remoteFiles = remoteResult.functions || []
+      // Map by path (with extension) for proper comparison
+      const remoteMap = new Map(remoteFiles.map(f => [f.path || f.name, f]))
+      
+      // Calculate changes
+      const toCreate = []
+      const toUpdate = []
+      const toDelete = [] // Always check for deletions (smart deployment)
+      const unchanged = []
+      
+      for (const local of localFiles) {
+        const remote = remoteMap.get(local.name)
+        if (!remote) {
+          toCreate.push(local)
+        } else if (local.size !== remote.size) {
+          // Size changed, definitely update
+          toUpdate.push(local)
+        } else {
+          // Size matches - assume unchanged for now
+          // TODO: Add checksum comparison when server provides it
+          unchanged.push(local)
+        }
+      }
+      
+      // Always detect files that should be deleted (smart deployment)
+      for (const [remotePath, remote] of remoteMap) {
+        if (!localFiles.find(l => l.name === remotePath)) {
+          toDelete.push(remote)
+        }
+      }
+      
+      // Show changes
+      console.log(chalk.bold('📦 Changes to deploy:'))
+      console.log('')
+      
+      if (toCreate.length > 0) {
+        console.log(chalk.green(`  CREATE (${toCreate.length} file${toCreate.length > 1 ? 's' : ''})`))
+        toCreate.forEach(f => console.log(chalk.green(`    + ${f.name}`)))
+        console.log('')
+      }
+      
+      if (toUpdate.length > 0) {
+        console.log(chalk.yellow(`  UPDATE (${toUpdate.length} file${toUpdate.length > 1 ? 's' : ''})`))
+        toUpdate.forEach(f => console.log(chalk.yellow(`    ~ ${f.name}`)))
+        console.log('')
+      }
+      
+      if (toDelete.length > 0) {
+        console.log(chalk.red(`  DELETE (${toDelete.length} file${toDelete.length > 1 ? 's' : ''})`))
+        toDelete.forEach(f => console.log(chalk.red(`    - ${f.path || f.name}`)))
+        console.log('')
+      }
+      
+      if (unchanged.length > 0) {
+        console.log(chalk.gray(`  ${unchanged.length} file(s) unchanged`))
+        console.log('')
+      }
+      
+      const totalChanges = toCreate.length + toUpdate.length + toDelete.length
+      
+      if (totalChanges === 0) {
+        console.log(chalk.green('✅ No changes to deploy'))
+        return
+      }
+      
+      if (options.dryRun) {
+        console.log(chalk.blue('🔍 Dry run - no changes made'))
+        return
+      }
+      
+      // Confirm deployment
+      if (!options.yes) {
+        const response = await prompts({
+          type: 'confirm',
+          name: 'proceed',
+          message: `Deploy ${totalChanges} change(s) to ${environment}?`,
+          initial: false
         })
         
-        spinner.text = 'Uploading worker and assets...'
-        
-        const workerPath = path.join(process.cwd(), '.wrangler-output/worker.js')
-        const assetsDir = path.join(process.cwd(), '.open-next/assets')
-        
-        if (!fs.existsSync(workerPath)) {
-          throw new Error('worker.js not found - build may have failed')
+        if (!response.proceed) {
+          console.log(chalk.gray('Deployment cancelled'))
+          return
         }
+      }
+      
+      // Deploy changes
+      let deployed = 0
+      const apiDirPath = path.join(projectRoot, 'api');
+      const isBackendOnlyDeploy = scanDir === apiDirPath;
+      
+      console.log('DEPLOY DEBUG:', { scanDir, apiDirPath, isBackendOnlyDeploy, isFullStack });
+      
+      for (const file of toCreate.concat(toUpdate)) {
+        const code = fs.readFileSync(file.path, 'utf8')
         
-        const workerCode = fs.readFileSync(workerPath, 'utf-8')
-        
-        const assets = {}
-        const collectAssets = (dir, basePath) => {
-          if (!fs.existsSync(dir)) return
-          
-          const entries = fs.readdirSync(dir, { withFileTypes: true })
-          for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name)
-            if (entry.isDirectory()) {
-              collectAssets(fullPath, basePath)
-            } else {
-              const relativePath = path.relative(basePath, fullPath).replace(/\\/g, '/')
-              const ext = path.extname(entry.name).toLowerCase()
-              const isBinary = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot', '.webp'].includes(ext)
-              
-              if (isBinary) {
-                assets[relativePath] = {
-                  content: fs.readFileSync(fullPath).toString('base64'),
-                  encoding: 'base64'
-                }
-              } else {
-                assets[relativePath] = {
-                  content: fs.readFileSync(fullPath, 'utf-8'),
-                  encoding: 'utf-8'
-                }
-              }
-            }
-          }
+        // Add api/ prefix for backend files when deploying from ./api directory
+        let fileName = file.name;
+        console.log('FILE:', fileName, 'isBackendOnlyDeploy:', isBackendOnlyDeploy);
+        if (isBackendOnlyDeploy && !fileName.startsWith('api/')) {
+          console.log('ADDING API PREFIX TO:', fileName);
+          fileName = `api/${fileName}`;
         }
+        console.log('FINAL NAME:', fileName);
         
-        collectAssets(assetsDir, assetsDir)
-        
-        const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
-          framework: 'nextjs',
-          worker: workerCode,
-          assets: assets
+        await this.apiCall(`/code/${projectName}`, {
+          name: fileName,
+          code,
+          config: {
+            timeout: 10000,
+            description: `Deployed via CLI`
+          }
         }, apiKey, options, 'POST')
-        
-        if (!response.success) {
-          throw new Error(response.error || 'Deployment failed')
+        deployed++
+      }
+      
+      if (toDelete.length > 0) {
+        for (const file of toDelete) {
+          // DELETE requests don't need a body - use path (with extension) not name
+          const filePath = file.path || file.name
+          await this.apiCall(`/code/${projectName}/${encodeURIComponent(filePath)}`, {}, apiKey, options, 'DELETE')
+          deployed++
         }
-        
-        spinner.succeed(`Next.js frontend deployed`)
-        console.log(chalk.gray('   Frontend cache auto-invalidated'))
-        
-        return response
       }
-    } catch (error) {
-      spinner.fail(`Frontend build/deployment failed`)
       
-      // Extract stderr if available for better error message
-      if (error.stderr || error.stdout) {
-        const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
-        const errorMsg = stderr.split('\n').filter(line => 
-          line.includes('Error') || line.includes('error') || line.includes('failed')
-        ).join(' ').trim() || error.message
+      console.log('')
+      console.log(chalk.green(`✅ Backend deployed: ${deployed} change(s) to ${environment}`))
+      console.log(chalk.gray('   Code cache auto-invalidated'))
+      
+      // Phase 2: Deploy frontend if detected
+      if (isFullStack && frontendFramework) {
+        console.log('')
+        console.log(chalk.blue(`📦 Phase 2: Building and deploying ${frontendFramework} frontend...`))
         
-        throw new Error(errorMsg.substring(0, 300))
+        try {
+          await this.deployFrontendBuild(projectName, apiKey, frontendFramework, options)
+        } catch (error) {
+          console.log(chalk.red(`\n❌ Frontend deployment failed: ${error.message}`))
+          console.log(chalk.yellow('Backend is deployed, but frontend deployment failed.'))
+        }
       }
       
-      throw error
+      console.log('')
+      const projectUrl = config.url || this.projectUrl(projectName)
+      console.log(chalk.gray(`  Live at: ${projectUrl}`))
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          changes: totalChanges,
+          created: toCreate.length,
+          updated: toUpdate.length,
+          deleted: toDelete.length,
+          environment,
+          frontendDeployed: isFullStack && frontendFramework ? true : false,
+          frontendFramework
+        }, null, 2))
+      }
+    } catch (error) {
+      throw new Error(`Failed to deploy: ${error.message}`)
     }
   }
 
-  // Legacy Next.js-only deployment (kept for backwards compatibility)
-  async deployFrontend(projectName, apiKey, options = {}) {
-    const { execSync } = require('child_process')
-    const path = require('path')
-    const fs = require('fs')
-    
-    // Step 1: Build with OpenNext (silent - parent handles spinner)
-    try {
-      execSync('npx --yes @opennextjs/cloudflare@latest build', {
-        stdio: 'pipe',
-        cwd: process.cwd()
-      })
-    } catch (error) {
-      // Extract stderr if available for better error message
-      const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
-      const errorMsg = stderr.split('\n').filter(line => 
-        line.includes('Error') || line.includes('error') || line.includes('failed')
-      ).join(' ').trim() || 'Build failed'
-      
-      throw new Error(errorMsg.substring(0, 200)) // Limit error length
-    }
-    
-    // Step 1.5: Bundle with wrangler (OpenNext now outputs unbundled worker)
-    try {
-      execSync('npx wrangler deploy --dry-run --outdir=.wrangler-output .open-next/worker.js', {
-        stdio: 'pipe',
-        cwd: process.cwd()
-      })
-    } catch (error) {
-      const stderr = error.stderr?.toString() || error.stdout?.toString() || ''
-      const errorMsg = stderr.split('\n').filter(line => 
-        line.includes('Error') || line.includes('error') || line.includes('failed')
-      ).join(' ').trim() || 'Bundling failed'
-      
-      throw new Error(errorMsg.substring(0, 200))
+  // Helper to detect backend code directory
+  detectCodeDirectory(configCodeDir = null) {
+    // If explicitly configured, use that
+    if (configCodeDir) {
+      return configCodeDir
     }
     
-    // Step 2: Read worker.js and assets
-    const workerPath = path.join(process.cwd(), '.wrangler-output/worker.js')
-    const assetsDir = path.join(process.cwd(), '.open-next/assets')
+    // Auto-detect relative to the project root, which may be a parent of the current directory
+    const root = this.config.getProjectRoot()
+    const exists = (name) => fs.existsSync(path.join(root, name))
+    const isDir = (name) => exists(name) && fs.statSync(path.join(root, name)).isDirectory()
     
-    if (!fs.existsSync(workerPath)) {
-      throw new Error('worker.js not found - build may have failed')
+    // Auto-detect backend directory (new unified structure first)
+    if (isDir('api')) {
+      // New unified structure: backend in ./api subdirectory
+      return this.config.relativeToCwd(path.join(root, 'api'))
+    } else if (isDir('shov')) {
+      // Legacy B2B/B2C starter structure: backend in ./shov subdirectory
+      return this.config.relativeToCwd(path.join(root, 'shov'))
+    } else if (exists('index.js') || exists('index.ts') || 
+               exists('routes') || exists('config.js') || 
+               exists('config.ts')) {
+      // Backend files in the project root
+      return this.config.relativeToCwd(root)
     }
     
-    const workerCode = fs.readFileSync(workerPath, 'utf-8')
+    // Default fallback (new unified structure)
+    return this.config.relativeToCwd(path.join(root, 'api'))
+  }
+
+  // Helper to scan local code files
+  scanLocalCodeFiles(dir) {
+    const crypto = require('crypto')
+    const files = []
     
-    // Collect assets recursively
-    const assets = {}
-    const collectAssets = (dir, basePath) => {
-      if (!fs.existsSync(dir)) return
+    // Directories and files to ignore
+    const ignoredDirs = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage', '.shov']
+    const ignoredFiles = ['.DS_Store', 'Thumbs.db', '.env.local', '.env.*.local']
+    
+    const scanDir = (currentDir, basePath = '') => {
+      if (!fs.existsSync(currentDir)) return
+      
+      const entries = fs.readdirSync(currentDir, { withFileTypes: true })
       
-      const entries = fs.readdirSync(dir, { withFileTypes: true })
       for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name)
+        // Skip ignored directories and files
+        if (ignoredDirs.includes(entry.name)) continue
+        if (ignoredFiles.includes(entry.name)) continue
+        
+        const fullPath = path.join(currentDir, entry.name)
+        const relativePath = basePath ? path.join(basePath, entry.name) : entry.name
+        
         if (entry.isDirectory()) {
-          collectAssets(fullPath, basePath)
-        } else {
-          const relativePath = path.relative(basePath, fullPath)
-          assets[relativePath] = fs.readFileSync(fullPath, 'utf-8')
+          // Recurse into all directories (except ignored)
+          scanDir(fullPath, relativePath)
+        } else if (entry.isFile()) {
+          // Include all source files: code, config, assets
+          const ext = path.extname(entry.name).toLowerCase()
+          const isCodeFile = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'].includes(ext)
+          const isConfigFile = ['.json', '.yaml', '.yml', '.toml', '.config.js', '.config.ts'].includes(ext) || 
+                               ['package.json', 'tsconfig.json', 'next.config.js', 'tailwind.config.js'].includes(entry.name)
+          const isStyleFile = ['.css', '.scss', '.sass', '.less'].includes(ext)
+          const isAssetFile = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot'].includes(ext)
+          const isTextFile = ['.md', '.txt', '.html'].includes(ext)
+          
+          if (isCodeFile || isConfigFile || isStyleFile || isAssetFile || isTextFile) {
+            try {
+              const content = fs.readFileSync(fullPath, 'utf8')
+              const checksum = crypto.createHash('md5').update(content).digest('hex')
+              
+              files.push({
+                name: relativePath.replace(/\\/g, '/'), // Normalize path separators
+                path: fullPath,
+                checksum,
+                size: content.length,
+                type: isCodeFile ? 'code' : isConfigFile ? 'config' : isStyleFile ? 'style' : isAssetFile ? 'asset' : 'text'
+              })
+            } catch (error) {
+              // Skip binary files that can't be read as UTF-8
+              if (isAssetFile) {
+                // For binary assets, just store metadata
+                const stats = fs.statSync(fullPath)
+                files.push({
+                  name: relativePath.replace(/\\/g, '/'),
+                  path: fullPath,
+                  checksum: null,
+                  size: stats.size,
+                  type: 'asset',
+                  binary: true
+                })
+              }
+            }
+          }
         }
       }
     }
     
-    collectAssets(assetsDir, assetsDir)
-    
-    // Step 3: Upload to Shov API
-    try {
-      const response = await this.apiCall(`/projects/${projectName}/frontend/deploy`, {
-        worker: workerCode,
-        assets: assets
-      }, apiKey, options, 'POST')
-      
-      if (!response.success) {
-        throw new Error(response.error || 'Deployment failed')
-      }
-      
-      return response
-    } catch (error) {
-      throw new Error(`Deployment failed: ${error.message}`)
-    }
+    scanDir(dir, '')
+    return files
   }
 
-  // Deploy Command - Smart deployment with automatic backups
-  async deployCode(options = {}) {
-    const crypto = require('crypto')
-    const { default: ora} = await import('ora')
+  // Pull Command - Pull code from server to local
+  async pullCode(options = {}) {
+    const { default: ora } = await import('ora')
     const prompts = require('prompts')
     const { projectName, apiKey } = await this.getProjectConfig(options)
     const config = await this.config.loadLocalConfig()
     const environment = options.env || 'production'
     
-    // Detect project structure
-    const hasApp = fs.existsSync(path.join(process.cwd(), 'app'))
-    const hasApi = fs.existsSync(path.join(process.cwd(), 'api'))
-    const hasComponents = fs.existsSync(path.join(process.cwd(), 'components'))
-    const isFullStack = hasApp || (hasApi && hasComponents)
+    // Smart directory detection for output
+    const outputDir = this.detectCodeDirectory(options.output || config.codeDir)
     
-    // Detect frontend framework
-    let frontendFramework = null
-    if (hasApp) {
-      const packageJsonPath = path.join(process.cwd(), 'package.json')
-      if (fs.existsSync(packageJsonPath)) {
+    try {
+      console.log(chalk.blue(`Pulling from ${environment} to ${outputDir}...`))
+      console.log('')
+      
+      // Check for uncommitted git changes
+      if (fs.existsSync('.git') && !options.yes) {
         try {
-          const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
-          if (packageJson.dependencies && packageJson.dependencies['@tanstack/react-router']) {
-            frontendFramework = 'tanstack'
-          } else if (packageJson.dependencies && packageJson.dependencies['next']) {
-            frontendFramework = 'nextjs'
+          const { execSync } = require('child_process')
+          const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' })
+          if (gitStatus.trim()) {
+            console.log(chalk.yellow('⚠️  Warning: You have uncommitted git changes'))
+            console.log('')
           }
-        } catch (e) {
-          // Ignore parse errors
+        } catch (err) {
+          // Ignore git check errors
         }
       }
-    }
-    
-    const scanDir = isFullStack ? path.join(process.cwd(), 'api') : this.detectCodeDirectory(config.codeDir)
-    
-    try {
-      // Check if directory exists
-      if (!fs.existsSync(scanDir)) {
-        throw new Error(`Directory not found: ${scanDir}. Run 'shov new' to create it.`)
-      }
       
-      if (isFullStack) {
-        console.log(chalk.blue('🚀 Deploying full-stack project (frontend + backend)'))
-        console.log(chalk.gray(`   Backend dir: ${scanDir}`))
-      } else {
-        console.log(chalk.blue(`📦 Deploying backend from ${scanDir} to ${environment}...`))
+      // Confirm overwrite
+      if (!options.yes && fs.existsSync(outputDir)) {
+        const response = await prompts({
+          type: 'confirm',
+          name: 'proceed',
+          message: '⚠️  This will overwrite local files. Continue?',
+          initial: false
+        })
+        
+        if (!response.proceed) {
+          console.log(chalk.gray('Pull cancelled'))
+          return
+        }
       }
-      console.log('')
       
-      // Scan local files (entire project for full-stack, just backend for legacy)
-      const localFiles = this.scanLocalCodeFiles(scanDir)
+      // Fetch files
+      const spinner = ora('Fetching code files from server...').start()
+      const listResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
+      spinner.stop()
       
-      if (localFiles.length === 0) {
-        console.log(chalk.yellow('No code files found in local directory.'))
+      if (!listResult.functions || listResult.functions.length === 0) {
+        console.log(chalk.yellow('No code files found on server.'))
         return
       }
       
-      // Get remote files for comparison
-      const spinner = ora('Fetching remote files...').start()
-      const remoteResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
-      spinner.stop()
-      
-      const remoteFiles = remoteResult.functions || []
-      // Map by path (with extension) for proper comparison
-      const remoteMap = new Map(remoteFiles.map(f => [f.path || f.name, f]))
+      // Create output directory
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true })
+      }
       
-      // Calculate changes
-      const toCreate = []
-      const toUpdate = []
-      const toDelete = [] // Always check for deletions (smart deployment)
-      const unchanged = []
+      // Download files
+      let successCount = 0
       
-      for (const local of localFiles) {
-        const remote = remoteMap.get(local.name)
-        if (!remote) {
-          toCreate.push(local)
-        } else if (local.size !== remote.size) {
-          // Size changed, definitely update
-          toUpdate.push(local)
-        } else {
-          // Size matches - assume unchanged for now
-          // TODO: Add checksum comparison when server provides it
-          unchanged.push(local)
+      for (const func of listResult.functions) {
+        const readResult = await this.apiCall(`/code/${projectName}/${func.name}`, {}, apiKey, options, 'GET')
+        const filePath = path.join(outputDir, func.name)
+        const fileDir = path.dirname(filePath)
+        
+        if (fileDir !== outputDir) {
+          fs.mkdirSync(fileDir, { recursive: true })
         }
+        
+        fs.writeFileSync(filePath, readResult.code, 'utf8')
+        console.log(chalk.green(`✓ ${func.name}`))
+        successCount++
       }
       
-      // Always detect files that should be deleted (smart deployment)
-      for (const [remotePath, remote] of remoteMap) {
-        if (!localFiles.find(l => l.name === remotePath)) {
-          toDelete.push(remote)
+      console.log('')
+      console.log(chalk.green(`✅ Pulled ${successCount} file(s) from ${environment}`))
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          filesPulled: successCount,
+          outputDirectory: outputDir,
+          environment
+        }, null, 2))
+      }
+    } catch (error) {
+      throw new Error(`Failed to pull code: ${error.message}`)
+    }
+  }
+
+  // Secrets Management
+  async secretsList(options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    try {
+      const result = await this.apiCall(`/secrets/${projectName}`, {}, apiKey, options, 'GET')
+      
+      // One row per secret name (and environment, when the server groups them)
+      const rows = result.secretsByEnvironment
+        ? Object.entries(result.secretsByEnvironment).flatMap(([environment, secrets]) => secrets.map(name => ({ name, environment })))
+        : (result.secrets || []).map(name => ({ name }))
+      if (this.printOutput(options, { data: result, rows })) {
+        return
+      }
+      
+      // Handle new secretsByEnvironment format
+      if (result.secretsByEnvironment) {
+        const allSecrets = new Set()
+        
+        // Collect all unique secrets across environments
+        Object.entries(result.secretsByEnvironment).forEach(([env, secrets]) => {
+          secrets.forEach(secret => allSecrets.add(secret))
+        })
+        
+        if (allSecrets.size === 0) {
+          console.log(chalk.yellow('No secrets found.'))
+          console.log(chalk.gray('Run "shov secrets set <name> <value>" to create your first secret.'))
+          return
         }
-      }
-      
-      // Show changes
-      console.log(chalk.bold('📦 Changes to deploy:'))
-      console.log('')
-      
-      if (toCreate.length > 0) {
-        console.log(chalk.green(`  CREATE (${toCreate.length} file${toCreate.length > 1 ? 's' : ''})`))
-        toCreate.forEach(f => console.log(chalk.green(`    + ${f.name}`)))
+        
+        console.log(chalk.bold(`Secrets (${allSecrets.size}):`))
         console.log('')
-      }
-      
-      if (toUpdate.length > 0) {
-        console.log(chalk.yellow(`  UPDATE (${toUpdate.length} file${toUpdate.length > 1 ? 's' : ''})`))
-        toUpdate.forEach(f => console.log(chalk.yellow(`    ~ ${f.name}`)))
+        
+        Array.from(allSecrets).sort().forEach(secret => {
+          console.log(`  ${chalk.cyan(secret)}`)
+        })
+        
         console.log('')
+        console.log(chalk.gray('Note: Secret values are never displayed for security.'))
+        return
       }
       
-      if (toDelete.length > 0) {
-        console.log(chalk.red(`  DELETE (${toDelete.length} file${toDelete.length > 1 ? 's' : ''})`))
-        toDelete.forEach(f => console.log(chalk.red(`    - ${f.path || f.name}`)))
-        console.log('')
+      // Fallback to old format for backwards compatibility
+      if (!result.secrets || result.secrets.length === 0) {
+        console.log(chalk.yellow('No secrets found.'))
+        console.log(chalk.gray('Run "shov secrets set <name> <value>" to create your first secret.'))
+        return
       }
       
-      if (unchanged.length > 0) {
-        console.log(chalk.gray(`  ${unchanged.length} file(s) unchanged`))
-        console.log('')
-      }
+      console.log(chalk.bold(`Secrets (${result.secrets.length}):`))
+      console.log('')
       
-      const totalChanges = toCreate.length + toUpdate.length + toDelete.length
+      result.secrets.forEach(secret => {
+        console.log(`  ${chalk.cyan(secret)}`)
+      })
       
-      if (totalChanges === 0) {
-        console.log(chalk.green('✅ No changes to deploy'))
-        return
-      }
+      console.log('')
+      console.log(chalk.gray('Note: Secret values are never displayed for security.'))
+    } catch (error) {
+      throw new Error(`Failed to list secrets: ${error.message}`)
+    }
+  }
+
+  async secretsSet(name, value, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
+    
+    try {
+      const result = await this.apiCall(`/secrets/${projectName}`, {
+        name,
+        value,
+        functions
+      }, apiKey, options, 'POST')
       
-      if (options.dryRun) {
-        console.log(chalk.blue('🔍 Dry run - no changes made'))
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
         return
       }
       
-      // Confirm deployment
-      if (!options.yes) {
-        const response = await prompts({
-          type: 'confirm',
-          name: 'proceed',
-          message: `Deploy ${totalChanges} change(s) to ${environment}?`,
-          initial: false
-        })
-        
-        if (!response.proceed) {
-          console.log(chalk.gray('Deployment cancelled'))
-          return
-        }
+      console.log(chalk.green(`✅ Secret "${name}" set successfully!`))
+      if (functions.length > 0) {
+        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
+      } else {
+        console.log(`   ${chalk.gray('Available to all functions')}`)
       }
+    } catch (error) {
+      throw new Error(`Failed to set secret: ${error.message}`)
+    }
+  }
+
+  async secretsSetMany(secretsJson, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    let secrets
+    try {
+      secrets = JSON.parse(secretsJson)
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`)
+    }
+    
+    if (!Array.isArray(secrets)) {
+      throw new Error('Secrets must be an array of objects with "name" and "value" properties')
+    }
+    
+    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
+    
+    try {
+      const result = await this.apiCall(`/secrets/${projectName}/batch`, {
+        secrets,
+        functions
+      }, apiKey, options, 'POST')
       
-      // Deploy changes
-      let deployed = 0
-      const apiDirPath = path.join(process.cwd(), 'api');
-      const isBackendOnlyDeploy = scanDir === apiDirPath;
-      
-      console.log('DEPLOY DEBUG:', { scanDir, apiDirPath, isBackendOnlyDeploy, isFullStack });
-      
-      for (const file of toCreate.concat(toUpdate)) {
-        const code = fs.readFileSync(file.path, 'utf8')
-        
-        // Add api/ prefix for backend files when deploying from ./api directory
-        let fileName = file.name;
-        console.log('FILE:', fileName, 'isBackendOnlyDeploy:', isBackendOnlyDeploy);
-        if (isBackendOnlyDeploy && !fileName.startsWith('api/')) {
-          console.log('ADDING API PREFIX TO:', fileName);
-          fileName = `api/${fileName}`;
-        }
-        console.log('FINAL NAME:', fileName);
-        
-        await this.apiCall(`/code/${projectName}`, {
-          name: fileName,
-          code,
-          config: {
-            timeout: 10000,
-            description: `Deployed via CLI`
-          }
-        }, apiKey, options, 'POST')
-        deployed++
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
       }
       
-      if (toDelete.length > 0) {
-        for (const file of toDelete) {
-          // DELETE requests don't need a body - use path (with extension) not name
-          const filePath = file.path || file.name
-          await this.apiCall(`/code/${projectName}/${encodeURIComponent(filePath)}`, {}, apiKey, options, 'DELETE')
-          deployed++
-        }
+      console.log(chalk.green(`✅ ${secrets.length} secrets set successfully!`))
+      console.log(`   Secrets: ${chalk.cyan(result.secretNames.join(', '))}`)
+      if (functions.length > 0) {
+        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
+      } else {
+        console.log(`   ${chalk.gray('Available to all functions')}`)
       }
       
-      console.log('')
-      console.log(chalk.green(`✅ Backend deployed: ${deployed} change(s) to ${environment}`))
-      console.log(chalk.gray('   Code cache auto-invalidated'))
-      
-      // Phase 2: Deploy frontend if detected
-      if (isFullStack && frontendFramework) {
+      if (result.results) {
         console.log('')
-        console.log(chalk.blue(`📦 Phase 2: Building and deploying ${frontendFramework} frontend...`))
-        
-        try {
-          await this.deployFrontendBuild(projectName, apiKey, frontendFramework, options)
-        } catch (error) {
-          console.log(chalk.red(`\n❌ Frontend deployment failed: ${error.message}`))
-          console.log(chalk.yellow('Backend is deployed, but frontend deployment failed.'))
-        }
+        console.log(chalk.bold('Results by function:'))
+        result.results.forEach(res => {
+          console.log(`  ${chalk.cyan(res.function)}: ${res.secretsSet} secrets set (${res.totalSecrets} total)`)
+        })
       }
-      
-      console.log('')
-      const projectUrl = config.url || `https://${projectName}.shov.dev`
-      console.log(chalk.gray(`  Live at: ${projectUrl}`))
+    } catch (error) {
+      throw new Error(`Failed to set secrets: ${error.message}`)
+    }
+  }
+
+  async secretsDelete(name, options = {}) {
+    const { projectName, apiKey } = await this.getProjectConfig(options)
+    
+    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
+    
+    try {
+      const result = await this.apiCall(`/secrets/${projectName}/${name}`, {
+        functions
+      }, apiKey, options, 'DELETE')
       
       if (options.json) {
-        console.log(JSON.stringify({
-          success: true,
-          changes: totalChanges,
-          created: toCreate.length,
-          updated: toUpdate.length,
-          deleted: toDelete.length,
-          environment,
-          frontendDeployed: isFullStack && frontendFramework ? true : false,
-          frontendFramework
-        }, null, 2))
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      
+      console.log(chalk.green(`✅ Secret "${name}" deleted successfully!`))
+      if (functions.length > 0) {
+        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
+      } else {
+        console.log(`   ${chalk.gray('Deleted from all functions')}`)
       }
     } catch (error) {
-      throw new Error(`Failed to deploy: ${error.message}`)
+      throw new Error(`Failed to delete secret: ${error.message}`)
+    }
+  }
+
+  // ============================================================================
+  // MIGRATIONS
+  // ============================================================================
+
+  // Scaffold migrations/<version>_<name>.js
+  async migrateCreate(name, options = {}) {
+    const slug = slugify(name)
+    if (!slug) {
+      throw new Error('Give the migration a name, e.g. "shov migrate create add-user-roles"')
+    }
+
+    const root = this.config.getProjectRoot()
+    const dir = path.join(root, MIGRATIONS_DIR)
+    const file = path.join(dir, `${migrationVersion()}_${slug}.js`)
+
+    // Projects with "type": "module" treat .js files as ES modules
+    let esm = false
+    try {
+      esm = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).type === 'module'
+    } catch {
+      // No package.json: CommonJS
+    }
+
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(file, migrationTemplate(slug, esm))
+    console.log(chalk.green(`✅ Created ${path.relative(process.cwd(), file)}`))
+    console.log(chalk.gray('  Fill in up() and down(), then run "shov migrate up".'))
+  }
+
+  // Applied migrations of the target environment, kept in a reserved key
+  async loadMigrationState(projectName, apiKey) {
+    const { response, data } = await this.apiRequest(`/data/${projectName}/get`, { apiKey, body: { name: STATE_KEY } })
+
+    if (response.status === 404 || (response.ok && (data.value === undefined || data.value === null))) {
+      return { applied: [] }
+    }
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to read migration state')
+    }
+    return { applied: [], ...data.value }
+  }
+
+  async saveMigrationState(projectName, apiKey, state) {
+    await this.apiCall(`/data/${projectName}/set`, { name: STATE_KEY, value: state }, apiKey)
+  }
+
+  // Point data requests at --env (production is the default, unnamed environment)
+  useEnvironment(options = {}) {
+    const environment = options.env || 'production'
+    this.environment = environment === 'production' ? null : environment
+    return environment
+  }
+
+  // Local migration files joined with what the environment has applied
+  async migrationPlan(options = {}) {
+    const project = await this.getProjectConfig(options)
+    const environment = this.useEnvironment(options)
+
+    const migrations = listMigrations(path.join(this.config.getProjectRoot(), MIGRATIONS_DIR))
+    const state = await this.loadMigrationState(project.projectName, project.apiKey)
+    const applied = new Map(state.applied.map(entry => [entry.version, entry]))
+
+    return { project, environment, migrations, state, applied }
+  }
+
+  async migrateStatus(options = {}) {
+    const { environment, migrations, state, applied } = await this.migrationPlan(options)
+
+    const rows = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      status: applied.has(version) ? 'applied' : 'pending',
+      appliedAt: applied.get(version)?.appliedAt || null
+    }))
+    // Applied in the environment but no longer on disk
+    for (const entry of state.applied) {
+      if (!migrations.some(migration => migration.version === entry.version)) {
+        rows.push({ version: entry.version, name: entry.name, status: 'missing', appliedAt: entry.appliedAt })
+      }
+    }
+    rows.sort((a, b) => a.version.localeCompare(b.version))
+
+    if (this.printOutput(options, { data: { environment, migrations: rows, lastRun: state.lastRun || null }, rows })) {
+      return
+    }
+
+    if (rows.length === 0) {
+      console.log(chalk.yellow(`No migrations in ${MIGRATIONS_DIR}/. Create one with "shov migrate create <name>".`))
+      return
+    }
+
+    console.log(chalk.bold(`\nMigrations - ${environment}\n`))
+    for (const row of rows) {
+      const color = { applied: chalk.green, pending: chalk.yellow, missing: chalk.red }[row.status]
+      const when = row.appliedAt ? chalk.gray(` ${this.getRelativeTime(new Date(row.appliedAt))}`) : ''
+      console.log(`  ${color(row.status.padEnd(8))} ${row.version}  ${row.name}${when}`)
+    }
+
+    const pending = rows.filter(row => row.status === 'pending').length
+    console.log(pending > 0 ? chalk.yellow(`\n${pending} pending. Run "shov migrate up${environment === 'production' ? '' : ` --env ${environment}`}".`) : chalk.green('\nUp to date.'))
+    if (state.lastRun) {
+      console.log(chalk.gray(`Last run: ${state.lastRun.direction} at ${state.lastRun.checkpoint}`))
     }
   }
 
-  // Helper to detect backend code directory
-  detectCodeDirectory(configCodeDir = null) {
-    // If explicitly configured, use that
-    if (configCodeDir) {
-      return configCodeDir
+  // Apply pending migrations in version order, up to and including --to
+  async migrateUp(options = {}) {
+    const { project, environment, migrations, state, applied } = await this.migrationPlan(options)
+    let pending = migrations.filter(migration => !applied.has(migration.version))
+
+    if (options.to) {
+      if (!migrations.some(migration => migration.version === options.to)) {
+        throw new Error(`No migration with version ${options.to} in ${MIGRATIONS_DIR}/`)
+      }
+      pending = pending.filter(migration => migration.version <= options.to)
     }
-    
-    // Auto-detect backend directory (new unified structure first)
-    if (fs.existsSync('./api') && fs.statSync('./api').isDirectory()) {
-      // New unified structure: backend in ./api subdirectory
-      return './api'
-    } else if (fs.existsSync('./shov') && fs.statSync('./shov').isDirectory()) {
-      // Legacy B2B/B2C starter structure: backend in ./shov subdirectory
-      return './shov'
-    } else if (fs.existsSync('./index.js') || fs.existsSync('./index.ts') || 
-               fs.existsSync('./routes') || fs.existsSync('./config.js') || 
-               fs.existsSync('./config.ts')) {
-      // Backend files in current directory
-      return '.'
+
+    if (pending.length === 0) {
+      console.log(chalk.green(`✅ ${environment} is up to date.`))
+      return
     }
-    
-    // Default fallback (new unified structure)
-    return './api'
+
+    await this.runMigrations('up', pending, { project, environment, state, options })
   }
 
-  // Helper to scan local code files
-  scanLocalCodeFiles(dir) {
-    const crypto = require('crypto')
-    const files = []
-    
-    // Directories and files to ignore
-    const ignoredDirs = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage', '.shov']
-    const ignoredFiles = ['.DS_Store', 'Thumbs.db', '.env.local', '.env.*.local']
-    
-    const scanDir = (currentDir, basePath = '') => {
-      if (!fs.existsSync(currentDir)) return
-      
-      const entries = fs.readdirSync(currentDir, { withFileTypes: true })
-      
-      for (const entry of entries) {
-        // Skip ignored directories and files
-        if (ignoredDirs.includes(entry.name)) continue
-        if (ignoredFiles.includes(entry.name)) continue
-        
-        const fullPath = path.join(currentDir, entry.name)
-        const relativePath = basePath ? path.join(basePath, entry.name) : entry.name
-        
-        if (entry.isDirectory()) {
-          // Recurse into all directories (except ignored)
-          scanDir(fullPath, relativePath)
-        } else if (entry.isFile()) {
-          // Include all source files: code, config, assets
-          const ext = path.extname(entry.name).toLowerCase()
-          const isCodeFile = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'].includes(ext)
-          const isConfigFile = ['.json', '.yaml', '.yml', '.toml', '.config.js', '.config.ts'].includes(ext) || 
-                               ['package.json', 'tsconfig.json', 'next.config.js', 'tailwind.config.js'].includes(entry.name)
-          const isStyleFile = ['.css', '.scss', '.sass', '.less'].includes(ext)
-          const isAssetFile = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.ico', '.woff', '.woff2', '.ttf', '.eot'].includes(ext)
-          const isTextFile = ['.md', '.txt', '.html'].includes(ext)
-          
-          if (isCodeFile || isConfigFile || isStyleFile || isAssetFile || isTextFile) {
-            try {
-              const content = fs.readFileSync(fullPath, 'utf8')
-              const checksum = crypto.createHash('md5').update(content).digest('hex')
-              
-              files.push({
-                name: relativePath.replace(/\\/g, '/'), // Normalize path separators
-                path: fullPath,
-                checksum,
-                size: content.length,
-                type: isCodeFile ? 'code' : isConfigFile ? 'config' : isStyleFile ? 'style' : isAssetFile ? 'asset' : 'text'
-              })
-            } catch (error) {
-              // Skip binary files that can't be read as UTF-8
-              if (isAssetFile) {
-                // For binary assets, just store metadata
-                const stats = fs.statSync(fullPath)
-                files.push({
-                  name: relativePath.replace(/\\/g, '/'),
-                  path: fullPath,
-                  checksum: null,
-                  size: stats.size,
-                  type: 'asset',
-                  binary: true
-                })
-              }
-            }
-          }
+  // Revert the most recently applied migrations (--steps, default 1)
+  async migrateDown(options = {}) {
+    const { project, environment, migrations, state } = await this.migrationPlan(options)
+    const steps = parseInt(options.steps, 10) || 1
+
+    const targets = state.applied
+      .slice()
+      .sort((a, b) => b.version.localeCompare(a.version))
+      .slice(0, steps)
+      .map(entry => {
+        const migration = migrations.find(candidate => candidate.version === entry.version)
+        if (!migration) {
+          throw new Error(`Migration ${entry.version}_${entry.name} is applied in ${environment} but missing from ${MIGRATIONS_DIR}/`)
+        }
+        return migration
+      })
+
+    if (targets.length === 0) {
+      console.log(chalk.yellow(`No applied migrations to revert in ${environment}.`))
+      return
+    }
+
+    await this.runMigrations('down', targets, { project, environment, state, options })
+  }
+
+  /**
+   * Run migrations one at a time, recording each in the state key as it completes.
+   * The start time is saved first so "shov restore --from" can roll the data back.
+   */
+  async runMigrations(direction, migrations, { project, environment, state, options }) {
+    const dryRun = !!options.dryRun
+    const client = new MigrationClient(this, project, { dryRun, validate: options.validate !== false })
+    const checkpoint = new Date().toISOString()
+    const restoreHint = `shov restore --from "${checkpoint}" --data --env ${environment} --to ${environment}`
+
+    if (dryRun) {
+      console.log(chalk.blue(`Dry run: ${migrations.length} migration(s) ${direction} on ${environment}; nothing will be written.`))
+    } else {
+      state.lastRun = { direction, checkpoint, versions: migrations.map(migration => migration.version) }
+      await this.saveMigrationState(project.projectName, project.apiKey, state)
+      console.log(chalk.gray(`Checkpoint ${checkpoint} (undo with: ${restoreHint})`))
+    }
+
+    for (const migration of migrations) {
+      const label = `${migration.version}_${migration.name}`
+      console.log(chalk.cyan(`${direction === 'up' ? '▲' : '▼'} ${label}`))
+
+      try {
+        const module = await loadMigration(migration.file)
+        if (direction === 'down' && typeof module.down !== 'function') {
+          throw new Error('it has no down() function')
+        }
+        await module[direction](client)
+      } catch (error) {
+        console.error(chalk.red(`✖ ${label} failed: ${error.message}`))
+        if (!dryRun) {
+          console.error(chalk.yellow(`  Migrations before it were recorded. To undo this run's writes: ${restoreHint}`))
         }
+        process.exitCode = 1
+        return
+      }
+
+      if (!dryRun) {
+        state.applied = direction === 'up'
+          ? [...state.applied, { version: migration.version, name: migration.name, appliedAt: new Date().toISOString(), checkpoint }]
+          : state.applied.filter(entry => entry.version !== migration.version)
+        await this.saveMigrationState(project.projectName, project.apiKey, state)
       }
     }
-    
-    scanDir(dir, '')
-    return files
+
+    if (dryRun) {
+      console.log(chalk.blue(`Dry run complete: ${migrations.length} migration(s) would make ${client.writes} write(s) on ${environment}`))
+    } else {
+      console.log(chalk.green(`✅ ${migrations.length} migration(s) ${direction === 'up' ? 'applied to' : 'reverted on'} ${environment}`))
+    }
   }
 
-  // Pull Command - Pull code from server to local
-  async pullCode(options = {}) {
+  // ============================================================================
+  // SEED DATA
+  // ============================================================================
+
+  /**
+   * Upsert the keys and collection items declared in seed files. Items are matched to stored
+   * ones by their natural key: new ones are added, changed ones updated, the rest left alone.
+   */
+  async seed(options = {}) {
     const { default: ora } = await import('ora')
-    const prompts = require('prompts')
     const { projectName, apiKey } = await this.getProjectConfig(options)
-    const config = await this.config.loadLocalConfig()
-    const environment = options.env || 'production'
-    
-    // Smart directory detection for output
-    const outputDir = this.detectCodeDirectory(options.output || config.codeDir)
-    
-    try {
-      console.log(chalk.blue(`Pulling from ${environment} to ${outputDir}...`))
-      console.log('')
-      
-      // Check for uncommitted git changes
-      if (fs.existsSync('.git') && !options.yes) {
-        try {
-          const { execSync } = require('child_process')
-          const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' })
-          if (gitStatus.trim()) {
-            console.log(chalk.yellow('⚠️  Warning: You have uncommitted git changes'))
-            console.log('')
+    const environment = this.useEnvironment(options)
+    const files = seedFiles(this.config.getProjectRoot(), options.file)
+
+    if (files.length === 0) {
+      console.log(chalk.yellow(`No seed files in ${SEEDS_DIR}/.`))
+      return
+    }
+
+    // Render and check everything before writing anything
+    const seeds = []
+    for (const file of files) {
+      const spec = await renderSeed(readSeedFile(file))
+      for (const { name, value } of spec.keys) {
+        this.checkSchema({ key: name }, value, options)
+      }
+      for (const collection of spec.collections) {
+        collection.items.forEach((item, i) => {
+          try {
+            this.checkSchema({ collection: collection.name }, item, options)
+          } catch (error) {
+            throw new Error(`${spec.label}: item ${i + 1} of "${collection.name}": ${error.message}`)
           }
-        } catch (err) {
-          // Ignore git check errors
-        }
+        })
       }
-      
-      // Confirm overwrite
-      if (!options.yes && fs.existsSync(outputDir)) {
-        const response = await prompts({
+      seeds.push(spec)
+    }
+
+    if (options.reset) {
+      // Clearing goes by the environment field alone, so make sure the server honors it first
+      if (this.environment) {
+        await this.confirmEnvironment(projectName, apiKey, this.environment)
+      }
+      const cleared = [...new Set(seeds.flatMap(spec => spec.collections.map(collection => collection.name)))]
+      if (cleared.length > 0 && !options.yes) {
+        const { default: prompts } = await import('prompts')
+        const { confirmed } = await prompts({
           type: 'confirm',
-          name: 'proceed',
-          message: '⚠️  This will overwrite local files. Continue?',
+          name: 'confirmed',
+          message: `Clear every item in ${cleared.join(', ')} in ${environment} before seeding?`,
           initial: false
         })
-        
-        if (!response.proceed) {
-          console.log(chalk.gray('Pull cancelled'))
+        if (!confirmed) {
+          console.log(chalk.yellow('Seeding cancelled.'))
           return
         }
       }
-      
-      // Fetch files
-      const spinner = ora('Fetching code files from server...').start()
-      const listResult = await this.apiCall(`/code/${projectName}`, {}, apiKey, options, 'GET')
-      spinner.stop()
-      
-      if (!listResult.functions || listResult.functions.length === 0) {
-        console.log(chalk.yellow('No code files found on server.'))
-        return
+    }
+
+    const spinner = ora(`Seeding ${environment}...`).start()
+    const summary = []
+    try {
+      for (const spec of seeds) {
+        if (spec.keys.length > 0) {
+          spinner.text = `${spec.label}: keys...`
+          summary.push(await this.seedKeys(projectName, apiKey, spec.keys))
+        }
+        for (const collection of spec.collections) {
+          spinner.text = `${spec.label}: ${collection.name}...`
+          summary.push(await this.seedCollection(projectName, apiKey, collection, options))
+        }
       }
-      
-      // Create output directory
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true })
+    } catch (error) {
+      spinner.fail('Seeding failed')
+      summary.forEach(line => console.log(`  ${line}`))
+      throw error
+    }
+
+    spinner.succeed(`Seeded ${environment} from ${seeds.map(spec => spec.label).join(', ')}`)
+    summary.forEach(line => console.log(`  ${line}`))
+  }
+
+  async seedKeys(projectName, apiKey, keys) {
+    let written = 0
+    for (const { name, value } of keys) {
+      const { response, data } = await this.apiRequest(`/data/${projectName}/get`, { apiKey, body: { name } })
+      if (response.ok && isSubset(value, data.value) && isSubset(data.value, value)) {
+        continue
       }
-      
-      // Download files
-      let successCount = 0
-      
-      for (const func of listResult.functions) {
-        const readResult = await this.apiCall(`/code/${projectName}/${func.name}`, {}, apiKey, options, 'GET')
-        const filePath = path.join(outputDir, func.name)
-        const fileDir = path.dirname(filePath)
-        
-        if (fileDir !== outputDir) {
-          fs.mkdirSync(fileDir, { recursive: true })
+      await this.apiCall(`/data/${projectName}/set`, { name, value }, apiKey)
+      written++
+    }
+    return `keys: ${written} set, ${keys.length - written} unchanged`
+  }
+
+  async seedCollection(projectName, apiKey, collection, options = {}) {
+    const { name, key, items } = collection
+    const existing = new Map()
+
+    if (options.reset) {
+      await this.apiCall(`/data/${projectName}/clear`, { name }, apiKey)
+    } else {
+      for await (const page of this.wherePages(projectName, apiKey, { name })) {
+        for (const item of page) {
+          const identity = naturalKey(item.value, key)
+          if (identity !== null && !existing.has(identity)) {
+            existing.set(identity, item)
+          }
         }
-        
-        fs.writeFileSync(filePath, readResult.code, 'utf8')
-        console.log(chalk.green(`✓ ${func.name}`))
-        successCount++
       }
-      
-      console.log('')
-      console.log(chalk.green(`✅ Pulled ${successCount} file(s) from ${environment}`))
-      
-      if (options.json) {
-        console.log(JSON.stringify({
-          success: true,
-          filesPulled: successCount,
-          outputDirectory: outputDir,
-          environment
-        }, null, 2))
+    }
+
+    const added = []
+    let updated = 0
+    for (const value of items) {
+      const stored = existing.get(naturalKey(value, key))
+      if (!stored) {
+        added.push(value)
+      } else if (!isSubset(value, stored.value)) {
+        await this.apiCall(`/data/${projectName}/update/${encodeURIComponent(stored.id)}`, { collection: name, value }, apiKey)
+        updated++
       }
-    } catch (error) {
-      throw new Error(`Failed to pull code: ${error.message}`)
     }
+
+    for (let i = 0; i < added.length; i += 100) {
+      await this.apiCall(`/data/${projectName}/add-many`, { name, items: added.slice(i, i + 100) }, apiKey)
+    }
+
+    const cleared = options.reset ? ' (cleared first)' : ''
+    return `${name}: ${added.length} added, ${updated} updated, ${items.length - added.length - updated} unchanged${cleared}`
   }
 
-  // Secrets Management
-  async secretsList(options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
+  // ============================================================================
+  // ENVIRONMENT DATA DIFF & SYNC
+  // ============================================================================
+
+  // Run fn with data requests pointed at an environment (production is the default, unnamed one)
+  async inEnvironment(environment, fn) {
+    const previous = this.environment
+    this.environment = environment === 'production' ? null : environment
     try {
-      const result = await this.apiCall(`/secrets/${projectName}`, {}, apiKey, options, 'GET')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
-      }
-      
-      // Handle new secretsByEnvironment format
-      if (result.secretsByEnvironment) {
-        const allSecrets = new Set()
-        
-        // Collect all unique secrets across environments
-        Object.entries(result.secretsByEnvironment).forEach(([env, secrets]) => {
-          secrets.forEach(secret => allSecrets.add(secret))
-        })
-        
-        if (allSecrets.size === 0) {
-          console.log(chalk.yellow('No secrets found.'))
-          console.log(chalk.gray('Run "shov secrets set <name> <value>" to create your first secret.'))
-          return
+      return await fn()
+    } finally {
+      this.environment = previous
+    }
+  }
+
+  /**
+   * Collections and keys to compare: --collection, the --only entries (collection names or key
+   * prefixes), or everything. The migration state key belongs to each environment and is skipped.
+   */
+  async dataSelection(projectName, apiKey, environments, options = {}) {
+    if (options.collection) {
+      return { collections: [options.collection], keys: null }
+    }
+
+    const names = new Set()
+    for (const environment of environments) {
+      const collections = await this.inEnvironment(environment, () => this.listCollections(projectName, apiKey))
+      collections.forEach(name => names.add(name))
+    }
+
+    const entries = options.only ? options.only.split(',').map(entry => entry.trim()).filter(Boolean) : []
+    if (entries.length === 0) {
+      return { collections: [...names].sort(), keys: name => name !== STATE_KEY }
+    }
+
+    const { collections, keyPrefixes } = splitSelection(entries, names)
+    return {
+      collections,
+      keys: keyPrefixes.length > 0 ? name => name !== STATE_KEY && keyPrefixes.some(prefix => name.startsWith(prefix)) : null
+    }
+  }
+
+  // Selected keys (by name) and collection items (by id) of one environment, held in memory
+  async readEnvironmentData(projectName, apiKey, environment, selection, spinner) {
+    return this.inEnvironment(environment, async () => {
+      const keys = new Map()
+      if (selection.keys) {
+        spinner.text = `Reading ${environment}: keys...`
+        const names = []
+        for await (const page of this.keyPages(projectName, apiKey)) {
+          names.push(...page.keys.map(key => key.name).filter(selection.keys))
         }
-        
-        console.log(chalk.bold(`Secrets (${allSecrets.size}):`))
-        console.log('')
-        
-        Array.from(allSecrets).sort().forEach(secret => {
-          console.log(`  ${chalk.cyan(secret)}`)
+        const values = await this.getMany(projectName, apiKey, names)
+        names.forEach(name => {
+          const { exists, value, error } = values.get(name)
+          // An unreadable key would otherwise look absent, and diff or sync would act on that
+          if (error) {
+            throw new Error(`Could not read key "${name}" in ${environment}: ${error}`)
+          }
+          if (exists) keys.set(name, value)
         })
-        
-        console.log('')
-        console.log(chalk.gray('Note: Secret values are never displayed for security.'))
-        return
       }
-      
-      // Fallback to old format for backwards compatibility
-      if (!result.secrets || result.secrets.length === 0) {
-        console.log(chalk.yellow('No secrets found.'))
-        console.log(chalk.gray('Run "shov secrets set <name> <value>" to create your first secret.'))
-        return
+
+      const collections = new Map()
+      for (const name of selection.collections) {
+        const items = new Map()
+        for await (const page of this.wherePages(projectName, apiKey, { name })) {
+          page.forEach(item => items.set(item.id, item.value))
+          spinner.text = `Reading ${environment}: ${name}... ${items.size}`
+        }
+        collections.set(name, items)
       }
-      
-      console.log(chalk.bold(`Secrets (${result.secrets.length}):`))
-      console.log('')
-      
-      result.secrets.forEach(secret => {
-        console.log(`  ${chalk.cyan(secret)}`)
+
+      return { keys, collections }
+    })
+  }
+
+  /**
+   * Differences that turn `base` into `other`: keys by name, items by --match-by fields or else
+   * by id and then content. Both environments are confirmed before anything is read.
+   */
+  async compareEnvironments(projectName, apiKey, base, other, options, spinner) {
+    for (const environment of [base, other].filter(environment => environment !== 'production')) {
+      await this.confirmEnvironment(projectName, apiKey, environment)
+    }
+
+    const matchBy = options.matchBy ? options.matchBy.split(',').map(field => field.trim()).filter(Boolean) : null
+    const selection = await this.dataSelection(projectName, apiKey, [base, other], options)
+    const before = await this.readEnvironmentData(projectName, apiKey, base, selection, spinner)
+    const after = await this.readEnvironmentData(projectName, apiKey, other, selection, spinner)
+
+    return {
+      matchBy,
+      keys: selection.keys ? compareEntries(before.keys, after.keys) : null,
+      collections: selection.collections.map(name => {
+        try {
+          return { name, ...compareEntries(before.collections.get(name), after.collections.get(name), { matchContent: true, matchBy }) }
+        } catch (error) {
+          throw new Error(`${name}: ${error.message}`)
+        }
       })
-      
-      console.log('')
-      console.log(chalk.gray('Note: Secret values are never displayed for security.'))
-    } catch (error) {
-      throw new Error(`Failed to list secrets: ${error.message}`)
     }
   }
 
-  async secretsSet(name, value, options = {}) {
+  // Print a comparison; `diffs` adds the JSON diff of every changed entry
+  printEnvironmentDiff(comparison, { diffs = true, removedNote = '' } = {}) {
+    const preview = value => {
+      const text = JSON.stringify(value)
+      return text.length > 60 ? text.substring(0, 59) + '…' : text
+    }
+    const indent = text => text.split('\n').map(line => `      ${line}`).join('\n')
+
+    const sections = [
+      ...(comparison.keys ? [{ title: 'keys', ...comparison.keys }] : []),
+      ...comparison.collections.map(collection => ({ title: collection.name, ...collection }))
+    ]
+
+    for (const section of sections) {
+      const counts = `${section.added.length} added, ${section.removed.length} removed${removedNote}, ${section.changed.length} changed, ${section.unchanged} unchanged`
+      console.log(`\n${chalk.bold(section.title)} ${chalk.gray(counts)}`)
+
+      // Items matched by --match-by show that identity, with their id in the listed environment
+      const label = ({ id, name }) => name === undefined ? id : `${name} ${chalk.gray(`(${id})`)}`
+      section.added.forEach(entry => console.log(chalk.green(`  + ${label(entry)} `) + chalk.gray(preview(entry.value))))
+      section.removed.forEach(entry => console.log(chalk.red(`  - ${label(entry)} `) + chalk.gray(preview(entry.value))))
+      section.changed.forEach(({ id, name, before, after }) => {
+        console.log(`${chalk.yellow(`  ~ ${label({ id, name })}`)}  ${changeSummary(before, after).join(' ')}`)
+        if (diffs) {
+          console.log(indent(formatDiff(diffLines(before, after))))
+        }
+      })
+    }
+  }
+
+  // Compare the data of two environments: added, removed and changed keys and items
+  async dataDiff(base, other, options = {}) {
+    const { default: ora } = await import('ora')
     const { projectName, apiKey } = await this.getProjectConfig(options)
-    
-    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
-    
+    if (base === other) {
+      throw new Error('Pick two different environments, e.g. shov data diff production staging')
+    }
+
+    const spinner = ora({ text: `Comparing ${base} and ${other}...`, isSilent: !!options.json }).start()
+    let comparison
     try {
-      const result = await this.apiCall(`/secrets/${projectName}`, {
-        name,
-        value,
-        functions
-      }, apiKey, options, 'POST')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
-        return
-      }
-      
-      console.log(chalk.green(`✅ Secret "${name}" set successfully!`))
-      if (functions.length > 0) {
-        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
-      } else {
-        console.log(`   ${chalk.gray('Available to all functions')}`)
-      }
+      comparison = await this.compareEnvironments(projectName, apiKey, base, other, options, spinner)
     } catch (error) {
-      throw new Error(`Failed to set secret: ${error.message}`)
+      spinner.fail('Could not compare environments')
+      throw error
+    }
+    spinner.stop()
+
+    if (options.json) {
+      const entries = diff => ({
+        added: diff.added.map(({ id, name, value }) => ({ id, ...(name !== undefined && { name }), value })),
+        removed: diff.removed.map(({ id, name, value }) => ({ id, ...(name !== undefined && { name }), value })),
+        changed: diff.changed.map(({ id, name, before, after }) => ({ id, ...(name !== undefined && { name }), before, after, changes: changeSummary(before, after) })),
+        unchanged: diff.unchanged
+      })
+      console.log(JSON.stringify({
+        from: base,
+        to: other,
+        matchBy: comparison.matchBy,
+        keys: comparison.keys ? entries(comparison.keys) : null,
+        collections: Object.fromEntries(comparison.collections.map(collection => [collection.name, entries(collection)]))
+      }, null, 2))
+      return
+    }
+
+    console.log(chalk.bold(`${base} → ${other}`) + chalk.gray(` (+ only in ${other}, - only in ${base})`))
+    this.printEnvironmentDiff(comparison, { diffs: !options.summary })
+
+    const same = [comparison.keys, ...comparison.collections].filter(Boolean)
+      .every(diff => diff.added.length + diff.removed.length + diff.changed.length === 0)
+    if (same) {
+      console.log(chalk.green(`\n✅ No differences between ${base} and ${other}`))
     }
   }
 
-  async secretsSetMany(secretsJson, options = {}) {
+  /**
+   * Make the selected data of `target` match `source`: missing entries are added, changed ones
+   * overwritten, and with --delete extra ones removed. Writes go out as chunked batch transactions.
+   */
+  async dataSync(source, target, options = {}) {
+    const { default: ora } = await import('ora')
+    const { default: prompts } = await import('prompts')
     const { projectName, apiKey } = await this.getProjectConfig(options)
-    
-    let secrets
+    if (source === target) {
+      throw new Error('Pick two different environments, e.g. shov data sync staging production --only users')
+    }
+    const chunkSize = Math.min(parseInt(options.chunkSize, 10) || MAX_BATCH_OPERATIONS, MAX_BATCH_OPERATIONS)
+
+    const spinner = ora(`Comparing ${source} and ${target}...`).start()
+    let comparison
     try {
-      secrets = JSON.parse(secretsJson)
+      comparison = await this.compareEnvironments(projectName, apiKey, target, source, options, spinner)
     } catch (error) {
-      throw new Error(`Invalid JSON: ${error.message}`)
+      spinner.fail('Could not compare environments')
+      throw error
     }
-    
-    if (!Array.isArray(secrets)) {
-      throw new Error('Secrets must be an array of objects with "name" and "value" properties')
+
+    const remove = !!options.delete
+
+    // Synced items get new ids, so without --match-by an item edited in the source since the last
+    // sync looks like one new item and one stale one. Adding it without removing the other would
+    // leave two copies, so that takes --delete
+    const ambiguous = comparison.matchBy || remove ? [] : comparison.collections
+      .filter(collection => collection.added.length > 0 && collection.removed.length > 0)
+      .map(collection => collection.name)
+    if (ambiguous.length > 0) {
+      spinner.fail(`${ambiguous.join(', ')}: items only in ${source} may be edited copies of items only in ${target}`)
+      throw new Error('Pass --match-by <fields> to pair items by a natural key (e.g. --match-by email), or --delete to replace the unmatched ones')
     }
-    
-    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
-    
-    try {
-      const result = await this.apiCall(`/secrets/${projectName}/batch`, {
-        secrets,
-        functions
-      }, apiKey, options, 'POST')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
+
+    const operations = [
+      ...(comparison.keys ? syncOperations({}, comparison.keys, { remove }) : []),
+      ...comparison.collections.flatMap(collection => syncOperations({ collection: collection.name }, collection, { remove }))
+    ]
+    const kept = [comparison.keys, ...comparison.collections].filter(Boolean).reduce((total, diff) => total + diff.removed.length, 0)
+
+    if (operations.length === 0) {
+      spinner.succeed(`${target} already matches ${source}${kept > 0 && !remove ? ` (${kept} entries only in ${target}; --delete removes them)` : ''}`)
+      return
+    }
+    spinner.stop()
+
+    console.log(chalk.bold(`${source} → ${target}`))
+    this.printEnvironmentDiff(comparison, { diffs: false, removedNote: remove ? '' : ' (kept without --delete)' })
+
+    const problems = options.validate === false ? [] : operations.flatMap(operation => {
+      if (operation.type === 'set') return this.schemaRegistry().check({ key: operation.name }, operation.value).map(problem => `${operation.name}: ${problem}`)
+      if (operation.type === 'add' || operation.type === 'update') return this.schemaRegistry().check({ collection: operation.collection }, operation.value).map(problem => `${operation.collection}: ${problem}`)
+      return []
+    })
+    if (problems.length > 0) {
+      throw new Error(`Values do not match their schemas (use --no-validate to skip):\n  ${problems.join('\n  ')}`)
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.blue(`\nDry run: ${operations.length} operation(s) would be sent to ${target}:`))
+      operations.forEach(operation => console.log(chalk.gray(`  ${describeOperation(operation)}`)))
+      return
+    }
+
+    console.log('')
+    if (!options.yes) {
+      const { confirmed } = await prompts({
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Apply ${operations.length} operation${operations.length === 1 ? '' : 's'} to ${target}?`,
+        initial: false
+      })
+      if (!confirmed) {
+        console.log(chalk.yellow('Sync cancelled.'))
         return
       }
-      
-      console.log(chalk.green(`✅ ${secrets.length} secrets set successfully!`))
-      console.log(`   Secrets: ${chalk.cyan(result.secretNames.join(', '))}`)
-      if (functions.length > 0) {
-        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
-      } else {
-        console.log(`   ${chalk.gray('Available to all functions')}`)
+    }
+
+    spinner.start(`Syncing ${source} → ${target}...`)
+    await this.inEnvironment(target, () => this.batchInChunks(projectName, apiKey, operations, chunkSize, spinner))
+  }
+
+  /**
+   * Copy every collection and key of one environment into another through a Masker. Items are
+   * read a page at a time, masked here and written to the target in batch transactions, so
+   * unmasked values never reach the target. With `at`, the source is read as it was then.
+   * @returns {Promise<{ items: number, keys: number }>}
+   */
+  async copyMaskedData(projectName, apiKey, { source, target, at = null, masker, clear = false, spinner }) {
+    const send = operations => this.inEnvironment(target, async () => {
+      for (let i = 0; i < operations.length; i += MAX_BATCH_OPERATIONS) {
+        const data = await this.apiCall(`/data/${projectName}/batch`, { operations: operations.slice(i, i + MAX_BATCH_OPERATIONS) }, apiKey)
+        if (data.success === false || (data.results || []).some(result => !result.success)) {
+          throw new Error(data.error || 'Some operations in a batch failed')
+        }
       }
-      
-      if (result.results) {
-        console.log('')
-        console.log(chalk.bold('Results by function:'))
-        result.results.forEach(res => {
-          console.log(`  ${chalk.cyan(res.function)}: ${res.secretsSet} secrets set (${res.totalSecrets} total)`)
+    })
+
+    return this.inEnvironment(source, async () => {
+      let items = 0
+      for (const name of await this.listCollections(projectName, apiKey)) {
+        if (clear) {
+          await this.inEnvironment(target, () => this.apiCall(`/data/${projectName}/clear`, { name }, apiKey))
+        }
+        for await (const page of this.wherePages(projectName, apiKey, { name, ...(at && { at }) }, MAX_BATCH_OPERATIONS)) {
+          await send(page.map(item => ({ type: 'add', collection: name, value: masker.item(name, item.value) })))
+          items += page.length
+          spinner.text = `Copying masked data: ${name}... ${items} items`
+        }
+      }
+
+      const names = []
+      for await (const page of this.keyPages(projectName, apiKey)) {
+        names.push(...page.keys.map(key => key.name))
+      }
+      spinner.text = `Copying masked data: ${names.length} keys...`
+
+      const values = new Map()
+      if (at) {
+        for (const name of names) {
+          values.set(name, await this.readAt(projectName, apiKey, { name }, at))
+        }
+      } else {
+        const current = await this.getMany(projectName, apiKey, names)
+        names.forEach(name => {
+          const { exists, value, error } = current.get(name)
+          if (error) {
+            throw new Error(`Could not read key "${name}" in ${source}: ${error}`)
+          }
+          values.set(name, exists ? value : undefined)
         })
       }
-    } catch (error) {
-      throw new Error(`Failed to set secrets: ${error.message}`)
-    }
+
+      const operations = []
+      for (const [name, value] of values) {
+        const masked = value === undefined ? undefined : masker.key(name, value)
+        if (masked !== undefined) {
+          operations.push({ type: 'set', name, value: masked })
+        }
+      }
+      await send(operations)
+
+      return { items, keys: operations.length }
+    })
   }
 
-  async secretsDelete(name, options = {}) {
-    const { projectName, apiKey } = await this.getProjectConfig(options)
-    
-    const functions = options.functions ? options.functions.split(',').map(f => f.trim()) : []
-    
-    try {
-      const result = await this.apiCall(`/secrets/${projectName}/${name}`, {
-        functions
-      }, apiKey, options, 'DELETE')
-      
-      if (options.json) {
-        console.log(JSON.stringify(result, null, 2))
+  /**
+   * Check, before anything is created, that copyMaskedData can read `source` as asked: the
+   * server must confirm the environment and, with `at`, answer point-in-time reads. One
+   * collection page (or one key when there are no collections) is read as the probe.
+   */
+  async checkMaskedSource(projectName, apiKey, source, at = null) {
+    if (source !== 'production') {
+      await this.confirmEnvironment(projectName, apiKey, source)
+    }
+    if (!at) {
+      return
+    }
+
+    await this.inEnvironment(source, async () => {
+      const [collection] = await this.listCollections(projectName, apiKey)
+      if (collection) {
+        await this.fetchWherePage(projectName, apiKey, { name: collection, limit: 1, at })
         return
       }
-      
-      console.log(chalk.green(`✅ Secret "${name}" deleted successfully!`))
-      if (functions.length > 0) {
-        console.log(`   Functions: ${chalk.gray(functions.join(', '))}`)
-      } else {
-        console.log(`   ${chalk.gray('Deleted from all functions')}`)
+      for await (const page of this.keyPages(projectName, apiKey)) {
+        const [key] = page.keys
+        if (key) {
+          const { response, data } = await this.apiRequest(`/data/${projectName}/get`, { apiKey, body: { name: key.name, at } })
+          if (response.ok && !data.asOf) {
+            throw new Error(POINT_IN_TIME_UNSUPPORTED)
+          }
+        }
+        return
       }
-    } catch (error) {
-      throw new Error(`Failed to delete secret: ${error.message}`)
-    }
+    })
   }
 
   // ============================================================================
@@ -4109,6 +6620,8 @@ class ShovCLI {
     const { projectName, apiKey } = await this.getProjectConfig(options);
     
     try {
+      const masker = options.mask ? await Masker.load(options.mask) : null;
+
       // Parse timestamp
       let timestamp;
       if (options.from) {
@@ -4249,14 +6762,30 @@ class ShovCLI {
         }
       }
 
+      if (masker && !createNewEnvironment) {
+        throw new Error('--mask needs --to-new-env; masked data is only copied into a new environment');
+      }
+      if (masker && !resources.data) {
+        throw new Error('--mask only applies to data; add --data or --all');
+      }
+
+      const maskSource = options.env || options.environment || 'production';
+      if (masker) {
+        await this.checkMaskedSource(projectName, apiKey, maskSource, new Date(timestamp).toISOString());
+      }
+
       // Confirm restore
       if (!options.yes) {
         console.log(chalk.yellow('\n⚠️  This will restore:'));
         if (resources.code) console.log(chalk.gray('  • Code & Secrets'));
-        if (resources.data) console.log(chalk.gray('  • Data'));
+        if (resources.data) console.log(chalk.gray(`  • Data${masker ? ` (masked with ${options.mask})` : ''}`));
         if (resources.files) console.log(chalk.gray('  • Files'));
         console.log(chalk.yellow(`\nFrom: ${chalk.white(new Date(timestamp).toLocaleString())}`));
         console.log(chalk.yellow(`To: ${chalk.white(targetEnvironment)}${createNewEnvironment ? ' (new)' : ''}\n`));
+        if (masker) {
+          console.log(chalk.yellow('Masked data is copied from the collections and keys that exist now, as they were at that time.'));
+          console.log(chalk.yellow('Anything deleted since then will not be in the new environment.\n'));
+        }
 
         const confirm = await prompts({
           type: 'confirm',
@@ -4274,13 +6803,9 @@ class ShovCLI {
       const spinner = ora('Restoring backup...').start();
 
       // Call restore API
-      const response = await fetch(`${this.apiUrl}/api/backups/restore`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
+      const { response, data } = await this.apiRequest('/backups/restore', {
+        apiKey,
+        body: {
           projectName,
           timestamp: new Date(timestamp).toISOString(),
           sourceEnvironment: options.from || 'production',
@@ -4288,20 +6813,37 @@ class ShovCLI {
           createNewEnvironment,
           resources: {
             code: resources.code,
-            data: resources.data,
+            data: resources.data && !masker,
             files: resources.files,
             secrets: resources.secrets
           }
-        })
+        }
       });
 
-      const data = await response.json();
-
       if (!response.ok) {
         spinner.fail(`Restore failed: ${data.error || 'Unknown error'}`);
         return;
       }
 
+      // The backup's data is read as of the timestamp and masked on its way into the new environment
+      let masked = null;
+      if (masker) {
+        try {
+          masked = await this.copyMaskedData(projectName, apiKey, {
+            source: maskSource,
+            target: targetEnvironment,
+            at: new Date(timestamp).toISOString(),
+            masker,
+            spinner
+          });
+        } catch (error) {
+          spinner.fail(`Copying masked data failed: ${error.message}`);
+          console.log(chalk.yellow(`  ${targetEnvironment} was created but has only part of the data.`));
+          process.exitCode = 1;
+          return;
+        }
+      }
+
       spinner.succeed('Restore completed successfully!');
       
       // Show results
@@ -4309,7 +6851,9 @@ class ShovCLI {
       if (data.details?.code) {
         console.log(chalk.gray(`  • Code: ${data.details.code.filesRestored || 0} files restored`));
       }
-      if (data.details?.data) {
+      if (masked) {
+        console.log(chalk.gray(`  • Data: ${masked.items} items, ${masked.keys} keys restored (masked with ${options.mask})`));
+      } else if (data.details?.data) {
         console.log(chalk.gray(`  • Data: ${data.details.data.itemsRestored || 0} items restored`));
       }
       if (data.details?.files) {
@@ -4330,11 +6874,12 @@ class ShovCLI {
       console.log(chalk.gray(`\nRestore ID: ${data.restoreId}`));
       
       if (createNewEnvironment) {
-        console.log(chalk.blue(`\n🔗 New environment URL: https://${targetEnvironment}_${projectName}.shov.dev`));
+        console.log(chalk.blue(`\n🔗 New environment URL: ${this.projectUrl(projectName, targetEnvironment)}`));
       }
 
     } catch (error) {
       console.error(chalk.red('Restore failed:'), error.message);
+      process.exitCode = 1;
     }
   }
 
@@ -4357,10 +6902,17 @@ class ShovCLI {
         return;
       }
 
+      // With --mask the data is copied here, through the rules, instead of by the server
+      const masker = options.mask ? await Masker.load(options.mask) : null;
+      const createNewEnvironment = targetEnv !== sourceEnv && !options.overwrite;
+      if (masker) {
+        await this.checkMaskedSource(projectName, apiKey, sourceEnv);
+      }
+
       // Confirm clone
       if (!options.yes) {
         console.log(chalk.yellow(`\n⚠️  This will copy the current state of ${chalk.white(sourceEnv)} to ${chalk.white(targetEnv)}`));
-        console.log(chalk.yellow('Including: Code, Data, Files, and Secrets\n'));
+        console.log(chalk.yellow(`Including: Code, Data${masker ? ` (masked with ${options.mask})` : ''}, Files, and Secrets\n`));
 
         const confirm = await prompts({
           type: 'confirm',
@@ -4378,34 +6930,46 @@ class ShovCLI {
       const spinner = ora(`Cloning ${sourceEnv} → ${targetEnv}...`).start();
 
       // Call restore API with "now" timestamp
-      const response = await fetch(`${this.apiUrl}/api/backups/restore`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
+      const { response, data } = await this.apiRequest('/backups/restore', {
+        apiKey,
+        body: {
           projectName,
           timestamp: new Date().toISOString(), // Current time
           sourceEnvironment: sourceEnv,
           targetEnvironment: targetEnv,
-          createNewEnvironment: targetEnv !== sourceEnv && !options.overwrite,
+          createNewEnvironment,
           resources: {
             code: true,
-            data: true,
+            data: !masker,
             files: true,
             secrets: true
           }
-        })
+        }
       });
 
-      const data = await response.json();
-
       if (!response.ok) {
         spinner.fail(`Clone failed: ${data.error || 'Unknown error'}`);
         return;
       }
 
+      let masked = null;
+      if (masker) {
+        try {
+          masked = await this.copyMaskedData(projectName, apiKey, {
+            source: sourceEnv,
+            target: targetEnv,
+            masker,
+            clear: !createNewEnvironment,
+            spinner
+          });
+        } catch (error) {
+          spinner.fail(`Copying masked data failed: ${error.message}`);
+          console.log(chalk.yellow(`  Code, files and secrets were cloned; ${targetEnv} has only part of the data.`));
+          process.exitCode = 1;
+          return;
+        }
+      }
+
       spinner.succeed(`✅ ${sourceEnv} cloned to ${targetEnv} successfully!`);
       
       // Show results
@@ -4413,7 +6977,9 @@ class ShovCLI {
       if (data.details?.code) {
         console.log(chalk.gray(`  • Code: ${data.details.code.filesRestored || 0} files`));
       }
-      if (data.details?.data) {
+      if (masked) {
+        console.log(chalk.gray(`  • Data: ${masked.items} items, ${masked.keys} keys (masked with ${options.mask})`));
+      } else if (data.details?.data) {
         console.log(chalk.gray(`  • Data: ${data.details.data.itemsRestored || 0} items`));
       }
       if (data.details?.files) {
@@ -4423,7 +6989,7 @@ class ShovCLI {
         console.log(chalk.gray(`  • Secrets: ${data.details.secrets.secretsRestored || 0} secrets`));
       }
 
-      console.log(chalk.blue(`\n🔗 ${targetEnv} URL: https://${targetEnv}_${projectName}.shov.dev`));
+      console.log(chalk.blue(`\n🔗 ${targetEnv} URL: ${this.projectUrl(projectName, targetEnv)}`));
 
     } catch (error) {
       console.error(chalk.red('Clone failed:'), error.message);
@@ -4451,24 +7017,16 @@ class ShovCLI {
         params.append('type', typeFilter);
       }
 
-      const response = await fetch(
-        `${this.apiUrl}/api/backups/timeline?project=${projectName}&${params.toString()}`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`
-          }
-        }
-      );
-
-      const data = await response.json();
+      const { response, data } = await this.apiRequest(`/backups/timeline?project=${projectName}&${params.toString()}`, {
+        method: 'GET',
+        apiKey
+      });
 
       if (!response.ok) {
         throw new Error(data.error || 'Failed to get backup history');
       }
 
-      if (options.json) {
-        console.log(JSON.stringify(data, null, 2));
+      if (this.printOutput(options, { data, rows: data.backups || [] })) {
         return;
       }
 
@@ -4622,6 +7180,44 @@ class ShovCLI {
     return date.toLocaleDateString();
   }
 
+  /**
+   * Parse a duration ("3600", "90s", "15m", "2h", "7d", "1w", "1h30m") into seconds
+   */
+  parseDuration(input) {
+    const value = String(input).trim().toLowerCase();
+    
+    // Plain number of seconds
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+
+    const multipliers = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+    const parts = value.match(/^(\d+[smhdw])+$/) && value.match(/\d+[smhdw]/g);
+    if (parts) {
+      return parts.reduce((total, part) => total + parseInt(part, 10) * multipliers[part.slice(-1)], 0);
+    }
+
+    throw new Error(`Invalid duration: ${input}. Try: "3600", "15m", "2h", "7d" or "1h30m"`);
+  }
+
+  /**
+   * Format a number of seconds as a compact duration ("1d 2h", "15m 30s")
+   */
+  formatDuration(seconds) {
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const parts = [];
+    let remaining = Math.max(0, Math.round(seconds));
+    
+    for (const [unit, size] of units) {
+      if (remaining >= size && parts.length < 2) {
+        parts.push(`${Math.floor(remaining / size)}${unit}`);
+        remaining %= size;
+      }
+    }
+    
+    return parts.length > 0 ? parts.join(' ') : '0s';
+  }
+
   // ============================================================================
   // EVENTS MANAGEMENT - Removed for v1
   // ============================================================================
@@ -4745,24 +7341,19 @@ class ShovCLI {
     const { projectName, apiKey } = await this.getProjectConfig(options)
     
     try {
-      const url = new URL(`/api/data/${projectName}/events/tail`, this.apiUrl)
+      const query = new URLSearchParams()
       if (options.event) {
-        url.searchParams.set('event', options.event)
+        query.set('event', options.event)
       }
       if (options.limit) {
-        url.searchParams.set('limit', options.limit)
+        query.set('limit', options.limit)
       }
       
-      const response = await fetch(url.toString(), {
+      const { response, data: result } = await this.apiRequest(`/data/${projectName}/events/tail?${query}`, {
         method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+        apiKey
       })
       
-      const result = await response.json()
-      
       if (!response.ok) {
         throw new Error(result.error || 'Events tail failed')
       }
@@ -0,0 +1,107 @@
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const { readStdin } = require('./batch')
+
+/**
+ * Parse .env-style text: KEY=value per line. Blank lines, # comments and "export " prefixes
+ * are skipped; quoted values keep their spaces and "double quotes" understand \n.
+ */
+function parseEnvFile(text, label = 'input') {
+  const values = {}
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) return
+
+    const match = trimmed.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/)
+    if (!match) {
+      throw new Error(`${label} line ${index + 1}: expected KEY=value`)
+    }
+
+    const [, key, raw] = match
+    let value
+    if (raw.startsWith('"') && raw.lastIndexOf('"') > 0) {
+      value = raw.slice(1, raw.lastIndexOf('"')).replace(/\\n/g, '\n').replace(/\\"/g, '"')
+    } else if (raw.startsWith("'") && raw.lastIndexOf("'") > 0) {
+      value = raw.slice(1, raw.lastIndexOf("'"))
+    } else {
+      value = raw.replace(/\s+#.*$/, '')
+    }
+    values[key] = value
+  })
+
+  return values
+}
+
+/**
+ * Key/value pairs for mset: an inline JSON object, a .json/.yaml/.yml file, a .env-style file,
+ * or stdin ("-", either a JSON object or .env lines).
+ */
+async function loadKeyValues(source) {
+  const trimmed = source.trim()
+  let values
+
+  if (trimmed.startsWith('{')) {
+    try {
+      values = JSON.parse(trimmed)
+    } catch (error) {
+      throw new Error(`Invalid JSON object: ${error.message}`)
+    }
+  } else {
+    let text
+    let label
+    if (source === '-') {
+      text = await readStdin()
+      label = 'stdin'
+    } else {
+      if (!fs.existsSync(source)) {
+        throw new Error(`Values must be a JSON object, a file path or "-" for stdin (no file named ${source})`)
+      }
+      text = fs.readFileSync(source, 'utf8')
+      label = path.basename(source)
+    }
+
+    try {
+      if (/\.json$/i.test(source) || (source === '-' && text.trim().startsWith('{'))) {
+        values = JSON.parse(text)
+      } else if (/\.ya?ml$/i.test(source)) {
+        values = YAML.parse(text)
+      } else {
+        values = parseEnvFile(text, label)
+      }
+    } catch (error) {
+      throw new Error(`Could not parse ${label}: ${error.message}`)
+    }
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('Values must be an object of key names to values')
+  }
+  return values
+}
+
+// 'session:*' -> /^session:.*$/ (* matches any run of characters, ? exactly one)
+function globToRegExp(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*'
+    if (char === '?') return '.'
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  }).join('')
+  return new RegExp(`^${source}$`)
+}
+
+// Predicate for key names from --prefix and --match
+function keyFilter({ prefix, match } = {}) {
+  const pattern = match ? globToRegExp(match) : null
+  return name => (!prefix || name.startsWith(prefix)) && (!pattern || pattern.test(name))
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+module.exports = { parseEnvFile, loadKeyValues, globToRegExp, keyFilter, formatBytes }
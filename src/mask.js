@@ -0,0 +1,190 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const YAML = require('yaml')
+const { globToRegExp } = require('./keys')
+const { renderTemplate, hashString } = require('./seeds')
+
+const MASK_ACTIONS = ['hash', 'redact', 'drop']
+const REDACTED = '[redacted]'
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isAction = rule => typeof rule === 'string' || (isObject(rule) && Object.keys(rule).length === 1 && typeof rule.replace === 'string')
+
+function parseAction(rule, at) {
+  if (typeof rule === 'string' && MASK_ACTIONS.includes(rule)) {
+    return { type: rule }
+  }
+  if (isObject(rule) && typeof rule.replace === 'string' && Object.keys(rule).length === 1) {
+    return { type: 'replace', template: rule.replace }
+  }
+  throw new Error(`${at}: expected hash, redact, drop or { replace: "{{generator}}" }, got ${JSON.stringify(rule)}`)
+}
+
+function parseFields(fields, at) {
+  if (!isObject(fields)) {
+    throw new Error(`${at} must map field paths to actions`)
+  }
+  return Object.entries(fields).map(([field, rule]) => ({ path: field.split('.'), action: parseAction(rule, `${at}.${field}`) }))
+}
+
+/**
+ * Read a masking rules file:
+ *   seed: <secret>                # or SHOV_MASK_SEED; keys the hashes and fake values
+ *   collections:
+ *     users:                      # a collection name, or a pattern like "*" or "audit_*"
+ *       email: hash
+ *       phone: redact
+ *       name: { replace: "{{person.fullName}}" }
+ *       address.street: drop
+ *   keys:
+ *     "smtp:password": redact     # a whole key value; drop leaves the key out
+ *     "user:*": { email: hash }   # fields of the key's value
+ */
+function loadMaskRules(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Mask rules file not found: ${file}`)
+  }
+
+  const label = path.basename(file)
+  let spec
+  try {
+    const text = fs.readFileSync(file, 'utf8')
+    spec = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text)
+  } catch (error) {
+    throw new Error(`Could not parse ${label}: ${error.message}`)
+  }
+  if (!isObject(spec)) {
+    throw new Error(`${label} must be an object with "collections" and/or "keys"`)
+  }
+
+  // Without a secret, a hashed email could be recovered by hashing guesses
+  const seed = spec.seed ?? process.env.SHOV_MASK_SEED
+  if (seed === undefined || seed === null || seed === '') {
+    throw new Error(`${label} needs a "seed" (or set SHOV_MASK_SEED) so masked values can't be reversed by guessing`)
+  }
+
+  const collections = Object.entries(spec.collections || {}).map(([pattern, fields]) => ({
+    pattern: globToRegExp(pattern),
+    exact: !/[*?]/.test(pattern),
+    fields: parseFields(fields, `${label}: collections.${pattern}`)
+  }))
+
+  const keys = Object.entries(spec.keys || {}).map(([pattern, rule]) => {
+    const at = `${label}: keys.${pattern}`
+    const base = { pattern: globToRegExp(pattern), exact: !/[*?]/.test(pattern) }
+    return isAction(rule)
+      ? { ...base, whole: parseAction(rule, at), fields: [] }
+      : { ...base, whole: null, fields: parseFields(rule, at) }
+  })
+
+  return { label, seed: String(seed), collections, keys }
+}
+
+/**
+ * Applies masking rules to item and key values. Hashes and fake values depend only on the
+ * seed and the original value, so the same email masks the same way in every collection.
+ */
+class Masker {
+  constructor(rules, faker) {
+    this.rules = rules
+    this.faker = faker
+  }
+
+  static async load(file) {
+    const rules = loadMaskRules(file)
+    const { faker } = await import('@faker-js/faker/locale/en')
+    const masker = new Masker(rules, faker)
+
+    // Unknown generators fail here rather than halfway through a copy
+    const actions = [...rules.collections, ...rules.keys].flatMap(rule => [rule.whole, ...rule.fields.map(field => field.action)])
+    for (const action of actions.filter(action => action?.type === 'replace')) {
+      try {
+        masker.maskValue('', action)
+      } catch (error) {
+        throw new Error(`${rules.label}: ${error.message}`)
+      }
+    }
+    return masker
+  }
+
+  // Rules for a name: exact names before patterns, then in file order
+  matching(rules, name) {
+    const matches = rules.filter(rule => rule.pattern.test(name))
+    return [...matches.filter(rule => rule.exact), ...matches.filter(rule => !rule.exact)]
+  }
+
+  // Masked copy of a collection item's value
+  item(collection, value) {
+    return this.applyFields(this.matching(this.rules.collections, collection).flatMap(rule => rule.fields), value)
+  }
+
+  // Masked copy of a key's value; undefined when a rule drops the key
+  key(name, value) {
+    const rules = this.matching(this.rules.keys, name)
+    const whole = rules.find(rule => rule.whole)?.whole
+    if (whole) {
+      return whole.type === 'drop' ? undefined : this.maskValue(value, whole)
+    }
+    return this.applyFields(rules.flatMap(rule => rule.fields), value)
+  }
+
+  applyFields(fields, value) {
+    if (fields.length === 0) {
+      return value
+    }
+    const copy = JSON.parse(JSON.stringify(value))
+    // A field named by several rules is masked once, by the first (hashing a hash would break joins)
+    const seen = new Set()
+    for (const { path: fieldPath, action } of fields) {
+      if (seen.has(fieldPath.join('.'))) continue
+      seen.add(fieldPath.join('.'))
+      this.maskPath(copy, fieldPath, action)
+    }
+    return copy
+  }
+
+  // Arrays along the path are walked element by element: "contacts.email" masks every contact
+  maskPath(target, fieldPath, action) {
+    if (Array.isArray(target)) {
+      target.forEach(element => this.maskPath(element, fieldPath, action))
+      return
+    }
+    if (!isObject(target)) {
+      return
+    }
+
+    const [field, ...rest] = fieldPath
+    if (!(field in target)) {
+      return
+    }
+    if (rest.length > 0) {
+      this.maskPath(target[field], rest, action)
+    } else if (action.type === 'drop') {
+      delete target[field]
+    } else {
+      target[field] = this.maskValue(target[field], action)
+    }
+  }
+
+  maskValue(value, action) {
+    if (value === null || value === undefined) {
+      return value
+    }
+
+    const original = typeof value === 'string' ? value : JSON.stringify(value)
+    switch (action.type) {
+      case 'hash':
+        return crypto.createHmac('sha256', this.rules.seed).update(original).digest('hex').slice(0, 16)
+      case 'redact':
+        return typeof value === 'string' ? REDACTED : null
+      case 'replace':
+        this.faker.seed(hashString(`${this.rules.seed}:${action.template}:${original}`))
+        return renderTemplate(action.template, this.faker, { index: 0 })
+      default:
+        return null
+    }
+  }
+}
+
+module.exports = { loadMaskRules, Masker }
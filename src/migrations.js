@@ -0,0 +1,170 @@
+const fs = require('fs')
+const path = require('path')
+const { pathToFileURL } = require('url')
+const chalk = require('chalk')
+
+const MIGRATIONS_DIR = 'migrations'
+
+// Reserved key holding the applied versions of each environment's data
+const STATE_KEY = '__shov_migrations'
+
+// 20261019143000_add-user-roles.js -> version 20261019143000, name add-user-roles
+const MIGRATION_FILE = /^(\d{14})_([\w-]+)\.(c?js|mjs)$/
+
+function migrationVersion(date = new Date()) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14)
+}
+
+function slugify(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+}
+
+// Migration files in version order
+function listMigrations(dir) {
+  if (!fs.existsSync(dir)) {
+    return []
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file: path.join(dir, file) }))
+    .sort((a, b) => a.version.localeCompare(b.version))
+}
+
+// Works for CommonJS and ES module migrations alike
+async function loadMigration(file) {
+  const module = await import(pathToFileURL(file).href)
+  const migration = module.default && typeof module.default.up === 'function' ? module.default : module
+
+  if (typeof migration.up !== 'function') {
+    throw new Error(`${path.basename(file)} does not export an up(shov) function`)
+  }
+  return migration
+}
+
+function migrationTemplate(name, esm = false) {
+  const body = `  async up(shov) {
+    // for await (const user of shov.each('users')) {
+    //   await shov.update('users', user.id, { role: user.value.role || 'member' })
+    // }
+  },
+
+  async down(shov) {
+    // Undo what up() did, or throw if it can't be undone
+  }`
+
+  const header = `// Migration: ${name}
+// \`shov\` wraps the project's data: get, set, forget, add, addMany, update, remove, clear,
+// where, each and batch. Reads always run; writes are only logged under --dry-run.
+`
+
+  return esm
+    ? `${header}\nexport default {\n${body}\n}\n`
+    : `${header}\nmodule.exports = {\n${body}\n}\n`
+}
+
+/**
+ * The `shov` object handed to up() and down(). Reads go straight to the API; writes are
+ * logged and, unless dryRun is set, sent. Values are checked against schemas/ like CLI writes.
+ */
+class MigrationClient {
+  constructor(cli, { projectName, apiKey }, { dryRun = false, validate = true } = {}) {
+    this.cli = cli
+    this.projectName = projectName
+    this.apiKey = apiKey
+    this.dryRun = dryRun
+    this.validate = validate
+    this.writes = 0
+  }
+
+  call(endpoint, body, method = 'POST') {
+    return this.cli.apiCall(`/data/${this.projectName}/${endpoint}`, body, this.apiKey, {}, method)
+  }
+
+  async write(description, send) {
+    this.writes++
+    console.log(chalk.gray(`    ${this.dryRun ? 'would ' : ''}${description}`))
+    return this.dryRun ? null : send()
+  }
+
+  check(target, value) {
+    this.cli.checkSchema(target, value, { validate: this.validate })
+  }
+
+  log(...args) {
+    console.log(chalk.gray('   '), ...args)
+  }
+
+  async get(key) {
+    const data = await this.call('get', { name: key })
+    return data.value ?? null
+  }
+
+  async set(key, value, options = {}) {
+    this.check({ key }, value)
+    const body = { name: key, value, ...(options.ttl && { ttl: this.cli.parseDuration(String(options.ttl)) }) }
+    return this.write(`set ${key}`, () => this.call('set', body))
+  }
+
+  async forget(key) {
+    return this.write(`forget ${key}`, () => this.call(`forget/${encodeURIComponent(key)}`, undefined, 'DELETE'))
+  }
+
+  async add(collection, value) {
+    this.check({ collection }, value)
+    const data = await this.write(`add to ${collection}`, () => this.call('add', { name: collection, value }))
+    return data ? data.id : null
+  }
+
+  async addMany(collection, items) {
+    items.forEach(item => this.check({ collection }, item))
+    const data = await this.write(`add ${items.length} items to ${collection}`, () => this.call('add-many', { name: collection, items }))
+    return data ? data.ids : []
+  }
+
+  async update(collection, id, value) {
+    this.check({ collection, partial: true }, value)
+    return this.write(`update ${collection}/${id}`, () => this.call(`update/${encodeURIComponent(id)}`, { collection, value }))
+  }
+
+  async remove(collection, id) {
+    return this.write(`remove ${collection}/${id}`, () => this.call(`remove/${encodeURIComponent(id)}`, { collection }))
+  }
+
+  async clear(collection) {
+    return this.write(`clear ${collection}`, () => this.call('clear', { name: collection }))
+  }
+
+  async batch(operations) {
+    return this.write(`batch of ${operations.length} operations`, () => this.call('batch', { operations }))
+  }
+
+  // Every matching item, loaded into memory; use each() for large collections
+  async where(collection, filter) {
+    const items = []
+    for await (const item of this.each(collection, filter)) {
+      items.push(item)
+    }
+    return items
+  }
+
+  // Async iterator over matching items, one page in memory at a time
+  async *each(collection, filter) {
+    const body = { name: collection, ...(filter && { filter }) }
+    for await (const page of this.cli.wherePages(this.projectName, this.apiKey, body)) {
+      yield* page
+    }
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  STATE_KEY,
+  migrationVersion,
+  slugify,
+  listMigrations,
+  loadMigration,
+  migrationTemplate,
+  MigrationClient
+}
@@ -0,0 +1,157 @@
+const YAML = require('yaml')
+
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'yaml', 'raw']
+
+// Widest a table cell may grow before it is truncated
+const MAX_CELL_WIDTH = 60
+
+/**
+ * Pick the output format: -o/--output > --json > SHOV_OUTPUT.
+ * Returns null when nothing was asked for, so commands keep their human-readable output.
+ */
+function resolveOutputFormat(options = {}) {
+  const format = options.output || (options.json ? 'json' : process.env.SHOV_OUTPUT)
+  if (!format) {
+    return null
+  }
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`)
+  }
+  return format
+}
+
+// "id,value.name" -> ['id', 'value.name']
+function parseFields(fields) {
+  if (!fields) return null
+  const list = fields.split(',').map(field => field.trim()).filter(Boolean)
+  return list.length > 0 ? list : null
+}
+
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record)
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Keep only the requested fields, keyed by their dotted path
+function pickFields(record, fields) {
+  const picked = {}
+  for (const field of fields) {
+    picked[field] = getPath(record, field)
+  }
+  return picked
+}
+
+// { value: { name: 'a' } } -> { 'value.name': 'a' }; arrays stay as a single JSON cell
+function flatten(record, prefix = '', into = {}) {
+  if (!isPlainObject(record)) {
+    into[prefix || 'value'] = record
+    return into
+  }
+
+  for (const [key, value] of Object.entries(record)) {
+    const name = prefix ? `${prefix}.${key}` : key
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, name, into)
+    } else {
+      into[name] = value
+    }
+  }
+  return into
+}
+
+// Column order: requested fields, otherwise every key in order of first appearance
+function columnsFor(rows, fields) {
+  if (fields) return fields
+
+  const columns = []
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key)
+    }
+  }
+  return columns
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// One CSV line, quoting cells that contain commas, quotes or newlines
+function csvLine(values) {
+  return values.map(value => {
+    const text = cellText(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }).join(',')
+}
+
+function toCsv(rows, columns) {
+  return [csvLine(columns), ...rows.map(row => csvLine(columns.map(column => row[column])))].join('\n')
+}
+
+function toTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(no results)'
+  }
+
+  const clip = (text) => (text.length > MAX_CELL_WIDTH ? text.substring(0, MAX_CELL_WIDTH - 1) + '…' : text)
+  const cells = rows.map(row => columns.map(column => clip(cellText(row[column]).replace(/\s+/g, ' '))))
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)))
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()
+
+  return [
+    line(columns),
+    line(widths.map(width => '─'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n')
+}
+
+/**
+ * Render command output in one of OUTPUT_FORMATS.
+ *
+ * @param {string} format
+ * @param {object} output
+ * @param {*} output.data - Full response, used as-is by json/yaml when no fields are picked
+ * @param {object[]} [output.rows] - Records for tabular formats (defaults to [data])
+ * @param {*} [output.raw] - What raw prints (defaults to one line per row)
+ * @param {string[]|null} [fields] - Dotted paths to keep
+ */
+function formatOutput(format, { data, rows, raw }, fields = null) {
+  const records = rows || [data]
+  const picked = fields ? records.map(record => pickFields(record, fields)) : records
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(fields ? picked : data, null, 2)
+    case 'yaml':
+      return YAML.stringify(fields ? picked : data).trimEnd()
+    case 'ndjson':
+      return picked.map(record => JSON.stringify(record)).join('\n')
+    case 'csv': {
+      const flat = picked.map(record => (fields ? record : flatten(record)))
+      return toCsv(flat, columnsFor(flat, fields))
+    }
+    case 'table': {
+      const flat = picked.map(record => (fields ? record : flatten(record)))
+      return toTable(flat, columnsFor(flat, fields))
+    }
+    case 'raw': {
+      if (raw !== undefined && !fields) {
+        return typeof raw === 'string' ? raw : JSON.stringify(raw)
+      }
+      return picked.map(record => {
+        const values = Object.values(fields ? record : { record })
+        return values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join('\t')
+      }).join('\n')
+    }
+    default:
+      throw new Error(`Unknown output format "${format}"`)
+  }
+}
+
+module.exports = { OUTPUT_FORMATS, resolveOutputFormat, parseFields, formatOutput, flatten, csvLine, getPath }
@@ -0,0 +1,381 @@
+// Compiles `--where` expressions such as
+//   status = "active" and age >= 21 and tags contains "beta"
+// into the JSON filter the where/count endpoints accept. Conditions the server can't
+// evaluate (contains, regex matches, or/not, ...) are returned separately so callers can
+// apply them to fetched items.
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'exists', 'contains', 'like', 'matches', 'between', 'true', 'false', 'null']
+
+const COMPARISONS = {
+  '=': 'eq',
+  '==': 'eq',
+  '!=': 'ne',
+  '<>': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  '~': 'matches'
+}
+
+// Operators the filter API understands, keyed by condition op. Equality is sent as a bare value.
+// !=, not in and exists stay client-side: the API doesn't document $ne, $nin or $exists, and a
+// server that ignored them would return items the expression excludes
+const SERVER_OPERATORS = {
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  like: '$like',
+  between: '$between'
+}
+
+function syntaxError(message, token) {
+  const where = token ? ` at column ${token.column}` : ' at the end'
+  return new Error(`Invalid --where expression${where}: ${message}`)
+}
+
+function tokenize(input) {
+  const tokens = []
+  let i = 0
+
+  while (i < input.length) {
+    const char = input[i]
+    const column = i + 1
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '"' || char === "'") {
+      let text = ''
+      i++
+      while (i < input.length && input[i] !== char) {
+        if (input[i] === '\\' && i + 1 < input.length) i++
+        text += input[i++]
+      }
+      if (i >= input.length) throw syntaxError('unterminated string', { column })
+      i++
+      tokens.push({ type: 'string', value: text, column })
+    } else if (char === '`') {
+      // `first-name` quotes a field path that isn't a plain identifier
+      const end = input.indexOf('`', i + 1)
+      if (end === -1) throw syntaxError('unterminated `field`', { column })
+      tokens.push({ type: 'path', value: input.slice(i + 1, end), column })
+      i = end + 1
+    } else if (char === '/') {
+      let body = ''
+      i++
+      while (i < input.length && input[i] !== '/') {
+        if (input[i] === '\\' && i + 1 < input.length) body += input[i++]
+        body += input[i++]
+      }
+      if (i >= input.length) throw syntaxError('unterminated /regex/', { column })
+      i++
+      const flags = /^[a-z]*/.exec(input.slice(i))[0]
+      i += flags.length
+      try {
+        tokens.push({ type: 'regex', value: new RegExp(body, flags), column })
+      } catch (error) {
+        throw syntaxError(error.message, { column })
+      }
+    } else if (/[-\d]/.test(char) && /^-?\d/.test(input.slice(i))) {
+      const text = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(input.slice(i))[0]
+      tokens.push({ type: 'number', value: Number(text), column })
+      i += text.length
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const text = /^[A-Za-z_$][\w$]*(\.[\w$]+)*/.exec(input.slice(i))[0]
+      const lower = text.toLowerCase()
+      tokens.push(KEYWORDS.includes(lower) ? { type: 'keyword', value: lower, column } : { type: 'path', value: text, column })
+      i += text.length
+    } else {
+      const symbol = ['==', '!=', '<>', '>=', '<='].find(op => input.startsWith(op, i)) || char
+      if (!(symbol in COMPARISONS) && !'()[],'.includes(symbol)) {
+        throw syntaxError(`unexpected "${char}"`, { column })
+      }
+      tokens.push({ type: 'symbol', value: symbol, column })
+      i += symbol.length
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Parse an expression into a condition tree:
+ *   { type: 'and' | 'or', items: [...] }, { type: 'not', item }, { type: 'cmp', path, op, value }
+ */
+function parseWhere(input) {
+  const tokens = tokenize(input)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const isKeyword = (word, token = peek()) => token && token.type === 'keyword' && token.value === word
+  const isSymbol = (symbol, token = peek()) => token && token.type === 'symbol' && token.value === symbol
+
+  function expectSymbol(symbol) {
+    const token = next()
+    if (!isSymbol(symbol, token)) throw syntaxError(`expected "${symbol}"`, token)
+  }
+
+  function parseValue() {
+    const token = next()
+    if (!token) throw syntaxError('expected a value')
+    if (token.type === 'string' || token.type === 'number') return token.value
+    if (isKeyword('true', token)) return true
+    if (isKeyword('false', token)) return false
+    if (isKeyword('null', token)) return null
+    throw syntaxError('expected a string, number, true, false or null', token)
+  }
+
+  function parseList() {
+    const open = next()
+    if (!isSymbol('(', open) && !isSymbol('[', open)) throw syntaxError('expected a list like ("a", "b")', open)
+    const close = open.value === '(' ? ')' : ']'
+    const values = []
+    if (!isSymbol(close)) {
+      values.push(parseValue())
+      while (isSymbol(',')) {
+        next()
+        values.push(parseValue())
+      }
+    }
+    expectSymbol(close)
+    return values
+  }
+
+  function parsePattern() {
+    const token = peek()
+    if (token && token.type === 'regex') return next().value
+    if (token && token.type === 'string') {
+      try {
+        return new RegExp(next().value)
+      } catch (error) {
+        throw syntaxError(error.message, token)
+      }
+    }
+    throw syntaxError('expected a /regex/ or a string', token)
+  }
+
+  function parseCondition(path) {
+    const token = next()
+    if (!token) throw syntaxError(`expected an operator after "${path}"`)
+
+    if (token.type === 'symbol' && token.value in COMPARISONS) {
+      const op = COMPARISONS[token.value]
+      return { type: 'cmp', path, op, value: op === 'matches' ? parsePattern() : parseValue() }
+    }
+
+    let negated = false
+    let keyword = token
+    if (isKeyword('not', token)) {
+      negated = true
+      keyword = next()
+    }
+
+    switch (keyword && keyword.type === 'keyword' ? keyword.value : null) {
+      case 'in':
+        return { type: 'cmp', path, op: negated ? 'nin' : 'in', value: parseList() }
+      case 'exists':
+        return { type: 'cmp', path, op: 'exists', value: !negated }
+      case 'between': {
+        const low = parseValue()
+        if (!isKeyword('and', next())) throw syntaxError('expected "and" in between ... and ...', tokens[position - 1])
+        const condition = { type: 'cmp', path, op: 'between', value: [low, parseValue()] }
+        return negated ? { type: 'not', item: condition } : condition
+      }
+      case 'like':
+      case 'contains':
+      case 'matches': {
+        const value = keyword.value === 'matches' ? parsePattern() : parseValue()
+        const condition = { type: 'cmp', path, op: keyword.value, value }
+        return negated ? { type: 'not', item: condition } : condition
+      }
+      default:
+        throw syntaxError(`expected an operator after "${path}"`, keyword)
+    }
+  }
+
+  function parsePrimary() {
+    const token = next()
+    if (isSymbol('(', token)) {
+      const inner = parseOr()
+      expectSymbol(')')
+      return inner
+    }
+    if (token && token.type === 'path') {
+      return parseCondition(token.value)
+    }
+    throw syntaxError('expected a field name or "("', token)
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      next()
+      return { type: 'not', item: parseNot() }
+    }
+    return parsePrimary()
+  }
+
+  function parseChain(type, parseItem) {
+    const items = [parseItem()]
+    while (isKeyword(type)) {
+      next()
+      items.push(parseItem())
+    }
+    return items.length === 1 ? items[0] : { type, items }
+  }
+
+  function parseAnd() {
+    return parseChain('and', parseNot)
+  }
+
+  function parseOr() {
+    return parseChain('or', parseAnd)
+  }
+
+  if (tokens.length === 0) throw syntaxError('expression is empty')
+  const tree = parseOr()
+  if (position < tokens.length) throw syntaxError('unexpected input', peek())
+  return tree
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).every(key => key.startsWith('$'))
+}
+
+// Add one condition to a server filter; false when it can't be expressed there
+function addToFilter(filter, condition) {
+  if (condition.type !== 'cmp' || condition.value instanceof RegExp) return false
+
+  const existing = filter[condition.path]
+  if (condition.op === 'eq') {
+    if (existing !== undefined) return false
+    filter[condition.path] = condition.value
+    return true
+  }
+
+  const operator = SERVER_OPERATORS[condition.op]
+  if (!operator) return false
+  if (existing === undefined) {
+    filter[condition.path] = { [operator]: condition.value }
+    return true
+  }
+  if (isOperatorObject(existing) && !(operator in existing)) {
+    existing[operator] = condition.value
+    return true
+  }
+  return false
+}
+
+/**
+ * Compile an expression. The top-level "and" terms the server understands go into `filter`;
+ * the rest are returned as `residual` (a condition tree, or null) to evaluate client-side.
+ */
+function compileWhere(input) {
+  const tree = parseWhere(input)
+  const terms = tree.type === 'and' ? tree.items : [tree]
+  const filter = {}
+  const residual = []
+
+  for (const term of terms) {
+    if (!addToFilter(filter, term)) residual.push(term)
+  }
+
+  return {
+    filter,
+    residual: residual.length === 0 ? null : residual.length === 1 ? residual[0] : { type: 'and', items: residual }
+  }
+}
+
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record)
+}
+
+function sameValue(a, b) {
+  return a === b || (typeof a === 'object' && a !== null && JSON.stringify(a) === JSON.stringify(b))
+}
+
+function compare(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') return actual - expected
+  if (typeof actual === 'string' && typeof expected === 'string') return actual < expected ? -1 : actual > expected ? 1 : 0
+  return NaN
+}
+
+// SQL LIKE: % is any run of characters, _ is one character; case-insensitive like SQLite's
+function likePattern(pattern) {
+  const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')
+  return new RegExp(`^${source}$`, 'is')
+}
+
+/**
+ * Evaluate a condition tree against an item's value.
+ */
+function matchesWhere(condition, record) {
+  switch (condition.type) {
+    case 'and':
+      return condition.items.every(item => matchesWhere(item, record))
+    case 'or':
+      return condition.items.some(item => matchesWhere(item, record))
+    case 'not':
+      return !matchesWhere(condition.item, record)
+  }
+
+  const actual = getPath(record, condition.path)
+  const { op, value } = condition
+
+  switch (op) {
+    case 'eq':
+      return sameValue(actual, value)
+    case 'ne':
+      return !sameValue(actual, value)
+    case 'gt':
+      return compare(actual, value) > 0
+    case 'gte':
+      return compare(actual, value) >= 0
+    case 'lt':
+      return compare(actual, value) < 0
+    case 'lte':
+      return compare(actual, value) <= 0
+    case 'between':
+      return compare(actual, value[0]) >= 0 && compare(actual, value[1]) <= 0
+    case 'in':
+      return value.some(option => sameValue(actual, option))
+    case 'nin':
+      return !value.some(option => sameValue(actual, option))
+    case 'exists':
+      return (actual !== undefined) === value
+    case 'like':
+      return typeof actual === 'string' && likePattern(value).test(actual)
+    case 'matches':
+      return typeof actual === 'string' && value.test(actual)
+    case 'contains':
+      if (Array.isArray(actual)) return actual.some(element => sameValue(element, value))
+      return typeof actual === 'string' && actual.includes(String(value))
+    default:
+      return false
+  }
+}
+
+// Render a condition tree back to expression text, for warnings
+function formatWhere(condition) {
+  const literal = (value) => (value instanceof RegExp ? String(value) : JSON.stringify(value))
+  const symbols = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' }
+
+  switch (condition.type) {
+    case 'and':
+    case 'or':
+      return condition.items.map(item => (item.type === 'cmp' || item.type === 'not' ? formatWhere(item) : `(${formatWhere(item)})`)).join(` ${condition.type} `)
+    case 'not':
+      return `not ${condition.item.type === 'cmp' ? formatWhere(condition.item) : `(${formatWhere(condition.item)})`}`
+  }
+
+  const { path, op, value } = condition
+  if (op in symbols) return `${path} ${symbols[op]} ${literal(value)}`
+  if (op === 'in' || op === 'nin') return `${path} ${op === 'nin' ? 'not in' : 'in'} (${value.map(literal).join(', ')})`
+  if (op === 'exists') return `${path} ${value ? 'exists' : 'not exists'}`
+  if (op === 'between') return `${path} between ${literal(value[0])} and ${literal(value[1])}`
+  return `${path} ${op} ${literal(value)}`
+}
+
+module.exports = { parseWhere, compileWhere, matchesWhere, formatWhere }
@@ -0,0 +1,184 @@
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+
+const INPUT_FORMATS = ['ndjson', 'csv', 'json']
+
+// Guess the input format from a filename ("users.csv", "dump.ndjson.gz"); stdin defaults to NDJSON
+function detectInputFormat(file) {
+  if (!file || file === '-') return 'ndjson'
+
+  const name = path.basename(file).replace(/\.gz$/, '').toLowerCase()
+  if (name.endsWith('.csv')) return 'csv'
+  if (name.endsWith('.json')) return 'json'
+  return 'ndjson'
+}
+
+// Open a file (or stdin for "-"), gunzipping .gz files on the fly
+function openInput(file) {
+  if (file === '-') return process.stdin
+
+  const stream = fs.createReadStream(file)
+  return file.endsWith('.gz') ? stream.pipe(require('zlib').createGunzip()) : stream
+}
+
+/**
+ * Split one CSV record into cells. Returns null when a quoted cell is still open,
+ * meaning the record continues on the next line.
+ */
+function parseCsvLine(text) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) return null
+  cells.push(cell)
+  return cells
+}
+
+// "42" -> 42, "true" -> true, "" -> null, '{"a":1}' -> object; anything else stays a string
+function coerceValue(text) {
+  const trimmed = text.trim()
+  if (trimmed === '' || trimmed === 'null') return null
+  if (trimmed === 'true') return true
+  if (trimmed === 'false') return false
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed)) return Number(trimmed)
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed)
+    } catch {
+      // Not JSON after all
+    }
+  }
+  return text
+}
+
+// Set "address.city" on an object, creating intermediate objects
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.split('.')
+  let node = target
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {}
+    node = node[key]
+  }
+  node[keys[keys.length - 1]] = value
+}
+
+// "Full Name:name,E-mail:contact.email" -> { 'Full Name': 'name', 'E-mail': 'contact.email' }
+function parseFieldMap(map) {
+  const mapping = {}
+  if (!map) return mapping
+
+  for (const pair of map.split(',')) {
+    const index = pair.lastIndexOf(':')
+    if (index <= 0) {
+      throw new Error(`Invalid --map entry "${pair}". Use header:field`)
+    }
+    mapping[pair.slice(0, index).trim()] = pair.slice(index + 1).trim()
+  }
+  return mapping
+}
+
+/**
+ * Read records from NDJSON, CSV or a JSON array.
+ * Yields { line, record } for good rows and { line, error, raw } for rows that can't be parsed,
+ * so callers can reject single rows without aborting the whole import.
+ *
+ * @param {string} file - Path, or "-" for stdin
+ * @param {object} options
+ * @param {string} options.format - ndjson | csv | json
+ * @param {object} [options.fieldMap] - CSV header -> field path
+ * @param {boolean} [options.coerce=true] - Convert CSV numbers, booleans, null and JSON cells
+ */
+async function* readRecords(file, { format, fieldMap = {}, coerce = true }) {
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format "${format}". Use one of: ${INPUT_FORMATS.join(', ')}`)
+  }
+
+  const input = openInput(file)
+
+  // JSON arrays can't be split safely without a streaming parser, so they are read whole
+  if (format === 'json') {
+    let text = ''
+    for await (const chunk of input) text += chunk
+    const items = JSON.parse(text)
+    if (!Array.isArray(items)) {
+      throw new Error('JSON input must be an array of items')
+    }
+    for (let i = 0; i < items.length; i++) {
+      yield { line: i + 1, record: items[i] }
+    }
+    return
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity })
+  let lineNumber = 0
+  let headers = null
+  let pending = null
+
+  for await (const text of lines) {
+    lineNumber++
+
+    if (format === 'ndjson') {
+      if (!text.trim()) continue
+      try {
+        yield { line: lineNumber, record: JSON.parse(text) }
+      } catch (error) {
+        yield { line: lineNumber, error: `Invalid JSON: ${error.message}`, raw: text }
+      }
+      continue
+    }
+
+    // CSV: a quoted cell may span several physical lines
+    pending = pending === null ? { line: lineNumber, text } : { ...pending, text: `${pending.text}\n${text}` }
+    const cells = parseCsvLine(pending.text)
+    if (cells === null) continue
+
+    const { line, text: raw } = pending
+    pending = null
+
+    if (!headers) {
+      headers = cells.map(header => header.trim())
+      continue
+    }
+    if (cells.length === 1 && cells[0] === '') continue
+
+    if (cells.length !== headers.length) {
+      yield { line, error: `Expected ${headers.length} columns, got ${cells.length}`, raw }
+      continue
+    }
+
+    const record = {}
+    headers.forEach((header, i) => {
+      setPath(record, fieldMap[header] || header, coerce ? coerceValue(cells[i]) : cells[i])
+    })
+    yield { line, record }
+  }
+
+  if (pending !== null) {
+    yield { line: pending.line, error: 'Unterminated quoted field', raw: pending.text }
+  }
+}
+
+module.exports = { INPUT_FORMATS, detectInputFormat, parseFieldMap, readRecords }
@@ -0,0 +1,146 @@
+const fs = require('fs')
+const path = require('path')
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+
+const SCHEMA_DIR = 'schemas'
+
+/**
+ * JSON Schemas for item values, kept in the project's schemas/ directory:
+ *   schemas/<collection>.json  - items of a collection
+ *   schemas/keys/<key>.json    - a key, or every "<prefix>:..." key (schemas/keys/user.json covers user:123)
+ */
+class SchemaRegistry {
+  constructor(root) {
+    this.dir = path.join(root, SCHEMA_DIR)
+    this.validators = new Map()
+    this.ajv = null
+  }
+
+  collectionFile(collection) {
+    return path.join(this.dir, `${collection}.json`)
+  }
+
+  // Compile (once) the schema in `file`; null when there is no such file
+  load(file) {
+    if (this.validators.has(file)) {
+      return this.validators.get(file)
+    }
+
+    let validator = null
+    if (fs.existsSync(file)) {
+      let schema
+      try {
+        schema = JSON.parse(fs.readFileSync(file, 'utf8'))
+      } catch (error) {
+        throw new Error(`${path.relative(process.cwd(), file)} is not valid JSON: ${error.message}`)
+      }
+
+      if (!this.ajv) {
+        this.ajv = new Ajv({ allErrors: true, strict: false })
+        addFormats(this.ajv)
+      }
+      try {
+        validator = this.ajv.compile(schema)
+      } catch (error) {
+        throw new Error(`${path.relative(process.cwd(), file)} is not a valid JSON Schema: ${error.message}`)
+      }
+    }
+
+    this.validators.set(file, validator)
+    return validator
+  }
+
+  forCollection(collection) {
+    return this.load(this.collectionFile(collection))
+  }
+
+  forKey(key) {
+    const prefix = key.split(':')[0]
+    return this.load(path.join(this.dir, 'keys', `${key}.json`)) || this.load(path.join(this.dir, 'keys', `${prefix}.json`))
+  }
+
+  /**
+   * Validate a value against the schema for a collection or key.
+   * With `partial`, missing required properties are allowed (updates only send changed fields).
+   * @returns {string[]} Problems, empty when the value conforms or there is no schema
+   */
+  check({ collection, key, partial = false }, value) {
+    const validate = collection ? this.forCollection(collection) : this.forKey(key)
+    if (!validate || validate(value)) {
+      return []
+    }
+
+    return validate.errors
+      .filter(error => !(partial && error.keyword === 'required'))
+      .map(formatSchemaError)
+  }
+}
+
+// "/address/city must be string", "unknown property \"emial\""
+function formatSchemaError(error) {
+  const at = error.instancePath || '(root)'
+  if (error.keyword === 'additionalProperties') {
+    return `${at}: unknown property "${error.params.additionalProperty}"`
+  }
+  if (error.keyword === 'enum') {
+    return `${at} must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`
+  }
+  return `${at} ${error.message}`
+}
+
+// JSON Schema type name of a value
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function mergeTypes(types) {
+  const unique = [...new Set(types)]
+  // Integers are numbers too, so a mix of both is just "number"
+  if (unique.includes('number') && unique.includes('integer')) {
+    unique.splice(unique.indexOf('integer'), 1)
+  }
+  return unique.length === 1 ? unique[0] : unique.sort()
+}
+
+/**
+ * Infer a draft schema from sample values. Object properties seen in every sample become
+ * required; unknown properties are rejected so misspelt field names get caught.
+ */
+function inferSchema(values) {
+  const present = values.filter(value => value !== undefined)
+  if (present.length === 0) {
+    return {}
+  }
+
+  const schema = { type: mergeTypes(present.map(typeOf)) }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+
+  if (types.includes('object')) {
+    const objects = present.filter(value => typeOf(value) === 'object')
+    const fields = [...new Set(objects.flatMap(object => Object.keys(object)))]
+    schema.properties = {}
+    for (const field of fields) {
+      schema.properties[field] = inferSchema(objects.map(object => object[field]))
+    }
+    const required = fields.filter(field => objects.every(object => field in object))
+    if (required.length > 0) {
+      schema.required = required
+    }
+    schema.additionalProperties = false
+  }
+
+  if (types.includes('array')) {
+    const elements = present.filter(Array.isArray).flat()
+    if (elements.length > 0) {
+      schema.items = inferSchema(elements)
+    }
+  }
+
+  return schema
+}
+
+module.exports = { SCHEMA_DIR, SchemaRegistry, inferSchema }
@@ -0,0 +1,189 @@
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const { getPath } = require('./output')
+
+const SEEDS_DIR = 'seeds'
+const SEED_EXTENSIONS = ['.json', '.yaml', '.yml']
+
+// Dates are generated relative to this unless the file sets refDate, so they don't drift between runs
+const DEFAULT_REF_DATE = '2025-01-01T00:00:00.000Z'
+
+// {{person.fullName}}, {{number.int({"min": 1, "max": 9})}}, {{index}}
+const TEMPLATE = /\{\{\s*([\w.]+)\s*(?:\((.*?)\))?\s*\}\}/g
+
+// Seed files to load: the ones given, or every JSON/YAML file in seeds/ by name
+function seedFiles(root, files) {
+  if (files && files.length > 0) {
+    for (const file of files) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Seed file not found: ${file}`)
+      }
+    }
+    return files
+  }
+
+  const dir = path.join(root, SEEDS_DIR)
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No ${SEEDS_DIR}/ directory. Create ${SEEDS_DIR}/<name>.yaml or pass --file`)
+  }
+  return fs.readdirSync(dir)
+    .filter(file => SEED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => path.join(dir, file))
+}
+
+/**
+ * Read and check a seed file:
+ *   seed: 42                      # optional, makes generated values repeatable
+ *   refDate: 2025-01-01           # optional, what date.past/date.future are relative to
+ *   keys: { <key>: <value> }
+ *   collections:
+ *     <collection>:
+ *       key: email                # natural key (a list for compound keys)
+ *       items: [ ... ]
+ *       generate: { count: 20, template: { ... } }
+ */
+function readSeedFile(file) {
+  const label = path.basename(file)
+  let spec
+  try {
+    const text = fs.readFileSync(file, 'utf8')
+    spec = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text)
+  } catch (error) {
+    throw new Error(`Could not parse ${label}: ${error.message}`)
+  }
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${label} must be an object with "keys" and/or "collections"`)
+  }
+
+  const collections = Object.entries(spec.collections || {}).map(([name, collection]) => {
+    const at = `${label}: collections.${name}`
+    const key = Array.isArray(collection?.key) ? collection.key : [collection?.key].filter(Boolean)
+    if (key.length === 0) {
+      throw new Error(`${at} needs a "key" naming the field(s) that identify an item`)
+    }
+    if (collection.items !== undefined && !Array.isArray(collection.items)) {
+      throw new Error(`${at}.items must be a list`)
+    }
+    if (collection.generate && !(Number.isInteger(collection.generate.count) && collection.generate.template)) {
+      throw new Error(`${at}.generate needs an integer "count" and a "template"`)
+    }
+    return { name, key, items: collection.items || [], generate: collection.generate || null }
+  })
+
+  return { file, label, seed: spec.seed ?? 1, refDate: spec.refDate || DEFAULT_REF_DATE, keys: spec.keys || {}, collections }
+}
+
+// Small string hash so each collection gets its own, stable generator sequence
+function hashString(text) {
+  let hash = 0
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0
+  }
+  return hash >>> 0
+}
+
+function callGenerator(faker, name, args, context) {
+  if (name === 'index') {
+    return context.index
+  }
+
+  const generator = name.split('.').reduce((target, part) => target?.[part], faker)
+  if (typeof generator !== 'function') {
+    throw new Error(`Unknown generator "{{${name}}}"`)
+  }
+
+  let parsedArgs = []
+  if (args && args.trim()) {
+    try {
+      parsedArgs = JSON.parse(`[${args}]`)
+    } catch {
+      throw new Error(`Arguments of "{{${name}(${args})}}" must be JSON`)
+    }
+  }
+
+  const value = generator(...parsedArgs)
+  return value instanceof Date ? value.toISOString() : value
+}
+
+// Fill {{...}} placeholders. A string that is just one placeholder keeps the generated type
+function renderTemplate(value, faker, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*(?:\((.*?)\))?\s*\}\}$/)
+    if (whole) {
+      return callGenerator(faker, whole[1], whole[2], context)
+    }
+    return value.replace(TEMPLATE, (match, name, args) => String(callGenerator(faker, name, args, context)))
+  }
+  if (Array.isArray(value)) {
+    return value.map(element => renderTemplate(element, faker, context))
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, element]) => [field, renderTemplate(element, faker, context)]))
+  }
+  return value
+}
+
+/**
+ * Render a seed file's keys and items. Generators run locally on a faker instance seeded
+ * from the file's seed and the collection name, so every run produces the same data.
+ */
+async function renderSeed(spec) {
+  const { faker } = await import('@faker-js/faker/locale/en')
+  faker.setDefaultRefDate(new Date(spec.refDate))
+
+  const render = (template, index, at) => {
+    try {
+      return renderTemplate(template, faker, { index })
+    } catch (error) {
+      throw new Error(`${spec.label}: ${at}: ${error.message}`)
+    }
+  }
+
+  faker.seed(hashString(`${spec.seed}:keys`))
+  const keys = Object.entries(spec.keys).map(([name, value], i) => ({ name, value: render(value, i + 1, `keys.${name}`) }))
+
+  const collections = spec.collections.map(collection => {
+    faker.seed(hashString(`${spec.seed}:${collection.name}`))
+    // {{index}} counts from 1 in the listed items and again in the generated ones
+    const items = collection.items.map((template, i) => render(template, i + 1, `collections.${collection.name}.items`))
+    for (let i = 0; i < (collection.generate?.count || 0); i++) {
+      items.push(render(collection.generate.template, i + 1, `collections.${collection.name}.generate`))
+    }
+
+    const seen = new Set()
+    for (const item of items) {
+      const key = naturalKey(item, collection.key)
+      if (key === null) {
+        throw new Error(`${spec.label}: an item in "${collection.name}" has no ${collection.key.join(' + ')}`)
+      }
+      if (seen.has(key)) {
+        throw new Error(`${spec.label}: two items in "${collection.name}" share ${collection.key.join(' + ')} ${key}`)
+      }
+      seen.add(key)
+    }
+
+    return { ...collection, items }
+  })
+
+  return { ...spec, keys, collections }
+}
+
+// Identity of an item by its natural key fields; null when one is missing
+function naturalKey(value, fields) {
+  const values = fields.map(field => getPath(value, field))
+  return values.some(part => part === undefined || part === null) ? null : JSON.stringify(values)
+}
+
+// True when every field in `expected` already has that value in `actual`
+function isSubset(expected, actual) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    return !!actual && typeof actual === 'object' && !Array.isArray(actual) &&
+      Object.entries(expected).every(([field, value]) => isSubset(value, actual[field]))
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual)
+}
+
+module.exports = { SEEDS_DIR, seedFiles, readSeedFile, renderSeed, renderTemplate, hashString, naturalKey, isSubset }
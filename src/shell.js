@@ -0,0 +1,413 @@
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const chalk = require('chalk')
+
+const HISTORY_SIZE = 1000
+
+// Shell flags that take a value; any other --flag is a boolean
+const VALUE_OPTIONS = ['limit', 'offset', 'sort', 'output', 'fields', 'ttl', 'chunk-size', 'page-size']
+const SHORT_OPTIONS = { '-l': 'limit', '-o': 'output' }
+
+// Commands that change what completion should offer
+const MUTATING = ['set', 'forget', 'add', 'remove', 'batch']
+
+const COMMANDS = {
+  get: {
+    usage: 'get <key>',
+    complete: 'key',
+    run: (cli, [key], options) => cli.get(key, options)
+  },
+  set: {
+    usage: 'set <key> <value> [--ttl 1h]',
+    complete: 'key',
+    run: (cli, [key, value], options) => cli.set(key, value, options)
+  },
+  forget: {
+    usage: 'forget <key>',
+    complete: 'key',
+    run: (cli, [key], options) => cli.forgetItem(key, options)
+  },
+  add: {
+    usage: 'add <collection> <json>',
+    complete: 'collection',
+    run: (cli, [collection, value], options) => cli.addToCollection(collection, value, options)
+  },
+  update: {
+    usage: 'update <collection> <id> <json>',
+    complete: 'collection',
+    run: (cli, [collection, id, value], options) => cli.updateItem(collection, id, value, options)
+  },
+  remove: {
+    usage: 'remove <collection> <id>',
+    complete: 'collection',
+    run: (cli, [collection, id], options) => cli.removeItem(collection, id, options)
+  },
+  where: {
+    usage: 'where <collection> [field=value ... | expression] [--limit 50] [--sort field]',
+    complete: 'collection',
+    run: (cli, [collection, ...conditions], options) => cli.whereInCollection(collection, { limit: '50', ...filterOptions(conditions), ...options })
+  },
+  count: {
+    usage: 'count <collection> [field=value ... | expression]',
+    complete: 'collection',
+    run: (cli, [collection, ...conditions], options) => cli.countInCollection(collection, { ...filterOptions(conditions), ...options })
+  },
+  batch: {
+    usage: 'batch <json | file> [--dry-run]',
+    run: (cli, [operations], options) => cli.batch(operations, options)
+  },
+  contents: {
+    usage: 'contents',
+    run: (cli, args, options) => cli.getContents(options)
+  }
+}
+
+// How many leading words each command takes before the rest of the line becomes one argument
+const ARITY = { set: 1, add: 1, update: 2, batch: 0 }
+
+const DOT_COMMANDS = {
+  '.help': 'Show this help',
+  '.use <project>': 'Switch to another project from your profile',
+  '.env <environment>': 'Send data commands to an environment (.env production to go back)',
+  '.clear': 'Clear the screen',
+  '.exit': 'Leave the shell (or Ctrl+D)'
+}
+
+/**
+ * Split an entry into words, keeping quoted strings and {...}/[...] JSON together.
+ * Returns null while a quote or bracket is still open, so the entry continues on the next line.
+ */
+function tokenize(line) {
+  const tokens = []
+  let i = 0
+
+  while (i < line.length) {
+    if (/\s/.test(line[i])) {
+      i++
+      continue
+    }
+
+    const start = i
+    let depth = 0
+    let quote = null
+    while (i < line.length) {
+      const char = line[i]
+      if (quote) {
+        if (char === '\\') i++
+        else if (char === quote) quote = null
+      } else if (char === '"' || (char === "'" && (i === start || line[i - 1] === '='))) {
+        quote = char
+      } else if (char === '{' || char === '[') {
+        depth++
+      } else if (char === '}' || char === ']') {
+        depth--
+      } else if (/\s/.test(char) && depth <= 0) {
+        break
+      }
+      i++
+    }
+
+    if (quote || depth > 0) return null
+    tokens.push(line.slice(start, i))
+  }
+
+  return tokens
+}
+
+function unquote(word) {
+  if (word.length >= 2 && word[0] === '"' && word.endsWith('"')) {
+    try {
+      return JSON.parse(word)
+    } catch {
+      return word.slice(1, -1)
+    }
+  }
+  if (word.length >= 2 && word[0] === "'" && word.endsWith("'")) return word.slice(1, -1)
+  return word
+}
+
+// "status=active age=21" becomes a JSON filter; anything else is a --where expression
+function filterOptions(conditions) {
+  if (conditions.length === 0) return {}
+  if (conditions.length === 1 && conditions[0].startsWith('{')) return { filter: conditions[0] }
+
+  const pairs = conditions.map(word => /^([\w.$]+)=(?!=)(.*)$/s.exec(word))
+  if (pairs.every(Boolean)) {
+    const filter = {}
+    for (const [, field, text] of pairs) {
+      const value = unquote(text)
+      try {
+        filter[field] = value === text ? JSON.parse(text) : value
+      } catch {
+        filter[field] = value
+      }
+    }
+    return { filter: JSON.stringify(filter) }
+  }
+
+  return { where: conditions.join(' ') }
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+}
+
+// Separate --flags from positional words
+function parseArguments(words) {
+  const args = []
+  const options = {}
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i]
+    const name = SHORT_OPTIONS[word] || (/^--[a-z][a-z-]*$/.test(word) ? word.slice(2) : null)
+    if (!name) {
+      args.push(word)
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (i + 1 >= words.length) throw new Error(`--${name} needs a value`)
+      options[camelCase(name)] = unquote(words[++i])
+    } else {
+      options[camelCase(name)] = true
+    }
+  }
+
+  return { args, options }
+}
+
+/**
+ * Interactive session bound to one project: runs data commands on a single ShovCLI, so config,
+ * credentials and modules are loaded once instead of once per command.
+ */
+class ShovShell {
+  constructor(cli, { projectName, apiKey }) {
+    this.cli = cli
+    this.projectName = projectName
+    this.apiKey = apiKey
+    this.historyFile = path.join(cli.config.globalConfigDir, 'history')
+    this.completions = { key: [], collection: [], project: [] }
+    this.buffer = ''
+    this.queue = Promise.resolve()
+    // .exit drops whatever is still queued; the end of piped input lets it finish
+    this.closed = false
+    this.inputEnded = false
+  }
+
+  prompt() {
+    const environment = this.cli.environment ? chalk.magenta(`:${this.cli.environment}`) : ''
+    return `${chalk.cyan(this.projectName)}${environment}> `
+  }
+
+  loadHistory() {
+    try {
+      const lines = fs.readFileSync(this.historyFile, 'utf8').split('\n').filter(Boolean).slice(-HISTORY_SIZE)
+      // Keep the file from growing forever
+      fs.writeFileSync(this.historyFile, lines.join('\n') + '\n', { mode: 0o600 })
+      return lines.reverse()
+    } catch {
+      return []
+    }
+  }
+
+  saveHistory(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.historyFile), { recursive: true })
+      fs.appendFileSync(this.historyFile, entry.replace(/\s*\n\s*/g, ' ') + '\n', { mode: 0o600 })
+    } catch {
+      // History is a convenience; never fail a command over it
+    }
+  }
+
+  // Keys and collections for tab completion, refreshed after commands that change them
+  async refreshCompletions() {
+    try {
+      const { response, data } = await this.cli.apiRequest(`/data/${this.projectName}/contents`, { apiKey: this.apiKey, body: {} })
+      if (response.ok && data.success) {
+        this.completions.key = data.contents.filter(item => item.type === 'key').map(item => item.name)
+        this.completions.collection = data.contents.filter(item => item.type === 'collection').map(item => item.name)
+      }
+    } catch {
+      // Completion just stays stale
+    }
+  }
+
+  complete(line) {
+    const words = line.split(/\s+/)
+    const current = words[words.length - 1]
+    let candidates = []
+
+    if (words.length === 1) {
+      candidates = [...Object.keys(COMMANDS), ...Object.keys(DOT_COMMANDS).map(command => command.split(' ')[0])]
+    } else if (words.length === 2 && words[0] === '.use') {
+      candidates = this.completions.project
+    } else if (words.length === 2 && COMMANDS[words[0]]?.complete) {
+      candidates = this.completions[COMMANDS[words[0]].complete]
+    }
+
+    const hits = candidates.filter(candidate => candidate.startsWith(current))
+    return [hits, current]
+  }
+
+  printHelp() {
+    console.log(chalk.bold('Commands:'))
+    for (const { usage } of Object.values(COMMANDS)) {
+      console.log(`  ${usage}`)
+    }
+    console.log(chalk.gray('  Data commands also take -o/--output, --fields and --json. JSON can span several lines.'))
+    console.log('')
+    for (const [command, description] of Object.entries(DOT_COMMANDS)) {
+      console.log(`  ${command.padEnd(22)} ${chalk.gray(description)}`)
+    }
+  }
+
+  async runDotCommand(command, args) {
+    switch (command) {
+      case '.help':
+        this.printHelp()
+        return
+      case '.clear':
+        console.clear()
+        return
+      case '.exit':
+      case '.quit':
+        this.closed = true
+        this.rl.close()
+        return
+      case '.use': {
+        if (!args[0]) throw new Error('Usage: .use <project>')
+        const project = await this.cli.config.getProject(args[0])
+        if (!project || !project.apiKey) {
+          throw new Error(`Project "${args[0]}" is not in the active profile. Run "shov projects" to list them.`)
+        }
+        this.projectName = args[0]
+        this.apiKey = project.apiKey
+        console.log(chalk.green(`Using ${this.projectName}`))
+        await this.refreshCompletions()
+        return
+      }
+      case '.env':
+        if (!args[0]) {
+          console.log(`Environment: ${this.cli.environment || 'production'}`)
+          return
+        }
+        if (args[0] !== 'production') {
+          await this.cli.confirmEnvironment(this.projectName, this.apiKey, args[0])
+        }
+        this.cli.environment = args[0] === 'production' ? null : args[0]
+        console.log(chalk.green(`Data commands now target ${args[0]}`))
+        return
+      default:
+        throw new Error(`Unknown command ${command}. Type .help for a list.`)
+    }
+  }
+
+  async execute(words) {
+    const [command, ...rest] = words
+    if (command.startsWith('.')) {
+      await this.runDotCommand(command, rest.map(unquote))
+      return
+    }
+
+    const spec = COMMANDS[command]
+    if (!spec) {
+      throw new Error(`Unknown command "${command}". Type .help for a list.`)
+    }
+
+    const { args, options } = parseArguments(rest)
+    // set/add/update/batch: everything after the leading words is one value, spaces included
+    const arity = ARITY[command]
+    const values = arity === undefined || args.length <= arity
+      ? args.map(unquote)
+      : [...args.slice(0, arity).map(unquote), args.length === arity + 1 ? unquote(args[arity]) : args.slice(arity).join(' ')]
+    // where/count conditions are parsed from the raw words, quotes included
+    const positional = command === 'where' || command === 'count' ? [unquote(args[0] || ''), ...args.slice(1)] : values
+
+    if (!positional[0] && command !== 'contents') {
+      throw new Error(`Usage: ${spec.usage}`)
+    }
+
+    await spec.run(this.cli, positional, { ...options, project: this.projectName, key: this.apiKey })
+
+    if (MUTATING.includes(command)) {
+      await this.refreshCompletions()
+    }
+  }
+
+  async handleLine(line) {
+    if (this.closed) return
+
+    this.buffer = this.buffer ? `${this.buffer}\n${line}` : line
+    const words = tokenize(this.buffer)
+    if (words === null) {
+      if (!this.inputEnded) {
+        this.rl.setPrompt(chalk.gray('... '))
+        this.rl.prompt()
+      }
+      return
+    }
+
+    const entry = this.buffer.trim()
+    this.buffer = ''
+    if (entry) {
+      this.saveHistory(entry)
+      try {
+        await this.execute(words)
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message)
+      }
+      // Commands report failure through the exit code; the session carries on
+      process.exitCode = 0
+    }
+
+    if (this.closed || this.inputEnded) return
+
+    // Spinners hand stdin back paused and in cooked mode
+    if (process.stdin.isTTY) process.stdin.setRawMode(true)
+    this.rl.resume()
+    this.rl.setPrompt(this.prompt())
+    this.rl.prompt()
+  }
+
+  async start() {
+    const projects = await this.cli.config.listProjects()
+    this.completions.project = Object.keys(projects)
+    await this.refreshCompletions()
+
+    console.log(chalk.blue(`Shov shell for ${chalk.bold(this.projectName)}. Type .help for commands, .exit to leave.`))
+
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: this.prompt(),
+      history: this.loadHistory(),
+      historySize: HISTORY_SIZE,
+      completer: line => this.complete(line)
+    })
+
+    this.rl.on('SIGINT', () => {
+      if (this.buffer) {
+        this.buffer = ''
+        process.stdout.write('\n')
+        this.rl.setPrompt(this.prompt())
+        this.rl.prompt()
+      } else {
+        process.stdout.write('\n(To exit, press Ctrl+D or type .exit)\n')
+        this.rl.prompt()
+      }
+    })
+
+    this.rl.prompt()
+
+    await new Promise(resolve => {
+      // Lines are handled one at a time, even when pasted or piped in
+      this.rl.on('line', line => {
+        this.queue = this.queue.then(() => this.handleLine(line))
+      })
+      this.rl.on('close', () => {
+        this.inputEnded = true
+        this.queue.then(resolve)
+      })
+    })
+  }
+}
+
+module.exports = { ShovShell }
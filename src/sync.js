@@ -0,0 +1,126 @@
+const crypto = require('crypto')
+const { stableStringify } = require('./history')
+const { naturalKey } = require('./seeds')
+
+// Short hash of a JSON value; key order doesn't matter
+function contentHash(value) {
+  return crypto.createHash('sha1').update(stableStringify(value, 0)).digest('hex').slice(0, 12)
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Split --only entries into collections and key prefixes. An entry that names a collection
+ * in either environment selects that collection; anything else selects keys starting with it.
+ */
+function splitSelection(entries, collectionNames) {
+  const known = new Set(collectionNames)
+  return {
+    collections: entries.filter(entry => known.has(entry)),
+    keyPrefixes: entries.filter(entry => !known.has(entry))
+  }
+}
+
+/**
+ * What turns `base` into `other`, both Maps of id (or key name) to value.
+ * With matchBy (natural key fields, as in seed files) items are paired by those fields, so an
+ * entry keeps its id on each side and `changed` carries the base side's id. Without it they are
+ * paired by id, and with matchContent entries whose ids differ but whose values are identical
+ * count as the same entry, since items get new ids when they are copied between environments.
+ * @returns {{ added: {id, value}[], removed: {id, value}[], changed: {id, name, before, after}[], unchanged: number }}
+ */
+function compareEntries(base, other, { matchContent = false, matchBy = null } = {}) {
+  const index = entries => {
+    const indexed = new Map()
+    for (const [id, value] of entries) {
+      const identity = matchBy ? naturalKey(value, matchBy) : id
+      if (identity === null) {
+        throw new Error(`item ${id} has no ${matchBy.join(' + ')}`)
+      }
+      if (indexed.has(identity)) {
+        throw new Error(`items ${indexed.get(identity).id} and ${id} share ${matchBy.join(' + ')} ${JSON.parse(identity).join(' + ')}`)
+      }
+      indexed.set(identity, { id, value })
+    }
+    return indexed
+  }
+  const before = index(base)
+  const after = index(other)
+  const name = identity => matchBy ? JSON.parse(identity).join(' + ') : undefined
+
+  let added = []
+  let removed = []
+  const changed = []
+  let unchanged = 0
+
+  for (const [identity, { id, value }] of after) {
+    const previous = before.get(identity)
+    if (!previous) {
+      added.push({ id, name: name(identity), value })
+    } else if (contentHash(previous.value) === contentHash(value)) {
+      unchanged++
+    } else {
+      changed.push({ id: previous.id, name: name(identity), before: previous.value, after: value })
+    }
+  }
+  for (const [identity, { id, value }] of before) {
+    if (!after.has(identity)) {
+      removed.push({ id, name: name(identity), value })
+    }
+  }
+
+  if (matchContent && !matchBy && added.length > 0 && removed.length > 0) {
+    const unmatched = new Map()
+    for (const entry of removed) {
+      const hash = contentHash(entry.value)
+      unmatched.set(hash, [...(unmatched.get(hash) || []), entry])
+    }
+
+    const paired = new Set()
+    added = added.filter(entry => {
+      const candidate = (unmatched.get(contentHash(entry.value)) || []).find(other => !paired.has(other))
+      if (!candidate) return true
+      paired.add(candidate)
+      unchanged++
+      return false
+    })
+    removed = removed.filter(entry => !paired.has(entry))
+  }
+
+  const byId = (a, b) => String(a.name ?? a.id).localeCompare(String(b.name ?? b.id))
+  return { added: added.sort(byId), removed: removed.sort(byId), changed: changed.sort(byId), unchanged }
+}
+
+/**
+ * Batch operations that make a target environment match the source for one diff (computed
+ * with the target as base). Removals are only included with `remove`. Updates merge fields,
+ * so an item that lost fields in the source is replaced: removed and added again under a new id.
+ */
+function syncOperations({ collection }, diff, { remove = false } = {}) {
+  const operations = []
+
+  if (!collection) {
+    diff.added.forEach(({ id, value }) => operations.push({ type: 'set', name: id, value }))
+    diff.changed.forEach(({ id, after }) => operations.push({ type: 'set', name: id, value: after }))
+    if (remove) {
+      diff.removed.forEach(({ id }) => operations.push({ type: 'forget', name: id }))
+    }
+    return operations
+  }
+
+  diff.added.forEach(({ value }) => operations.push({ type: 'add', collection, value }))
+  diff.changed.forEach(({ id, before, after }) => {
+    const mergeable = isObject(before) && isObject(after) && Object.keys(before).every(field => field in after)
+    if (mergeable) {
+      operations.push({ type: 'update', collection, id, value: after })
+    } else {
+      operations.push({ type: 'remove', collection, id }, { type: 'add', collection, value: after })
+    }
+  })
+  if (remove) {
+    diff.removed.forEach(({ id }) => operations.push({ type: 'remove', collection, id }))
+  }
+  return operations
+}
+
+module.exports = { contentHash, splitSelection, compareEntries, syncOperations }
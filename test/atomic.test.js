@@ -0,0 +1,66 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { readModifyWrite, incrementValue } = require('../src/atomic')
+const { getResultState } = require('../src/batch')
+
+// A key store answering the way the batch endpoint does: [get, set] results, payload under `result`
+function store(initial) {
+  const state = { value: initial, writes: [] }
+  state.read = async () => ({ exists: state.value !== null, value: state.value, version: null })
+  state.commit = async (next, { beforeCommit } = {}) => {
+    if (beforeCommit) beforeCommit()
+    const results = [{ success: true, result: { value: state.value } }, { success: true, result: {} }]
+    state.value = next
+    state.writes.push(next)
+    return { observed: getResultState(results[0]), version: null }
+  }
+  return state
+}
+
+const increment = (key, by = 1, extra = {}) => readModifyWrite({
+  read: key.read,
+  commit: next => key.commit(next, extra),
+  compute: current => incrementValue(current, by),
+  retries: 5
+})
+
+test('the fallback increments a counter nothing else writes, on the first attempt', async () => {
+  const counter = store(5)
+  for (let i = 0; i < 5; i++) {
+    const { attempts } = await increment(counter)
+    assert.strictEqual(attempts, 1)
+  }
+  assert.strictEqual(counter.value, 10)
+  assert.deepStrictEqual(counter.writes, [6, 7, 8, 9, 10])
+})
+
+test('the fallback starts a missing counter at 0', async () => {
+  const counter = store(null)
+  await increment(counter, 3)
+  assert.strictEqual(counter.value, 3)
+})
+
+test('a write that lands between read and commit is counted, not lost', async () => {
+  const counter = store(5)
+  let raced = false
+  await increment(counter, 1, { beforeCommit: () => { if (!raced) { raced = true; counter.value = 100 } } })
+  assert.strictEqual(counter.value, 101)
+})
+
+test('an unconfirmed commit stops without further writes instead of resetting the count', async () => {
+  const counter = store(5)
+  await assert.rejects(readModifyWrite({
+    read: counter.read,
+    commit: async next => { counter.value = next; counter.writes.push(next); return { observed: null, version: null } },
+    compute: current => incrementValue(current, 1)
+  }), /didn't report what the key held/)
+  assert.deepStrictEqual(counter.writes, [6])
+})
+
+test('getResultState tells a missing key apart from a failed read', () => {
+  assert.deepStrictEqual(getResultState({ success: true, result: { value: 5 } }), { exists: true, value: 5, version: null })
+  assert.deepStrictEqual(getResultState({ success: true, result: { value: null } }), { exists: false, value: null, version: null })
+  assert.strictEqual(getResultState({ success: false, error: 'boom' }), null)
+  assert.strictEqual(getResultState({ success: true }), null)
+  assert.strictEqual(getResultState(undefined), null)
+})